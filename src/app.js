@@ -43,7 +43,13 @@ app.use("/api", limiter);
 app.use(
   "/api/v1/payments/webhook",
   express.raw({ type: "application/json" }),
-  require("./routes/payment.routes")
+  require("./routes/webhook.routes")
+);
+
+app.use(
+  "/api/v1/couriers/webhook",
+  express.raw({ type: "application/json" }),
+  require("./routes/courierWebhook.routes")
 );
 
 /* =====================================================
@@ -52,7 +58,8 @@ app.use(
 
 app.use(express.json({ limit: "10mb" }));
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
-app.use(cookieParser());
+// Secret signs the guest cart cookie
+app.use(cookieParser(process.env.COOKIE_SECRET || process.env.JWT_SECRET));
 
 /* =====================================================
    DATA SANITIZATION & PERFORMANCE
@@ -123,7 +130,7 @@ app.get("/health", (req, res) => {
 app.use("/api/v1/auth", require("./routes/auth.routes"));
 
 // 🧑 Users
-// app.use("/api/v1/users", require("./routes/user.routes"));
+app.use("/api/v1/users", require("./routes/user.routes"));
 
 // 🛍 Products
 app.use("/api/v1/products", require("./routes/product.routes"));
@@ -134,9 +141,30 @@ app.use("/api/v1/cart", require("./routes/cart.routes"));
 // 📦 Orders ✅ ADDED
 app.use("/api/v1/orders", require("./routes/order.routes"));
 
+// ↩️ Returns
+app.use("/api/v1/returns", require("./routes/return.routes"));
+
 // 🗂 Categories
 app.use("/api/v1/categories", require("./routes/category.routes"));
 
+// 🔔 Notifications
+app.use("/api/v1/notifications", require("./routes/notification.routes"));
+
+// 🚚 Shipping
+app.use("/api/v1/shipping", require("./routes/shipping.routes"));
+
+// 📍 Serviceable pincodes
+app.use("/api/v1/pincodes", require("./routes/pincode.routes"));
+
+// 🎟 Coupons
+app.use("/api/v1/coupons", require("./routes/coupon.routes"));
+
+// ⭐ Reviews (moderation)
+app.use("/api/v1/reviews", require("./routes/review.routes"));
+
+// 🪙 Metal rates
+app.use("/api/v1/metal-rates", require("./routes/metalRate.routes"));
+
 // 🛒 Cart (old commented – kept as-is)
 // app.use("/api/v1/cart", require("./routes/cart.routes"));
 
@@ -147,7 +175,7 @@ app.use("/api/v1/categories", require("./routes/category.routes"));
  app.use("/api/v1/payments", require("./routes/payment.routes"));
 
 // 🛠 Admin
-// app.use("/api/v1/admin", require("./routes/admin.routes"));
+app.use("/api/v1/admin", require("./routes/admin.routes"));
 
 /* =====================================================
    ERROR HANDLING
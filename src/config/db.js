@@ -1,4 +1,7 @@
 const mongoose = require("mongoose");
+const Cart = require("../models/Cart.model");
+const Order = require("../models/Order.model");
+const User = require("../models/User.model");
 
 const connectDB = async () => {
   try {
@@ -10,6 +13,34 @@ const connectDB = async () => {
     console.error(`❌ MongoDB Connection Error: ${error.message}`);
     process.exit(1);
   }
+
+  // Guest carts have no userId, so the old unique userId index is replaced
+  // by partial ones - rebuild cart indexes to match the schema
+  try {
+    await Cart.syncIndexes();
+  } catch (error) {
+    console.error(`❌ Cart index sync failed: ${error.message}`);
+  }
+
+  // Saved addresses used to have no _id - store one so address ids stay stable
+  try {
+    const updated = await User.backfillAddressIds();
+    if (updated > 0) {
+      console.log(`🏠 Address ids backfilled for ${updated} users`);
+    }
+  } catch (error) {
+    console.error(`❌ Address id backfill failed: ${error.message}`);
+  }
+
+  // Payment ids used to be stored as razorpay* fields
+  try {
+    const migrated = await Order.migrateRazorpayPaymentFields();
+    if (migrated > 0) {
+      console.log(`💳 Payment fields migrated for ${migrated} orders`);
+    }
+  } catch (error) {
+    console.error(`❌ Payment field migration failed: ${error.message}`);
+  }
 };
 
 // Connection events
@@ -14,18 +14,76 @@ module.exports = {
     RETURNED: 'returned',
   },
 
+  // Who moves an order between statuses
+  ORDER_ACTOR: {
+    CUSTOMER: 'customer',
+    ADMIN: 'admin',
+    SYSTEM: 'system',
+  },
+
   PAYMENT_STATUS: {
     PENDING: 'pending',
     COMPLETED: 'completed',
     FAILED: 'failed',
+    PARTIALLY_REFUNDED: 'partially_refunded',
     REFUNDED: 'refunded',
   },
 
+  REFUND_STATUS: {
+    PENDING: 'pending',
+    PROCESSED: 'processed',
+    FAILED: 'failed',
+  },
+
   PAYMENT_METHOD: {
     RAZORPAY: 'razorpay',
     COD: 'cod',
   },
 
+  PAYMENT_GATEWAY: {
+    RAZORPAY: 'razorpay',
+    MOCK: 'mock',
+  },
+
+  // What revalidation changed on a cart line since it was added
+  CART_CHANGE: {
+    PRICE_CHANGED: 'price_changed',
+    STOCK_REDUCED: 'stock_reduced',
+    ITEM_UNAVAILABLE: 'item_unavailable',
+  },
+
+  SHIPPING_METHOD: {
+    STANDARD: 'standard',
+    EXPRESS: 'express',
+  },
+
+  COURIER: {
+    FAKE: 'fake',
+  },
+
+  TRACKING_STATUS: {
+    CREATED: 'created',
+    PICKED_UP: 'picked_up',
+    IN_TRANSIT: 'in_transit',
+    OUT_FOR_DELIVERY: 'out_for_delivery',
+    DELIVERED: 'delivered',
+    DELIVERY_FAILED: 'delivery_failed',
+    RETURNED_TO_ORIGIN: 'returned_to_origin',
+  },
+
+  COD_COLLECTION_MODE: {
+    CASH: 'cash',
+    UPI: 'upi',
+    CARD: 'card',
+  },
+
+  // How a refund paid outside the gateway reached the customer
+  MANUAL_REFUND_METHOD: {
+    BANK_TRANSFER: 'bank_transfer',
+    UPI: 'upi',
+    CASH: 'cash',
+  },
+
   ADDRESS_TYPE: {
     HOME: 'home',
     WORK: 'work',
@@ -56,4 +114,50 @@ module.exports = {
     OFFER: 'offer',
     SYSTEM: 'system',
   },
-};
\ No newline at end of file
+
+  NOTIFICATION_SEGMENT: {
+    ALL: 'all',
+    VERIFIED: 'verified',
+    NEW_CUSTOMERS: 'new-customers',
+    PURCHASERS: 'purchasers',
+  },
+
+  RETURN_STATUS: {
+    REQUESTED: 'requested',
+    APPROVED: 'approved',
+    REJECTED: 'rejected',
+    PICKUP_SCHEDULED: 'pickup_scheduled',
+    RECEIVED: 'received',
+    REFUNDED: 'refunded',
+    CANCELLED: 'cancelled',
+  },
+
+  RESERVATION_STATUS: {
+    ACTIVE: 'active',
+    CONFIRMED: 'confirmed',
+    RELEASED: 'released',
+    EXPIRED: 'expired',
+  },
+
+  COUPON_REDEMPTION_STATUS: {
+    ACTIVE: 'active',
+    RELEASED: 'released',
+  },
+
+  RECONCILIATION_OUTCOME: {
+    CONFIRMED: 'confirmed',
+    FAILED: 'failed',
+    AMOUNT_MISMATCH: 'amount_mismatch',
+    PAID_AFTER_CANCEL: 'paid_after_cancel',
+    PENDING: 'pending',
+    ERROR: 'error',
+  },
+
+  WEBHOOK_EVENT_STATUS: {
+    PROCESSING: 'processing',
+    PROCESSED: 'processed',
+    IGNORED: 'ignored',
+    FAILED: 'failed',
+    REJECTED: 'rejected',
+  },
+};
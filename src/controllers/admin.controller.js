@@ -0,0 +1,306 @@
+const ApiError = require('../utils/ApiError');
+const ApiResponse = require('../utils/ApiResponse');
+const asyncHandler = require('../utils/asyncHandler');
+const Order = require('../models/Order.model');
+const PaymentReconciliation = require('../models/PaymentReconciliation.model');
+const analyticsService = require('../services/analytics.service');
+const reconciliationService = require('../services/reconciliation.service');
+const invoiceService = require('../services/invoice.service');
+
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_INVOICE_EXPORT = 500;
+
+// Build { from, to } from ?from=&to= (defaults to the last 30 days)
+const parseDateRange = (query) => {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from
+    ? new Date(query.from)
+    : new Date(to.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+    throw new ApiError(400, 'Invalid date range');
+  }
+
+  if (from > to) {
+    throw new ApiError(400, '"from" date must be before "to" date');
+  }
+
+  // Include the whole "to" day when only a date is given
+  if (query.to && /^\d{4}-\d{2}-\d{2}$/.test(query.to)) {
+    to.setUTCHours(23, 59, 59, 999);
+  }
+
+  return { from, to };
+};
+
+// @desc    Get dashboard summary
+// @route   GET /api/v1/admin/dashboard
+// @access  Private/Admin
+const getDashboardSummary = asyncHandler(async (req, res) => {
+  const range = parseDateRange(req.query);
+
+  const [revenue, ordersByStatus, customers, carts] = await Promise.all([
+    analyticsService.getRevenue(range, 'day'),
+    analyticsService.getOrdersByStatus(range),
+    analyticsService.getCustomerStats(range),
+    analyticsService.getCartAbandonment(range),
+  ]);
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        range,
+        sales: revenue.totals,
+        ordersByStatus,
+        customers,
+        carts,
+      },
+      'Dashboard summary fetched successfully'
+    )
+  );
+});
+
+// @desc    Get revenue analytics
+// @route   GET /api/v1/admin/analytics/revenue
+// @access  Private/Admin
+const getRevenueAnalytics = asyncHandler(async (req, res) => {
+  const { groupBy = 'day' } = req.query;
+
+  if (!['day', 'week', 'month'].includes(groupBy)) {
+    throw new ApiError(400, 'groupBy must be one of day, week or month');
+  }
+
+  const range = parseDateRange(req.query);
+  const revenue = await analyticsService.getRevenue(range, groupBy);
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      { range, groupBy, ...revenue },
+      'Revenue analytics fetched successfully'
+    )
+  );
+});
+
+// @desc    Get order counts by status
+// @route   GET /api/v1/admin/analytics/orders
+// @access  Private/Admin
+const getOrderAnalytics = asyncHandler(async (req, res) => {
+  const range = parseDateRange(req.query);
+  const ordersByStatus = await analyticsService.getOrdersByStatus(range);
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      { range, ordersByStatus },
+      'Order analytics fetched successfully'
+    )
+  );
+});
+
+// @desc    Get top selling products
+// @route   GET /api/v1/admin/analytics/top-products
+// @access  Private/Admin
+const getTopProducts = asyncHandler(async (req, res) => {
+  const { by = 'quantity', metal, limit = 10 } = req.query;
+
+  if (!['quantity', 'weight'].includes(by)) {
+    throw new ApiError(400, 'by must be either quantity or weight');
+  }
+
+  const range = parseDateRange(req.query);
+  const products = await analyticsService.getTopProducts(range, {
+    by,
+    metal,
+    limit: Math.min(Number(limit) || 10, 100),
+  });
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      { range, by, products },
+      'Top products fetched successfully'
+    )
+  );
+});
+
+// @desc    Get new vs returning customers
+// @route   GET /api/v1/admin/analytics/customers
+// @access  Private/Admin
+const getCustomerAnalytics = asyncHandler(async (req, res) => {
+  const range = parseDateRange(req.query);
+  const customers = await analyticsService.getCustomerStats(range);
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      { range, customers },
+      'Customer analytics fetched successfully'
+    )
+  );
+});
+
+// @desc    Get cart abandonment counts
+// @route   GET /api/v1/admin/analytics/carts
+// @access  Private/Admin
+const getCartAnalytics = asyncHandler(async (req, res) => {
+  const { idleHours = 24 } = req.query;
+
+  const range = parseDateRange(req.query);
+  const carts = await analyticsService.getCartAbandonment(
+    range,
+    Number(idleHours) || 24
+  );
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      { range, carts },
+      'Cart analytics fetched successfully'
+    )
+  );
+});
+
+// @desc    Get payment reconciliation reports
+// @route   GET /api/v1/admin/reconciliation
+// @access  Private/Admin
+const getReconciliationReports = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+
+  const skip = (page - 1) * limit;
+
+  const reports = await PaymentReconciliation.find()
+    .select('-entries')
+    .sort('-createdAt')
+    .skip(skip)
+    .limit(Number(limit));
+
+  const total = await PaymentReconciliation.countDocuments();
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        reports,
+        pagination: {
+          page: Number(page),
+          limit: Number(limit),
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+      'Reconciliation reports fetched successfully'
+    )
+  );
+});
+
+// @desc    Get orders flagged by payment reconciliation
+// @route   GET /api/v1/admin/reconciliation/flagged
+// @access  Private/Admin
+const getFlaggedPayments = asyncHandler(async (req, res) => {
+  const orders = await Order.find({ 'payment.flaggedAt': { $exists: true } })
+    .select('orderNumber status pricing.total payment userId createdAt')
+    .populate('userId', 'firstName lastName email phone')
+    .sort('-payment.flaggedAt');
+
+  res.status(200).json(
+    new ApiResponse(200, { orders }, 'Flagged payments fetched successfully')
+  );
+});
+
+// @desc    Get a payment reconciliation report
+// @route   GET /api/v1/admin/reconciliation/:id
+// @access  Private/Admin
+const getReconciliationReport = asyncHandler(async (req, res) => {
+  const report = await PaymentReconciliation.findById(req.params.id).populate(
+    'triggeredBy',
+    'firstName lastName email'
+  );
+
+  if (!report) {
+    throw new ApiError(404, 'Reconciliation report not found');
+  }
+
+  res.status(200).json(
+    new ApiResponse(200, { report }, 'Reconciliation report fetched successfully')
+  );
+});
+
+// @desc    Run payment reconciliation now
+// @route   POST /api/v1/admin/reconciliation/run
+// @access  Private/Admin
+const runReconciliation = asyncHandler(async (req, res) => {
+  const report = await reconciliationService.run({
+    trigger: 'manual',
+    triggeredBy: req.user._id,
+  });
+
+  res.status(200).json(
+    new ApiResponse(200, { report }, 'Payment reconciliation completed')
+  );
+});
+
+// @desc    Export tax invoices issued in a date range (PDF or CSV register)
+// @route   GET /api/v1/admin/invoices/export
+// @access  Private/Admin
+const exportInvoices = asyncHandler(async (req, res) => {
+  const { format = 'pdf' } = req.query;
+  const { from, to } = parseDateRange(req.query);
+
+  if (!['pdf', 'csv'].includes(format)) {
+    throw new ApiError(400, 'Format must be pdf or csv');
+  }
+
+  const query = {
+    'invoice.number': { $exists: true },
+    'invoice.generatedAt': { $gte: from, $lte: to },
+  };
+
+  const total = await Order.countDocuments(query);
+
+  if (total === 0) {
+    throw new ApiError(404, 'No invoices found in this date range');
+  }
+
+  if (format === 'pdf' && total > MAX_INVOICE_EXPORT) {
+    throw new ApiError(
+      400,
+      `${total} invoices found. Narrow the date range to at most ${MAX_INVOICE_EXPORT} or export as CSV`
+    );
+  }
+
+  const orders = await Order.find(query).sort('invoice.generatedAt');
+  const fileName = `invoices-${from.toISOString().slice(0, 10)}-to-${to.toISOString().slice(0, 10)}`;
+
+  if (format === 'csv') {
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${fileName}.csv"`,
+    });
+    return res.status(200).send(invoiceService.generateRegisterCsv(orders));
+  }
+
+  const pdf = invoiceService.generatePdf(orders);
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${fileName}.pdf"`,
+    'Content-Length': pdf.length,
+  });
+  res.status(200).send(pdf);
+});
+
+module.exports = {
+  getDashboardSummary,
+  getRevenueAnalytics,
+  getOrderAnalytics,
+  getTopProducts,
+  getCustomerAnalytics,
+  getCartAnalytics,
+  getReconciliationReports,
+  getFlaggedPayments,
+  getReconciliationReport,
+  runReconciliation,
+  exportInvoices,
+};
@@ -9,6 +9,11 @@ const {
   generateAccessToken,
   generateRefreshToken,
 } = require("../utils/generateToken");
+const {
+  readGuestSession,
+  clearGuestSession,
+} = require("../middlewares/guestSession.middleware");
+const guestService = require("../services/guest.service");
 
 /* =====================================================
    COOKIE OPTIONS (CROSS-SITE SAFE)
@@ -20,6 +25,22 @@ const refreshTokenCookieOptions = {
   maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
 };
 
+/* =====================================================
+   GUEST CART MERGE
+===================================================== */
+// Carry the anonymous cart over to the account that just signed in
+const mergeGuestCart = async (req, res, userId) => {
+  const guestId = readGuestSession(req);
+  if (!guestId) return;
+
+  try {
+    await guestService.mergeCart(guestId, userId);
+    clearGuestSession(res);
+  } catch (error) {
+    console.error("Guest cart merge failed:", error);
+  }
+};
+
 /* =====================================================
    REGISTER
 ===================================================== */
@@ -65,6 +86,8 @@ const register = asyncHandler(async (req, res) => {
     console.error("Email error:", err);
   }
 
+  await mergeGuestCart(req, res, user._id);
+
   const accessToken = generateAccessToken(user._id);
   const refreshToken = generateRefreshToken(user._id);
 
@@ -103,9 +126,14 @@ const verifyEmail = asyncHandler(async (req, res) => {
   user.verificationTokenExpiry = undefined;
   await user.save();
 
+  // The address is proven now, so orders placed with it as a guest are theirs
+  const claimedOrders = await guestService.claimOrders(user.email, user._id);
+
   res
     .status(200)
-    .json(new ApiResponse(200, null, "Email verified successfully"));
+    .json(
+      new ApiResponse(200, { claimedOrders }, "Email verified successfully")
+    );
 });
 
 /* =====================================================
@@ -124,6 +152,8 @@ const login = asyncHandler(async (req, res) => {
   if (!user.isVerified)
     throw new ApiError(403, "Please verify your email");
 
+  await mergeGuestCart(req, res, user._id);
+
   const accessToken = generateAccessToken(user._id);
   const refreshToken = generateRefreshToken(user._id);
 
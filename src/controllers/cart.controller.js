@@ -3,28 +3,90 @@ const Product = require('../models/Product.model');
 const ApiError = require('../utils/ApiError');
 const ApiResponse = require('../utils/ApiResponse');
 const asyncHandler = require('../utils/asyncHandler');
+const pricingService = require('../services/pricing.service');
+const couponService = require('../services/coupon.service');
+const taxService = require('../services/tax.service');
+const cartService = require('../services/cart.service');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Customers have one cart, guests one per signed session cookie
+const cartOwner = (req) =>
+  req.user ? { userId: req.user._id } : { guestId: req.guestId };
+
+// Price the cart the same way createOrder will, with GST split for the
+// given place of supply
+const summarizeCart = async (cart, state) => {
+  const rates = await pricingService.getCurrentRates();
+
+  const lines = cart.items
+    .filter((item) => item.productId && item.productId.isActive)
+    .map((item) => {
+      const pricing = pricingService.calculatePrice(item.productId, rates);
+
+      return {
+        quantity: item.quantity,
+        metalValue: pricing.metalValue,
+        makingCharges: pricing.makingCharges,
+        gst: pricing.gst,
+        gstRate: pricing.gstRate,
+      };
+    });
+
+  const { summary } = taxService.calculate(lines, state);
+  const sum = (key) =>
+    round(lines.reduce((total, line) => total + line[key] * line.quantity, 0));
+
+  return {
+    subtotal: sum('metalValue'),
+    makingCharges: sum('makingCharges'),
+    gst: summary.total,
+    tax: summary,
+    total: round(summary.taxableValue + summary.total),
+  };
+};
 
 // @desc    Get user cart
 // @route   GET /api/v1/cart
-// @access  Private
+// @access  Public (customer or guest)
 const getCart = asyncHandler(async (req, res) => {
-  let cart = await Cart.findOne({ userId: req.user._id }).populate({
+  let cart = await Cart.findOne(cartOwner(req)).populate({
     path: 'items.productId',
-    select: 'name images price stock isActive',
+    select:
+      'name images price stock isActive metal purity weight makingCharges gst category',
   });
 
+  // Visitors who never added anything get an empty cart that is not saved;
+  // the cart is created with the first item
   if (!cart) {
-    cart = await Cart.create({ userId: req.user._id, items: [] });
+    cart = new Cart({ ...cartOwner(req), items: [] });
   }
 
+  // Reprice lines and drop or cut those the stock no longer covers
+  const changes = await cartService.revalidate(cart);
+
+  // Tax depends on where the order ships: ?state= or the default address
+  const defaultAddress =
+    req.user?.addresses?.find((address) => address.isDefault) ||
+    req.user?.addresses?.[0];
+  const state = req.query.state || defaultAddress?.state;
+
+  const summary = await summarizeCart(cart, state);
+
   res.status(200).json(
-    new ApiResponse(200, { cart }, 'Cart fetched successfully')
+    new ApiResponse(
+      200,
+      { cart, summary, changes },
+      changes.length > 0
+        ? 'Some items in your cart have changed'
+        : 'Cart fetched successfully'
+    )
   );
 });
 
 // @desc    Add item to cart
 // @route   POST /api/v1/cart/add
-// @access  Private
+// @access  Public (customer or guest)
 const addToCart = asyncHandler(async (req, res) => {
   const { productId, quantity } = req.body;
 
@@ -43,11 +105,14 @@ const addToCart = asyncHandler(async (req, res) => {
     );
   }
 
+  // Price the item against today's metal rate
+  const { sellingPrice } = await pricingService.priceProduct(product);
+
   // Find or create cart
-  let cart = await Cart.findOne({ userId: req.user._id });
+  let cart = await Cart.findOne(cartOwner(req));
 
   if (!cart) {
-    cart = new Cart({ userId: req.user._id, items: [] });
+    cart = new Cart({ ...cartOwner(req), items: [] });
   }
 
   // Check if product already in cart
@@ -67,13 +132,13 @@ const addToCart = asyncHandler(async (req, res) => {
     }
 
     cart.items[existingItemIndex].quantity = newQuantity;
-    cart.items[existingItemIndex].price = product.price.sellingPrice;
+    cart.items[existingItemIndex].price = sellingPrice;
   } else {
     // Add new item
     cart.items.push({
       productId: product._id,
       quantity,
-      price: product.price.sellingPrice,
+      price: sellingPrice,
     });
   }
 
@@ -92,12 +157,12 @@ const addToCart = asyncHandler(async (req, res) => {
 
 // @desc    Update cart item quantity
 // @route   PUT /api/v1/cart/update/:itemId
-// @access  Private
+// @access  Public (customer or guest)
 const updateCartItem = asyncHandler(async (req, res) => {
   const { itemId } = req.params;
   const { quantity } = req.body;
 
-  const cart = await Cart.findOne({ userId: req.user._id });
+  const cart = await Cart.findOne(cartOwner(req));
 
   if (!cart) {
     throw new ApiError(404, 'Cart not found');
@@ -127,8 +192,10 @@ const updateCartItem = asyncHandler(async (req, res) => {
     );
   }
 
+  const { sellingPrice } = await pricingService.priceProduct(product);
+
   item.quantity = quantity;
-  item.price = product.price.sellingPrice;
+  item.price = sellingPrice;
 
   await cart.save();
 
@@ -145,11 +212,11 @@ const updateCartItem = asyncHandler(async (req, res) => {
 
 // @desc    Remove item from cart
 // @route   DELETE /api/v1/cart/remove/:itemId
-// @access  Private
+// @access  Public (customer or guest)
 const removeFromCart = asyncHandler(async (req, res) => {
   const { itemId } = req.params;
 
-  const cart = await Cart.findOne({ userId: req.user._id });
+  const cart = await Cart.findOne(cartOwner(req));
 
   if (!cart) {
     throw new ApiError(404, 'Cart not found');
@@ -178,9 +245,9 @@ const removeFromCart = asyncHandler(async (req, res) => {
 
 // @desc    Clear cart
 // @route   DELETE /api/v1/cart/clear
-// @access  Private
+// @access  Public (customer or guest)
 const clearCart = asyncHandler(async (req, res) => {
-  const cart = await Cart.findOne({ userId: req.user._id });
+  const cart = await Cart.findOne(cartOwner(req));
 
   if (!cart) {
     throw new ApiError(404, 'Cart not found');
@@ -194,10 +261,64 @@ const clearCart = asyncHandler(async (req, res) => {
   );
 });
 
+// @desc    Preview coupon discount on current cart
+// @route   POST /api/v1/cart/apply-coupon
+// @access  Private
+const applyCoupon = asyncHandler(async (req, res) => {
+  const { couponCode } = req.body;
+
+  const cart = await Cart.findOne({ userId: req.user._id }).populate(
+    'items.productId'
+  );
+
+  const items = cart
+    ? cart.items.filter((item) => item.productId && item.productId.isActive)
+    : [];
+
+  if (items.length === 0) {
+    throw new ApiError(400, 'Cart is empty. Please add items to cart first');
+  }
+
+  // Price lines the same way createOrder will. Shipping is not known until
+  // checkout, so it is left out of the preview.
+  const rates = await pricingService.getCurrentRates();
+  const lines = items.map((item) => ({
+    productId: item.productId._id,
+    category: item.productId.category,
+    amount:
+      pricingService.calculatePrice(item.productId, rates).sellingPrice *
+      item.quantity,
+  }));
+
+  const { coupon, discount, orderAmount, eligibleAmount, ineligibleProductIds } =
+    await couponService.applyCoupon(couponCode, lines, req.user);
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        coupon: {
+          code: coupon.code,
+          description: coupon.description,
+          discountType: coupon.discountType,
+          discountValue: coupon.discountValue,
+        },
+        cartTotal: orderAmount,
+        eligibleAmount,
+        discount,
+        totalAfterDiscount: Math.round((orderAmount - discount) * 100) / 100,
+        ineligibleProductIds,
+      },
+      'Coupon applied successfully'
+    )
+  );
+});
+
 module.exports = {
   getCart,
   addToCart,
   updateCartItem,
   removeFromCart,
   clearCart,
-};
\ No newline at end of file
+  applyCoupon,
+};
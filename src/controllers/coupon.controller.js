@@ -0,0 +1,123 @@
+const Coupon = require('../models/Coupon.model');
+const ApiError = require('../utils/ApiError');
+const ApiResponse = require('../utils/ApiResponse');
+const asyncHandler = require('../utils/asyncHandler');
+
+// @desc    Get all coupons (Admin)
+// @route   GET /api/v1/coupons
+// @access  Private/Admin
+const getCoupons = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, isActive, search } = req.query;
+
+  const query = {};
+  if (isActive !== undefined) query.isActive = isActive === 'true';
+  if (search) query.code = { $regex: search, $options: 'i' };
+
+  const skip = (page - 1) * limit;
+
+  const coupons = await Coupon.find(query)
+    .sort('-createdAt')
+    .skip(skip)
+    .limit(Number(limit));
+
+  const total = await Coupon.countDocuments(query);
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        coupons,
+        pagination: {
+          page: Number(page),
+          limit: Number(limit),
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+      'Coupons fetched successfully'
+    )
+  );
+});
+
+// @desc    Get coupon by ID (Admin)
+// @route   GET /api/v1/coupons/:id
+// @access  Private/Admin
+const getCouponById = asyncHandler(async (req, res) => {
+  const coupon = await Coupon.findById(req.params.id).populate(
+    'excludedProducts',
+    'name slug'
+  );
+
+  if (!coupon) {
+    throw new ApiError(404, 'Coupon not found');
+  }
+
+  res.status(200).json(
+    new ApiResponse(200, { coupon }, 'Coupon fetched successfully')
+  );
+});
+
+// @desc    Create coupon (Admin)
+// @route   POST /api/v1/coupons
+// @access  Private/Admin
+const createCoupon = asyncHandler(async (req, res) => {
+  const coupon = await Coupon.create(req.body);
+
+  res.status(201).json(
+    new ApiResponse(201, { coupon }, 'Coupon created successfully')
+  );
+});
+
+// @desc    Update coupon (Admin)
+// @route   PUT /api/v1/coupons/:id
+// @access  Private/Admin
+const updateCoupon = asyncHandler(async (req, res) => {
+  let coupon = await Coupon.findById(req.params.id);
+
+  if (!coupon) {
+    throw new ApiError(404, 'Coupon not found');
+  }
+
+  const validFrom = req.body.validFrom || coupon.validFrom;
+  const validUntil = req.body.validUntil || coupon.validUntil;
+
+  if (new Date(validUntil) <= new Date(validFrom)) {
+    throw new ApiError(400, 'Valid until date must be after valid from date');
+  }
+
+  coupon = await Coupon.findByIdAndUpdate(req.params.id, req.body, {
+    new: true,
+    runValidators: true,
+  });
+
+  res.status(200).json(
+    new ApiResponse(200, { coupon }, 'Coupon updated successfully')
+  );
+});
+
+// @desc    Delete coupon (Admin)
+// @route   DELETE /api/v1/coupons/:id
+// @access  Private/Admin
+const deleteCoupon = asyncHandler(async (req, res) => {
+  const coupon = await Coupon.findById(req.params.id);
+
+  if (!coupon) {
+    throw new ApiError(404, 'Coupon not found');
+  }
+
+  // Soft delete - orders keep referring to the coupon
+  coupon.isActive = false;
+  await coupon.save();
+
+  res.status(200).json(
+    new ApiResponse(200, null, 'Coupon deleted successfully')
+  );
+});
+
+module.exports = {
+  getCoupons,
+  getCouponById,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon,
+};
@@ -0,0 +1,84 @@
+const MetalRate = require('../models/MetalRate.model');
+const ApiResponse = require('../utils/ApiResponse');
+const asyncHandler = require('../utils/asyncHandler');
+const pricingService = require('../services/pricing.service');
+
+// @desc    Get current metal rates
+// @route   GET /api/v1/metal-rates
+// @access  Public
+const getCurrentRates = asyncHandler(async (req, res) => {
+  const rates = await pricingService.getCurrentRates();
+
+  res.status(200).json(
+    new ApiResponse(200, { rates }, 'Metal rates fetched successfully')
+  );
+});
+
+// @desc    Get metal rate history
+// @route   GET /api/v1/metal-rates/history
+// @access  Private/Admin
+const getRateHistory = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 30, metal, purity, from, to } = req.query;
+
+  const query = {};
+  if (metal) query.metal = metal;
+  if (purity) query.purity = purity;
+  if (from || to) {
+    query.effectiveFrom = {};
+    if (from) query.effectiveFrom.$gte = new Date(from);
+    if (to) query.effectiveFrom.$lte = new Date(to);
+  }
+
+  const skip = (page - 1) * limit;
+
+  const rates = await MetalRate.find(query)
+    .populate('createdBy', 'firstName lastName')
+    .sort('-effectiveFrom')
+    .skip(skip)
+    .limit(Number(limit));
+
+  const total = await MetalRate.countDocuments(query);
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        rates,
+        pagination: {
+          page: Number(page),
+          limit: Number(limit),
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+      'Metal rate history fetched successfully'
+    )
+  );
+});
+
+// @desc    Post a new metal rate
+// @route   POST /api/v1/metal-rates
+// @access  Private/Admin
+const createMetalRate = asyncHandler(async (req, res) => {
+  const rate = await MetalRate.create({
+    ...req.body,
+    createdBy: req.user._id,
+  });
+
+  // Carry the new rate through to stored product prices
+  const repricedProducts = await pricingService.repriceProducts(rate.metal);
+
+  res.status(201).json(
+    new ApiResponse(
+      201,
+      { rate, repricedProducts },
+      'Metal rate posted successfully'
+    )
+  );
+});
+
+module.exports = {
+  getCurrentRates,
+  getRateHistory,
+  createMetalRate,
+};
@@ -0,0 +1,141 @@
+const Notification = require('../models/Notification.model');
+const ApiError = require('../utils/ApiError');
+const ApiResponse = require('../utils/ApiResponse');
+const asyncHandler = require('../utils/asyncHandler');
+const notificationService = require('../services/notification.service');
+
+// @desc    Get user notifications
+// @route   GET /api/v1/notifications
+// @access  Private
+const getNotifications = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, type, isRead } = req.query;
+
+  const query = { userId: req.user._id };
+  if (type) query.type = type;
+  if (isRead !== undefined) query.isRead = isRead === 'true';
+
+  const skip = (page - 1) * limit;
+
+  const notifications = await Notification.find(query)
+    .sort('-createdAt')
+    .skip(skip)
+    .limit(Number(limit));
+
+  const total = await Notification.countDocuments(query);
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        notifications,
+        pagination: {
+          page: Number(page),
+          limit: Number(limit),
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+      'Notifications fetched successfully'
+    )
+  );
+});
+
+// @desc    Get unread notification count
+// @route   GET /api/v1/notifications/unread-count
+// @access  Private
+const getUnreadCount = asyncHandler(async (req, res) => {
+  const count = await Notification.countDocuments({
+    userId: req.user._id,
+    isRead: false,
+  });
+
+  res.status(200).json(
+    new ApiResponse(200, { count }, 'Unread count fetched successfully')
+  );
+});
+
+// @desc    Mark notification as read
+// @route   PUT /api/v1/notifications/:id/read
+// @access  Private
+const markAsRead = asyncHandler(async (req, res) => {
+  const notification = await Notification.findOneAndUpdate(
+    { _id: req.params.id, userId: req.user._id },
+    { isRead: true },
+    { new: true }
+  );
+
+  if (!notification) {
+    throw new ApiError(404, 'Notification not found');
+  }
+
+  res.status(200).json(
+    new ApiResponse(200, { notification }, 'Notification marked as read')
+  );
+});
+
+// @desc    Mark all notifications as read
+// @route   PUT /api/v1/notifications/read-all
+// @access  Private
+const markAllAsRead = asyncHandler(async (req, res) => {
+  const result = await Notification.updateMany(
+    { userId: req.user._id, isRead: false },
+    { isRead: true }
+  );
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      { updated: result.modifiedCount },
+      'All notifications marked as read'
+    )
+  );
+});
+
+// @desc    Delete notification
+// @route   DELETE /api/v1/notifications/:id
+// @access  Private
+const deleteNotification = asyncHandler(async (req, res) => {
+  const notification = await Notification.findOneAndDelete({
+    _id: req.params.id,
+    userId: req.user._id,
+  });
+
+  if (!notification) {
+    throw new ApiError(404, 'Notification not found');
+  }
+
+  res.status(200).json(
+    new ApiResponse(200, null, 'Notification deleted successfully')
+  );
+});
+
+// @desc    Broadcast offer notification to a user segment (Admin)
+// @route   POST /api/v1/notifications/broadcast
+// @access  Private/Admin
+const broadcastOffer = asyncHandler(async (req, res) => {
+  const { segment, title, message, link, metadata } = req.body;
+
+  const recipients = await notificationService.broadcastOffer(segment, {
+    title,
+    message,
+    link,
+    metadata,
+  });
+
+  res.status(201).json(
+    new ApiResponse(
+      201,
+      { segment, recipients },
+      'Offer notification broadcast successfully'
+    )
+  );
+});
+
+module.exports = {
+  getNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead,
+  deleteNotification,
+  broadcastOffer,
+};
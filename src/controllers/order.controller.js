@@ -1,12 +1,27 @@
+const mongoose = require('mongoose');
 const Order = require('../models/Order.model');
 const Cart = require('../models/Cart.model');
-const Product = require('../models/Product.model');
-const Coupon = require('../models/Coupon.model');
 const User = require('../models/User.model');
 const ApiError = require('../utils/ApiError');
 const ApiResponse = require('../utils/ApiResponse');
 const asyncHandler = require('../utils/asyncHandler');
 const sendEmail = require('../utils/sendEmail');
+const pricingService = require('../services/pricing.service');
+const couponService = require('../services/coupon.service');
+const inventoryService = require('../services/inventory.service');
+const codService = require('../services/cod.service');
+const invoiceService = require('../services/invoice.service');
+const taxService = require('../services/tax.service');
+const shippingService = require('../services/shipping.service');
+const pincodeService = require('../services/pincode.service');
+const orderStatusService = require('../services/orderStatus.service');
+const guestService = require('../services/guest.service');
+const cartService = require('../services/cart.service');
+const {
+  ORDER_STATUS,
+  ORDER_ACTOR,
+  PAYMENT_METHOD,
+} = require('../constants');
 
 // @desc    Get user orders
 // @route   GET /api/v1/orders
@@ -46,7 +61,7 @@ const getOrders = asyncHandler(async (req, res) => {
 
 // @desc    Get single order
 // @route   GET /api/v1/orders/:id
-// @access  Private
+// @access  Public (customer, admin or the guest session that placed it)
 const getOrderById = asyncHandler(async (req, res) => {
   const order = await Order.findById(req.params.id).populate(
     'items.productId',
@@ -57,10 +72,10 @@ const getOrderById = asyncHandler(async (req, res) => {
     throw new ApiError(404, 'Order not found');
   }
 
-  // Check if order belongs to user or user is admin
+  // Check if order belongs to user or guest, or user is admin
   if (
-    order.userId.toString() !== req.user._id.toString() &&
-    req.user.role !== 'admin'
+    !order.isOwnedBy(req.user, req.guestId) &&
+    req.user?.role !== 'admin'
   ) {
     throw new ApiError(403, 'Not authorized to access this order');
   }
@@ -72,13 +87,53 @@ const getOrderById = asyncHandler(async (req, res) => {
 
 // @desc    Create new order
 // @route   POST /api/v1/orders/create
-// @access  Private
+// @access  Public (customer or guest)
 const createOrder = asyncHandler(async (req, res) => {
-  const { shippingAddress, billingAddress, paymentMethod, couponCode, notes } =
-    req.body;
+  const {
+    addressId,
+    billingAddress,
+    paymentMethod,
+    shippingMethod,
+    couponCode,
+    notes,
+    guest,
+  } = req.body;
+  let { shippingAddress } = req.body;
+
+  // Guests leave an email and phone instead of an account
+  if (!req.user) {
+    if (!guest) {
+      throw new ApiError(400, 'Email and phone are required for guest checkout');
+    }
+
+    if (addressId) {
+      throw new ApiError(400, 'Please provide a shipping address');
+    }
+
+    // Coupon limits are per customer
+    if (couponCode) {
+      throw new ApiError(400, 'Please log in to use a coupon');
+    }
+  }
+
+  // Resolve a saved address from the address book
+  if (addressId) {
+    const savedAddress = req.user.addresses.id(addressId);
 
-  // Get user cart
-  const cart = await Cart.findOne({ userId: req.user._id }).populate(
+    if (!savedAddress) {
+      throw new ApiError(404, 'Address not found in your address book');
+    }
+
+    const { name, phone, street, city, state, pincode, country } = savedAddress;
+    shippingAddress = { name, phone, street, city, state, pincode, country };
+  }
+
+  await pincodeService.assertServiceable(shippingAddress.pincode);
+
+  // Get user or guest cart
+  const cart = await Cart.findOne(
+    req.user ? { userId: req.user._id } : { guestId: req.guestId }
+  ).populate(
     'items.productId'
   );
 
@@ -86,132 +141,198 @@ const createOrder = asyncHandler(async (req, res) => {
     throw new ApiError(400, 'Cart is empty. Please add items to cart first');
   }
 
-  // Validate stock for all items
-  for (const item of cart.items) {
-    if (!item.productId) {
-      throw new ApiError(400, 'One or more products no longer exist');
-    }
+  // Calculate pricing against today's metal rates
+  const rates = await pricingService.getCurrentRates();
 
-    if (!item.productId.isActive) {
-      throw new ApiError(
-        400,
-        `Product "${item.productId.name}" is no longer available`
-      );
-    }
+  // Bring the cart up to date with stock and prices. Anything that changed
+  // goes back to the customer to review before they pay.
+  const changes = await cartService.revalidate(cart, rates);
 
-    if (item.productId.stock.quantity < item.quantity) {
-      throw new ApiError(
-        400,
-        `Insufficient stock for "${item.productId.name}". Available: ${item.productId.stock.quantity}`
-      );
-    }
+  if (changes.length > 0) {
+    throw new ApiError(
+      409,
+      'Some items in your cart have changed. Please review your cart before placing the order',
+      changes
+    );
   }
 
-  // Calculate pricing
   let subtotal = 0;
   let makingCharges = 0;
+  let gst = 0;
   let totalWeight = 0;
 
   const orderItems = cart.items.map((item) => {
-    const itemTotal = item.price * item.quantity;
-    subtotal += itemTotal;
-    makingCharges += item.productId.makingCharges * item.quantity;
+    const pricing = pricingService.calculatePrice(item.productId, rates);
+
+    subtotal += pricing.metalValue * item.quantity;
+    makingCharges += pricing.makingCharges * item.quantity;
+    gst += pricing.gst * item.quantity;
     totalWeight += item.productId.weight * item.quantity;
 
     return {
       productId: item.productId._id,
       name: item.productId.name,
       quantity: item.quantity,
-      price: item.price,
+      price: pricing.sellingPrice,
+      metalValue: pricing.metalValue,
+      makingCharges: pricing.makingCharges,
+      gst: pricing.gst,
+      gstRate: pricing.gstRate,
       weight: item.productId.weight,
+      purity: item.productId.purity,
+      metalRate: pricing.metalRate,
       image: item.productId.images[0]?.url || '',
     };
   });
 
-  // Calculate GST (3% on subtotal + making charges)
-  const gst = ((subtotal + makingCharges) * 3) / 100;
+  // Split GST into CGST + SGST or IGST by the shipping state
+  const tax = taxService.calculate(orderItems, shippingAddress.state);
+  orderItems.forEach((orderItem, index) => {
+    const { taxableValue, cgst, sgst, igst } = tax.lines[index];
+    orderItem.tax = { taxableValue, cgst, sgst, igst };
+  });
 
-  // Calculate shipping charges based on weight
-  const shippingCharges = totalWeight > 100 ? 200 : totalWeight > 50 ? 150 : 100;
+  // Shipping charge for the chosen option, by destination, weight and value
+  const shipping = await shippingService.selectOption(
+    {
+      pincode: shippingAddress.pincode,
+      state: shippingAddress.state,
+      weight: totalWeight,
+      orderValue: subtotal + makingCharges + gst,
+    },
+    shippingMethod
+  );
+  const shippingCharges = shipping.charge;
 
   // Apply coupon if provided
   let discount = 0;
+  let coupon = null;
   if (couponCode) {
-    const coupon = await Coupon.findOne({
-      code: couponCode.toUpperCase(),
-      isActive: true,
-      validFrom: { $lte: new Date() },
-      validUntil: { $gte: new Date() },
-    });
+    const lines = cart.items.map((item, index) => ({
+      productId: item.productId._id,
+      category: item.productId.category,
+      amount: orderItems[index].price * item.quantity,
+    }));
+
+    const applied = await couponService.applyCoupon(
+      couponCode,
+      lines,
+      req.user,
+      shippingCharges
+    );
+    coupon = applied.coupon;
+    discount = applied.discount;
+  }
 
-    if (!coupon) {
-      throw new ApiError(400, 'Invalid or expired coupon code');
-    }
+  let total = subtotal + makingCharges + gst + shippingCharges - discount;
 
-    if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
-      throw new ApiError(400, 'Coupon usage limit has been reached');
-    }
+  // Cash on delivery depends on the pincode and order value, and may carry a fee
+  let codFee = 0;
+  if (paymentMethod === PAYMENT_METHOD.COD) {
+    codFee = await codService.assertEligible(shippingAddress.pincode, total);
+    total += codFee;
+  }
 
-    const orderSubtotal = subtotal + makingCharges + gst + shippingCharges;
+  // Record coupon redemption against the order id before creating it
+  const orderId = new mongoose.Types.ObjectId();
+  if (coupon) {
+    await couponService.redeemCoupon(coupon, req.user, orderId, discount);
+  }
 
-    if (orderSubtotal < coupon.minOrderAmount) {
-      throw new ApiError(
-        400,
-        `Minimum order amount of ₹${coupon.minOrderAmount} required for this coupon`
-      );
-    }
+  // Create order with its stock held atomically
+  let order;
+  try {
+    // Unpaid or unconfirmed (COD) orders give their stock back when the hold expires
+    const reservation = await inventoryService.reserveStock(
+      orderId,
+      req.user?._id,
+      orderItems
+    );
 
-    if (coupon.discountType === 'percentage') {
-      discount = (orderSubtotal * coupon.discountValue) / 100;
-      if (coupon.maxDiscountAmount) {
-        discount = Math.min(discount, coupon.maxDiscountAmount);
-      }
-    } else {
-      discount = coupon.discountValue;
+    order = await Order.create({
+      _id: orderId,
+      userId: req.user?._id,
+      guest: req.user
+        ? undefined
+        : { sessionId: req.guestId, email: guest.email, phone: guest.phone },
+      items: orderItems,
+      pricing: {
+        subtotal: Math.round(subtotal * 100) / 100,
+        makingCharges: Math.round(makingCharges * 100) / 100,
+        gst: Math.round(gst * 100) / 100,
+        tax: {
+          placeOfSupply: tax.summary.placeOfSupply,
+          intraState: tax.summary.intraState,
+          taxableValue: tax.summary.taxableValue,
+          cgst: tax.summary.cgst,
+          sgst: tax.summary.sgst,
+          igst: tax.summary.igst,
+        },
+        shippingCharges,
+        discount: Math.round(discount * 100) / 100,
+        codFee,
+        total: Math.round(total * 100) / 100,
+      },
+      coupon: coupon ? { couponId: coupon._id, code: coupon.code } : undefined,
+      shipping: {
+        ruleId: shipping.ruleId,
+        method: shipping.method,
+        name: shipping.name,
+        charge: shipping.charge,
+        freeShipping: shipping.freeShipping,
+        estimatedDays: shipping.estimatedDays,
+        estimatedDelivery: shipping.estimatedDelivery,
+      },
+      shippingAddress,
+      billingAddress: billingAddress || shippingAddress,
+      payment: {
+        method: paymentMethod,
+        status: 'pending',
+      },
+      notes,
+      reservationExpiresAt: reservation.expiresAt,
+    });
+  } catch (error) {
+    await inventoryService.releaseReservation(orderId, 'Order creation failed');
+    if (coupon) {
+      await couponService.releaseRedemption(orderId, 'Order creation failed');
     }
-
-    // Update coupon usage
-    coupon.usedCount += 1;
-    await coupon.save();
+    throw error;
   }
 
-  const total = subtotal + makingCharges + gst + shippingCharges - discount;
-
-  // Create order
-  const order = await Order.create({
-    userId: req.user._id,
-    items: orderItems,
-    pricing: {
-      subtotal: Math.round(subtotal * 100) / 100,
-      makingCharges: Math.round(makingCharges * 100) / 100,
-      gst: Math.round(gst * 100) / 100,
-      shippingCharges,
-      discount: Math.round(discount * 100) / 100,
-      total: Math.round(total * 100) / 100,
-    },
-    shippingAddress,
-    billingAddress: billingAddress || shippingAddress,
-    payment: {
-      method: paymentMethod,
-      status: 'pending',
-    },
-    notes,
-  });
+  // COD orders are accepted once the customer enters the code sent by SMS
+  const isCod = paymentMethod === PAYMENT_METHOD.COD;
+  let otpSent = false;
+  if (isCod) {
+    try {
+      await codService.sendOtp(order);
+      await order.save();
+      otpSent = true;
+    } catch (error) {
+      console.error('COD verification code not sent:', error.message);
+    }
+  }
 
   // Send order creation email
   try {
+    const contact = req.user || order.getContact();
+
     await sendEmail({
-      email: req.user.email,
+      email: contact.email,
       subject: `Order Created - ${order.orderNumber}`,
       html: `
         <h1>Order Created Successfully!</h1>
-        <p>Hi ${req.user.firstName},</p>
+        <p>Hi ${contact.firstName},</p>
         <p>Your order has been created successfully.</p>
         <h2>Order Details:</h2>
         <p><strong>Order Number:</strong> ${order.orderNumber}</p>
         <p><strong>Total Amount:</strong> ₹${order.pricing.total}</p>
         <p><strong>Payment Method:</strong> ${paymentMethod.toUpperCase()}</p>
-        <p>Please complete the payment to confirm your order.</p>
+        <p>${
+          isCod
+            ? 'Please confirm your order with the code sent to your phone.'
+            : 'Please complete the payment to confirm your order.'
+        }</p>
         <p>Thank you for shopping with Lakshmi Silver!</p>
       `,
     });
@@ -220,7 +341,99 @@ const createOrder = asyncHandler(async (req, res) => {
   }
 
   res.status(201).json(
-    new ApiResponse(201, { order }, 'Order created successfully')
+    new ApiResponse(
+      201,
+      { order, codVerificationRequired: isCod, otpSent },
+      isCod
+        ? 'Order created. Enter the code sent to your phone to confirm it.'
+        : 'Order created successfully'
+    )
+  );
+});
+
+// @desc    Check cash on delivery availability
+// @route   GET /api/v1/orders/cod/eligibility
+// @access  Public (customer or guest)
+const getCodEligibility = asyncHandler(async (req, res) => {
+  const { pincode, amount } = req.query;
+
+  if (!/^\d{6}$/.test(pincode || '')) {
+    throw new ApiError(400, 'Pincode must be 6 digits');
+  }
+
+  const eligibility = await codService.checkEligibility(
+    pincode,
+    Number(amount) || 0
+  );
+
+  res.status(200).json(
+    new ApiResponse(200, eligibility, 'COD eligibility fetched successfully')
+  );
+});
+
+// Load the customer's or guest's own pending COD order
+const findPendingCodOrder = async (orderId, req, select = '') => {
+  const order = await Order.findById(orderId).select(select);
+
+  if (!order) {
+    throw new ApiError(404, 'Order not found');
+  }
+
+  if (!order.isOwnedBy(req.user, req.guestId)) {
+    throw new ApiError(403, 'Not authorized to access this order');
+  }
+
+  if (order.payment.method !== PAYMENT_METHOD.COD) {
+    throw new ApiError(400, 'This is not a cash on delivery order');
+  }
+
+  if (order.status !== ORDER_STATUS.PENDING) {
+    throw new ApiError(400, `Cannot confirm order with status: ${order.status}`);
+  }
+
+  return order;
+};
+
+// @desc    Confirm COD order with the SMS code
+// @route   POST /api/v1/orders/:id/cod/verify
+// @access  Public (customer or guest)
+const verifyCodOrder = asyncHandler(async (req, res) => {
+  const { otp } = req.body;
+
+  const order = await findPendingCodOrder(
+    req.params.id,
+    req,
+    '+codVerification.otp'
+  );
+
+  if (!codService.verifyOtp(order, otp)) {
+    await order.save();
+    throw new ApiError(400, 'Invalid or expired verification code');
+  }
+
+  // Secures the stock, clears the cart and notifies the customer
+  await orderStatusService.transition(order, ORDER_STATUS.CONFIRMED, {
+    role: ORDER_ACTOR.CUSTOMER,
+    updatedBy: req.user?._id || 'guest',
+    note: 'Cash on delivery confirmed by SMS',
+  });
+
+  res.status(200).json(
+    new ApiResponse(200, { order }, 'Order confirmed successfully')
+  );
+});
+
+// @desc    Resend COD confirmation code
+// @route   POST /api/v1/orders/:id/cod/resend-otp
+// @access  Public (customer or guest)
+const resendCodOtp = asyncHandler(async (req, res) => {
+  const order = await findPendingCodOrder(req.params.id, req);
+
+  await codService.sendOtp(order);
+  await order.save();
+
+  res.status(200).json(
+    new ApiResponse(200, null, 'Verification code sent successfully')
   );
 });
 
@@ -237,48 +450,18 @@ const cancelOrder = asyncHandler(async (req, res) => {
   }
 
   // Check if order belongs to user
-  if (order.userId.toString() !== req.user._id.toString()) {
+  if (!order.isOwnedBy(req.user)) {
     throw new ApiError(403, 'Not authorized to cancel this order');
   }
 
-  // Check if order can be cancelled
-  if (['shipped', 'delivered', 'cancelled'].includes(order.status)) {
-    throw new ApiError(
-      400,
-      `Cannot cancel order with status: ${order.status}`
-    );
-  }
-
-  order.status = 'cancelled';
+  // Orders can be cancelled until they are shipped; the state machine
+  // releases stock and the coupon and emails the customer
   order.cancellationReason = reason || 'Cancelled by customer';
-  await order.save();
-
-  // Restore stock if order was confirmed
-  if (order.payment.status === 'completed') {
-    for (const item of order.items) {
-      await Product.findByIdAndUpdate(item.productId, {
-        $inc: { 'stock.quantity': item.quantity },
-      });
-    }
-  }
-
-  // Send cancellation email
-  try {
-    await sendEmail({
-      email: req.user.email,
-      subject: `Order Cancelled - ${order.orderNumber}`,
-      html: `
-        <h1>Order Cancelled</h1>
-        <p>Hi ${req.user.firstName},</p>
-        <p>Your order <strong>${order.orderNumber}</strong> has been cancelled successfully.</p>
-        <p><strong>Reason:</strong> ${order.cancellationReason}</p>
-        <p>If payment was made, refund will be processed within 5-7 business days.</p>
-        <p>Thank you for your understanding.</p>
-      `,
-    });
-  } catch (error) {
-    console.error('Email sending failed:', error);
-  }
+  await orderStatusService.transition(order, ORDER_STATUS.CANCELLED, {
+    role: ORDER_ACTOR.CUSTOMER,
+    updatedBy: req.user._id,
+    note: order.cancellationReason,
+  });
 
   res.status(200).json(
     new ApiResponse(200, { order }, 'Order cancelled successfully')
@@ -331,94 +514,120 @@ const getAllOrders = asyncHandler(async (req, res) => {
 // @route   PUT /api/v1/orders/:id/status
 // @access  Private/Admin
 const updateOrderStatus = asyncHandler(async (req, res) => {
-  const { status, note, trackingNumber, courier } = req.body;
+  const { status, note, trackingNumber, courier, collection } = req.body;
 
   if (!status) {
     throw new ApiError(400, 'Status is required');
   }
 
-  const order = await Order.findById(req.params.id).populate(
-    'userId',
-    'email firstName'
-  );
+  const order = await Order.findById(req.params.id);
 
   if (!order) {
     throw new ApiError(404, 'Order not found');
   }
 
-  const oldStatus = order.status;
-  order.status = status;
+  // Update tracking info if provided
+  if (status === ORDER_STATUS.SHIPPED && (trackingNumber || courier)) {
+    order.tracking = {
+      ...order.tracking,
+      trackingNumber: trackingNumber || order.tracking.trackingNumber,
+      courier: courier || order.tracking.courier,
+    };
+  }
 
-  // Add to status history
-  order.statusHistory.push({
-    status,
-    note: note || `Status changed from ${oldStatus} to ${status}`,
+  // Checks the move is legal and runs its stock, payment, invoice,
+  // notification and email hooks
+  await orderStatusService.transition(order, status, {
+    role: ORDER_ACTOR.ADMIN,
     updatedBy: req.user._id,
-    timestamp: new Date(),
+    note,
+    collection,
   });
 
-  // Update tracking info if provided
-  if (status === 'shipped') {
-    if (trackingNumber || courier) {
-      order.tracking = {
-        ...order.tracking,
-        trackingNumber: trackingNumber || order.tracking.trackingNumber,
-        courier: courier || order.tracking.courier,
-      };
-    }
+  res.status(200).json(
+    new ApiResponse(200, { order }, 'Order status updated successfully')
+  );
+});
+
+// @desc    Download GST tax invoice
+// @route   GET /api/v1/orders/:id/invoice
+// @access  Public (customer, admin or the guest session that placed it)
+const getOrderInvoice = asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    throw new ApiError(404, 'Order not found');
   }
 
-  // If order is confirmed for first time, update stock and clear cart
-  if (status === 'confirmed' && oldStatus === 'pending') {
-    // Update product stock
-    for (const item of order.items) {
-      const product = await Product.findById(item.productId);
-      if (product) {
-        product.stock.quantity -= item.quantity;
-        await product.save();
-      }
-    }
+  // Check if order belongs to user or guest, or user is admin
+  if (
+    !order.isOwnedBy(req.user, req.guestId) &&
+    req.user?.role !== 'admin'
+  ) {
+    throw new ApiError(403, 'Not authorized to access this order');
+  }
 
-    // Clear user cart
-    await Cart.findOneAndUpdate({ userId: order.userId._id }, { items: [] });
+  if (!order.invoice?.number) {
+    throw new ApiError(404, 'Invoice is available once payment is complete');
   }
 
-  await order.save();
+  const pdf = invoiceService.generatePdf([order]);
 
-  // Send status update email
-  try {
-    let emailHtml = `
-      <h1>Order Status Updated</h1>
-      <p>Hi ${order.userId.firstName},</p>
-      <p>Your order <strong>${order.orderNumber}</strong> status has been updated.</p>
-      <p><strong>New Status:</strong> ${status.toUpperCase()}</p>
-    `;
-
-    if (note) {
-      emailHtml += `<p><strong>Note:</strong> ${note}</p>`;
-    }
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="invoice-${order.invoice.number.replace(/\//g, '-')}.pdf"`,
+    'Content-Length': pdf.length,
+  });
+  res.status(200).send(pdf);
+});
 
-    if (trackingNumber) {
-      emailHtml += `<p><strong>Tracking Number:</strong> ${trackingNumber}</p>`;
-    }
+// @desc    Claim orders placed as a guest
+// @route   POST /api/v1/orders/claim
+// @access  Private
+const claimGuestOrders = asyncHandler(async (req, res) => {
+  const email = (req.body.email || req.user.email).toLowerCase();
+
+  // The account email was verified at sign up, so its orders are theirs
+  if (email === req.user.email.toLowerCase() && req.user.isVerified) {
+    const claimedOrders = await guestService.claimOrders(email, req.user._id);
+
+    return res.status(200).json(
+      new ApiResponse(
+        200,
+        { claimedOrders },
+        claimedOrders
+          ? 'Guest orders added to your account'
+          : 'No guest orders found for your email'
+      )
+    );
+  }
 
-    if (courier) {
-      emailHtml += `<p><strong>Courier:</strong> ${courier}</p>`;
-    }
+  await guestService.requestClaim(req.user, email);
 
-    emailHtml += `<p>Thank you for shopping with Lakshmi Silver!</p>`;
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      null,
+      'If there are guest orders for this email, we have sent a link to add them to your account'
+    )
+  );
+});
 
-    await sendEmail({
-      email: order.userId.email,
-      subject: `Order Update - ${order.orderNumber}`,
-      html: emailHtml,
-    });
-  } catch (error) {
-    console.error('Email sending failed:', error);
-  }
+// @desc    Confirm the emailed link to claim guest orders
+// @route   POST /api/v1/orders/claim/verify
+// @access  Private
+const verifyGuestOrderClaim = asyncHandler(async (req, res) => {
+  const claimedOrders = await guestService.verifyClaim(
+    req.user,
+    req.body.token
+  );
 
   res.status(200).json(
-    new ApiResponse(200, { order }, 'Order status updated successfully')
+    new ApiResponse(
+      200,
+      { claimedOrders },
+      'Guest orders added to your account'
+    )
   );
 });
 
@@ -429,4 +638,10 @@ module.exports = {
   cancelOrder,
   getAllOrders,
   updateOrderStatus,
+  getCodEligibility,
+  verifyCodOrder,
+  resendCodOtp,
+  getOrderInvoice,
+  claimGuestOrders,
+  verifyGuestOrderClaim,
 };
@@ -1,15 +1,38 @@
 const Order = require('../models/Order.model');
 const User = require('../models/User.model');
-const Product = require('../models/Product.model');
+const ReturnRequest = require('../models/ReturnRequest.model');
+const WebhookEvent = require('../models/WebhookEvent.model');
 const ApiError = require('../utils/ApiError');
 const ApiResponse = require('../utils/ApiResponse');
 const asyncHandler = require('../utils/asyncHandler');
 const paymentService = require('../services/payment.service');
+const notificationService = require('../services/notification.service');
+const orderStatusService = require('../services/orderStatus.service');
 const sendEmail = require('../utils/sendEmail');
-
-// @desc    Create Razorpay order for payment
+const {
+  ORDER_STATUS,
+  ORDER_ACTOR,
+  PAYMENT_STATUS,
+  PAYMENT_GATEWAY,
+  REFUND_STATUS,
+  WEBHOOK_EVENT_STATUS,
+  USER_ROLES,
+  NOTIFICATION_TYPE,
+} = require('../constants');
+
+// Events left processing this long are assumed to have crashed mid-way
+const WEBHOOK_STUCK_AFTER_MS = 5 * 60 * 1000;
+
+// Payment statuses of an order that has been paid
+const PAID_STATUSES = [
+  PAYMENT_STATUS.COMPLETED,
+  PAYMENT_STATUS.PARTIALLY_REFUNDED,
+  PAYMENT_STATUS.REFUNDED,
+];
+
+// @desc    Create gateway order for payment
 // @route   POST /api/v1/payments/create-order
-// @access  Private
+// @access  Public (customer or guest)
 const createPaymentOrder = asyncHandler(async (req, res) => {
   const { orderId } = req.body;
 
@@ -20,29 +43,23 @@ const createPaymentOrder = asyncHandler(async (req, res) => {
     throw new ApiError(404, 'Order not found');
   }
 
-  // Check if order belongs to user
-  if (order.userId.toString() !== req.user._id.toString()) {
+  // Check if order belongs to user or guest
+  if (!order.isOwnedBy(req.user, req.guestId)) {
     throw new ApiError(403, 'Not authorized to access this order');
   }
 
   // Check if order is already paid
-  if (order.payment.status === 'completed') {
+  if (PAID_STATUSES.includes(order.payment.status)) {
     throw new ApiError(400, 'Order is already paid');
   }
 
-  // Check if payment method is Razorpay
+  // Check if the order is paid online
   if (order.payment.method !== 'razorpay') {
-    throw new ApiError(
-      400,
-      'This order does not use Razorpay as payment method'
-    );
+    throw new ApiError(400, 'This order is not paid online');
   }
 
-  // Create Razorpay order
-  const razorpayOrder = await paymentService.createRazorpayOrder(order);
-
-  // Update order with Razorpay order ID
-  order.payment.razorpayOrderId = razorpayOrder.id;
+  // Create gateway order (also records the gateway and its order ID)
+  const gatewayOrder = await paymentService.createGatewayOrder(order);
   await order.save();
 
   res.status(200).json(
@@ -51,22 +68,28 @@ const createPaymentOrder = asyncHandler(async (req, res) => {
       {
         orderId: order._id,
         orderNumber: order.orderNumber,
-        razorpayOrderId: razorpayOrder.id,
-        amount: razorpayOrder.amount,
-        currency: razorpayOrder.currency,
-        keyId: process.env.RAZORPAY_KEY_ID,
+        gateway: order.payment.gateway,
+        gatewayOrderId: gatewayOrder.id,
+        amount: gatewayOrder.amount,
+        currency: gatewayOrder.currency,
+        checkout: gatewayOrder.checkout,
       },
       'Payment order created successfully'
     )
   );
 });
 
-// @desc    Verify payment after Razorpay checkout
+// @desc    Verify payment after gateway checkout
 // @route   POST /api/v1/payments/verify
-// @access  Private
+// @access  Public (customer or guest)
 const verifyPayment = asyncHandler(async (req, res) => {
-  const { orderId, razorpayOrderId, razorpayPaymentId, razorpaySignature } =
-    req.body;
+  const { orderId } = req.body;
+
+  // razorpay* keys are still accepted from older checkout clients
+  const gatewayOrderId = req.body.gatewayOrderId || req.body.razorpayOrderId;
+  const gatewayPaymentId =
+    req.body.gatewayPaymentId || req.body.razorpayPaymentId;
+  const signature = req.body.signature || req.body.razorpaySignature;
 
   // Find order and populate user
   const order = await Order.findById(orderId).populate(
@@ -78,17 +101,26 @@ const verifyPayment = asyncHandler(async (req, res) => {
     throw new ApiError(404, 'Order not found');
   }
 
-  // Check if order belongs to user
-  if (order.userId._id.toString() !== req.user._id.toString()) {
+  // Check if order belongs to user or guest
+  if (!order.isOwnedBy(req.user, req.guestId)) {
     throw new ApiError(403, 'Not authorized to access this order');
   }
 
+  // The payment.captured webhook may have confirmed the order already
+  if (PAID_STATUSES.includes(order.payment.status)) {
+    return res.status(200).json(
+      new ApiResponse(200, { order }, 'Payment already verified')
+    );
+  }
+
   // Verify payment signature
-  const isValid = paymentService.verifyPaymentSignature(
-    razorpayOrderId,
-    razorpayPaymentId,
-    razorpaySignature
-  );
+  const isValid =
+    gatewayOrderId === order.payment.gatewayOrderId &&
+    paymentService.verifyPaymentSignature(order, {
+      gatewayOrderId,
+      gatewayPaymentId,
+      signature,
+    });
 
   if (!isValid) {
     // Mark payment as failed
@@ -99,28 +131,35 @@ const verifyPayment = asyncHandler(async (req, res) => {
 
   // Process successful payment
   const updatedOrder = await paymentService.processSuccessfulPayment(order, {
-    razorpayOrderId,
-    razorpayPaymentId,
-    razorpaySignature,
+    gatewayOrderId,
+    gatewayPaymentId,
+    signature,
   });
 
+  await notificationService.notifyPayment(
+    order,
+    'Payment successful',
+    `We received ₹${order.pricing.total} for order ${order.orderNumber}. Your order is confirmed.`,
+    { paymentId: gatewayPaymentId }
+  );
+
   // Send order confirmation email
   try {
     await sendEmail({
-      email: order.userId.email,
+      email: order.getContact().email,
       subject: `Payment Successful - Order ${order.orderNumber}`,
       html: `
         <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
           <h1 style="color: #4F46E5;">Payment Successful!</h1>
-          <p>Hi ${order.userId.firstName},</p>
+          <p>Hi ${order.getContact().firstName},</p>
           <p>Thank you for your payment. Your order has been confirmed.</p>
           
           <div style="background: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
             <h2 style="margin-top: 0;">Order Details</h2>
             <p><strong>Order Number:</strong> ${order.orderNumber}</p>
             <p><strong>Total Amount:</strong> ₹${order.pricing.total}</p>
-            <p><strong>Payment ID:</strong> ${razorpayPaymentId}</p>
-            <p><strong>Payment Method:</strong> Razorpay</p>
+            <p><strong>Payment ID:</strong> ${gatewayPaymentId}</p>
+            <p><strong>Payment Method:</strong> Online</p>
           </div>
 
           <p>We will send you a shipping update soon.</p>
@@ -146,148 +185,459 @@ const verifyPayment = asyncHandler(async (req, res) => {
   );
 });
 
-// @desc    Handle Razorpay webhook events
-// @route   POST /api/v1/payments/webhook
-// @access  Public (Razorpay only)
+// @desc    Handle payment gateway webhook events
+// @route   POST /api/v1/payments/webhook/:gateway?
+// @access  Public (payment gateway only)
 const handleWebhook = asyncHandler(async (req, res) => {
-  const webhookSignature = req.headers['x-razorpay-signature'];
-  const webhookBody = req.body;
+  const gateway = paymentService.getGateway(req.params.gateway);
+  const webhookSignature = req.headers[gateway.signatureHeader];
+  const rawBody = req.body;
 
-  // Verify webhook signature
-  const isValid = paymentService.verifyWebhookSignature(
-    webhookBody,
-    webhookSignature
-  );
+  if (!Buffer.isBuffer(rawBody)) {
+    throw new ApiError(400, 'Webhook body must be sent as application/json');
+  }
+
+  // Gateways send the same event id with every retry of a delivery
+  const eventId = gateway.getWebhookEventId(rawBody, req.headers);
+
+  // Verify webhook signature on the exact bytes received, before parsing
+  const isValid = gateway.verifyWebhook(rawBody, req.headers);
 
   if (!isValid) {
     console.error('Invalid webhook signature');
+    await WebhookEvent.create({
+      gateway: gateway.name,
+      eventId,
+      rawBody: rawBody.toString('utf8'),
+      signature: webhookSignature,
+      status: WEBHOOK_EVENT_STATUS.REJECTED,
+    });
     throw new ApiError(400, 'Invalid webhook signature');
   }
 
-  const event = webhookBody.event;
-  const payload = webhookBody.payload.payment.entity;
+  let webhookBody;
 
-  console.log('Webhook event received:', event);
+  try {
+    webhookBody = JSON.parse(rawBody.toString('utf8'));
+  } catch {
+    throw new ApiError(400, 'Invalid webhook payload');
+  }
 
-  // Handle different webhook events
-  switch (event) {
-    case 'payment.captured':
-      await handlePaymentCaptured(payload);
-      break;
+  console.log('Webhook event received:', webhookBody.event, eventId);
 
-    case 'payment.failed':
-      await handlePaymentFailed(payload);
-      break;
+  let webhookEvent;
 
-    case 'refund.processed':
-      await handleRefundProcessed(webhookBody.payload.refund.entity);
-      break;
+  try {
+    webhookEvent = await WebhookEvent.create({
+      gateway: gateway.name,
+      eventId,
+      event: webhookBody.event,
+      payload: webhookBody,
+      rawBody: rawBody.toString('utf8'),
+      signature: webhookSignature,
+      signatureValid: true,
+      attempts: 1,
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    // Seen before - only an event that failed earlier is processed again
+    webhookEvent = await WebhookEvent.findOneAndUpdate(
+      {
+        gateway: gateway.name,
+        eventId,
+        signatureValid: true,
+        status: WEBHOOK_EVENT_STATUS.FAILED,
+      },
+      { status: WEBHOOK_EVENT_STATUS.PROCESSING, $inc: { attempts: 1 } },
+      { new: true }
+    );
 
-    default:
-      console.log(`Unhandled webhook event: ${event}`);
+    if (!webhookEvent) {
+      console.log('Duplicate webhook event acknowledged:', eventId);
+      return res.status(200).json({ status: 'ok', duplicate: true });
+    }
   }
 
+  await processWebhookEvent(webhookEvent);
+
   res.status(200).json({ status: 'ok' });
 });
 
-// Helper function: Handle payment captured event
-async function handlePaymentCaptured(payload) {
-  try {
-    const orderId = payload.notes.orderId;
-    const order = await Order.findById(orderId).populate(
-      'userId',
-      'email firstName'
-    );
+// Helper function: Run the handler for a stored webhook event and record the outcome.
+// Failures are kept for replay instead of being retried by the gateway.
+async function processWebhookEvent(webhookEvent) {
+  const gateway = paymentService.getGateway(webhookEvent.gateway);
+  const { event, payment, refund, dispute } = gateway.parseWebhook(
+    webhookEvent.payload
+  );
 
-    if (!order) {
-      console.error('Order not found for payment:', payload.id);
-      return;
+  try {
+    switch (event) {
+      case 'payment.authorized':
+        await handlePaymentAuthorized(payment);
+        break;
+
+      case 'payment.captured':
+      case 'order.paid':
+        await handlePaymentCaptured(payment);
+        break;
+
+      case 'payment.failed':
+        await handlePaymentFailed(payment);
+        break;
+
+      case 'refund.processed':
+        await handleRefundProcessed(refund);
+        break;
+
+      case 'refund.failed':
+        await handleRefundFailed(refund);
+        break;
+
+      case 'payment.dispute.created':
+      case 'payment.dispute.won':
+      case 'payment.dispute.lost':
+      case 'payment.dispute.closed':
+      case 'payment.dispute.under_review':
+      case 'payment.dispute.action_required':
+        await handlePaymentDispute(event, dispute);
+        break;
+
+      default:
+        console.log(`Unhandled webhook event: ${event}`);
+        webhookEvent.status = WEBHOOK_EVENT_STATUS.IGNORED;
     }
 
-    if (order.payment.status === 'completed') {
-      console.log('Order already processed:', order.orderNumber);
-      return;
+    if (webhookEvent.status !== WEBHOOK_EVENT_STATUS.IGNORED) {
+      webhookEvent.status = WEBHOOK_EVENT_STATUS.PROCESSED;
     }
+    webhookEvent.processedAt = new Date();
+    webhookEvent.lastError = undefined;
+  } catch (error) {
+    console.error(`Error handling ${event} (${webhookEvent.eventId}):`, error);
+    webhookEvent.status = WEBHOOK_EVENT_STATUS.FAILED;
+    webhookEvent.lastError = error.message;
+  }
 
-    // Process payment
-    await paymentService.processSuccessfulPayment(order, {
-      razorpayOrderId: payload.order_id,
-      razorpayPaymentId: payload.id,
-      razorpaySignature: '',
-    });
+  await webhookEvent.save();
+  return webhookEvent;
+}
+
+// Helper function: Handle payment captured event
+async function handlePaymentCaptured(payload) {
+  const orderId = payload.notes.orderId;
+  const order = await Order.findById(orderId).populate(
+    'userId',
+    'email firstName'
+  );
+
+  if (!order) {
+    console.error('Order not found for payment:', payload.id);
+    return;
+  }
+
+  if (PAID_STATUSES.includes(order.payment.status)) {
+    console.log('Order already processed:', order.orderNumber);
+    return;
+  }
 
-    // Send email
+  // Process payment
+  await paymentService.processSuccessfulPayment(order, {
+    gatewayOrderId: payload.orderId,
+    gatewayPaymentId: payload.id,
+    signature: '',
+  });
+
+  await notificationService.notifyPayment(
+    order,
+    'Payment received',
+    `We received ₹${order.pricing.total} for order ${order.orderNumber}.`,
+    { paymentId: payload.id }
+  );
+
+  // Send email
+  try {
     await sendEmail({
-      email: order.userId.email,
+      email: order.getContact().email,
       subject: `Payment Received - ${order.orderNumber}`,
       html: `
         <h1>Payment Received!</h1>
-        <p>Hi ${order.userId.firstName},</p>
+        <p>Hi ${order.getContact().firstName},</p>
         <p>We have received your payment of ₹${order.pricing.total}.</p>
         <p>Order Number: ${order.orderNumber}</p>
         <p>Payment ID: ${payload.id}</p>
         <p>Thank you for shopping with Lakshmi Silver!</p>
       `,
     });
-
-    console.log('Payment captured successfully:', payload.id);
   } catch (error) {
-    console.error('Error handling payment captured:', error);
+    console.error('Email sending failed:', error);
   }
+
+  console.log('Payment captured successfully:', payload.id);
+}
+
+// Helper function: Handle payment authorized event.
+// Payments are auto-captured unless RAZORPAY_MANUAL_CAPTURE is enabled,
+// in which case the authorized amount is checked and captured here.
+async function handlePaymentAuthorized(payload) {
+  const order = await Order.findById(payload.notes.orderId);
+
+  if (!order) {
+    console.error('Order not found for payment:', payload.id);
+    return;
+  }
+
+  if (PAID_STATUSES.includes(order.payment.status)) {
+    console.log('Order already processed:', order.orderNumber);
+    return;
+  }
+
+  order.payment.gatewayOrderId = payload.orderId;
+  order.payment.gatewayPaymentId = payload.id;
+  await order.save();
+
+  if (process.env.RAZORPAY_MANUAL_CAPTURE !== 'true') return;
+
+  if (Math.round(payload.amount * 100) !== Math.round(order.pricing.total * 100)) {
+    throw new ApiError(
+      400,
+      `Authorized amount ₹${payload.amount} does not match order ${order.orderNumber}`
+    );
+  }
+
+  // The payment.captured event that follows confirms the order
+  await paymentService.capturePayment(order, payload.id, order.pricing.total);
 }
 
 // Helper function: Handle payment failed event
 async function handlePaymentFailed(payload) {
-  try {
-    const orderId = payload.notes.orderId;
-    const order = await Order.findById(orderId);
+  const orderId = payload.notes.orderId;
+  const order = await Order.findById(orderId);
 
-    if (order) {
-      order.payment.status = 'failed';
-      await order.save();
-      console.log('Payment marked as failed:', payload.id);
-    }
-  } catch (error) {
-    console.error('Error handling payment failed:', error);
+  if (!order) return;
+
+  // A failed attempt arriving after a successful one must not undo it
+  if (PAID_STATUSES.includes(order.payment.status)) {
+    console.log('Ignoring failed attempt for paid order:', order.orderNumber);
+    return;
   }
+
+  order.payment.status = 'failed';
+  await order.save();
+
+  await notificationService.notifyPayment(
+    order,
+    'Payment failed',
+    `Payment for order ${order.orderNumber} failed. Please try again.`,
+    { paymentId: payload.id }
+  );
+
+  console.log('Payment marked as failed:', payload.id);
+}
+
+// Helper function: Update the refund ledger entry for a gateway refund.
+// Returns null when the order is unknown or the entry is already in that state.
+async function reconcileRefund(payload, status) {
+  const order =
+    (await Order.findOne({ 'refunds.refundId': payload.id }).populate(
+      'userId',
+      'email firstName'
+    )) ||
+    (await Order.findOne({
+      'payment.gatewayPaymentId': payload.paymentId,
+    }).populate('userId', 'email firstName'));
+
+  if (!order) {
+    console.error('Order not found for refund:', payload.id);
+    return null;
+  }
+
+  let entry = order.refunds.find((refund) => refund.refundId === payload.id);
+
+  // Refunds issued from the gateway dashboard are not in the ledger yet
+  if (!entry) {
+    order.refunds.push({
+      refundId: payload.id,
+      amount: payload.amount,
+      reason: payload.notes?.reason,
+      initiatedBy: order.payment.gateway || 'gateway',
+    });
+    entry = order.refunds[order.refunds.length - 1];
+  }
+
+  if (entry.status === status) {
+    console.log('Refund already reconciled:', payload.id);
+    return null;
+  }
+
+  entry.status = status;
+  if (status === REFUND_STATUS.PROCESSED) {
+    entry.processedAt = new Date();
+  } else {
+    entry.failureReason =
+      payload.failureReason || 'Refund failed at payment gateway';
+  }
+
+  order.syncRefundStatus();
+  await order.save();
+
+  if (entry.returnId) {
+    await ReturnRequest.updateOne(
+      { _id: entry.returnId },
+      { 'refund.status': status }
+    );
+  }
+
+  return { order, entry };
 }
 
 // Helper function: Handle refund processed event
 async function handleRefundProcessed(payload) {
+  const reconciled = await reconcileRefund(payload, REFUND_STATUS.PROCESSED);
+
+  if (!reconciled) return;
+
+  const { order, entry } = reconciled;
+
+  await notificationService.notifyPayment(
+    order,
+    'Refund processed',
+    `Your refund of ₹${entry.amount} for order ${order.orderNumber} has been processed.`,
+    { refundId: payload.id }
+  );
+
+  // Send refund email
   try {
-    const paymentId = payload.payment_id;
-    const order = await Order.findOne({
-      'payment.razorpayPaymentId': paymentId,
-    }).populate('userId', 'email firstName');
-
-    if (order) {
-      order.payment.status = 'refunded';
-      await order.save();
-
-      // Send refund email
-      await sendEmail({
-        email: order.userId.email,
-        subject: `Refund Processed - ${order.orderNumber}`,
-        html: `
-          <h1>Refund Processed</h1>
-          <p>Hi ${order.userId.firstName},</p>
-          <p>Your refund of ₹${payload.amount / 100} has been processed successfully.</p>
-          <p>Order Number: ${order.orderNumber}</p>
-          <p>Refund ID: ${payload.id}</p>
-          <p>The amount will be credited to your account within 5-7 business days.</p>
-        `,
-      });
-
-      console.log('Refund processed successfully:', payload.id);
-    }
+    await sendEmail({
+      email: order.getContact().email,
+      subject: `Refund Processed - ${order.orderNumber}`,
+      html: `
+        <h1>Refund Processed</h1>
+        <p>Hi ${order.getContact().firstName},</p>
+        <p>Your refund of ₹${entry.amount} has been processed successfully.</p>
+        <p>Order Number: ${order.orderNumber}</p>
+        <p>Refund ID: ${payload.id}</p>
+        <p>The amount will be credited to your account within 5-7 business days.</p>
+      `,
+    });
   } catch (error) {
-    console.error('Error handling refund processed:', error);
+    console.error('Email sending failed:', error);
   }
+
+  console.log('Refund processed successfully:', payload.id);
 }
 
+// Helper function: Handle refund failed event
+async function handleRefundFailed(payload) {
+  const reconciled = await reconcileRefund(payload, REFUND_STATUS.FAILED);
+
+  if (!reconciled) return;
+
+  const { order, entry } = reconciled;
+
+  await notificationService.notifyPayment(
+    order,
+    'Refund failed',
+    `Your refund of ₹${entry.amount} for order ${order.orderNumber} could not be processed. Our team will retry it shortly.`,
+    { refundId: payload.id }
+  );
+
+  console.error('Refund failed:', payload.id, entry.failureReason);
+}
+
+// Helper function: Record a chargeback on the order and alert admins
+async function handlePaymentDispute(event, payload) {
+  const order = await Order.findOne({
+    'payment.gatewayPaymentId': payload.paymentId,
+  });
+
+  if (!order) {
+    console.error('Order not found for dispute:', payload.id);
+    return;
+  }
+
+  let dispute = order.disputes.find(
+    (existing) => existing.disputeId === payload.id
+  );
+
+  if (!dispute) {
+    order.disputes.push({ disputeId: payload.id });
+    dispute = order.disputes[order.disputes.length - 1];
+  }
+
+  dispute.amount = payload.amount;
+  dispute.reasonCode = payload.reasonCode;
+  dispute.status = payload.status;
+  dispute.phase = payload.phase;
+  dispute.respondBy = payload.respondBy;
+  dispute.updatedAt = new Date();
+  await order.save();
+
+  const admins = await User.find({
+    role: USER_ROLES.ADMIN,
+    isActive: true,
+  }).select('_id');
+
+  const deadline = dispute.respondBy
+    ? ` Respond by ${dispute.respondBy.toDateString()}.`
+    : '';
+
+  for (const admin of admins) {
+    await notificationService.notify(admin._id, {
+      type: NOTIFICATION_TYPE.PAYMENT,
+      title: `Payment dispute ${payload.status}`,
+      message: `Dispute of ₹${dispute.amount} on order ${order.orderNumber} is ${payload.status}.${deadline}`,
+      link: `/admin/orders/${order._id}`,
+      metadata: { orderId: order._id, disputeId: payload.id, event },
+    });
+  }
+
+  console.log(`Dispute ${payload.id} ${event}:`, order.orderNumber);
+}
+
+// @desc    Complete checkout on the mock gateway (local development only)
+// @route   POST /api/v1/payments/mock/pay
+// @access  Public (customer or guest)
+const payWithMockGateway = asyncHandler(async (req, res) => {
+  const { orderId, outcome } = req.body;
+
+  const order = await Order.findById(orderId);
+
+  if (!order) {
+    throw new ApiError(404, 'Order not found');
+  }
+
+  if (!order.isOwnedBy(req.user, req.guestId)) {
+    throw new ApiError(403, 'Not authorized to access this order');
+  }
+
+  if (order.payment.gateway !== PAYMENT_GATEWAY.MOCK) {
+    throw new ApiError(400, 'This order is not paid through the mock gateway');
+  }
+
+  const { payment, signature } = paymentService
+    .getGateway(PAYMENT_GATEWAY.MOCK)
+    .simulatePayment(order.payment.gatewayOrderId, { outcome });
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        orderId: order._id,
+        gatewayOrderId: payment.orderId,
+        gatewayPaymentId: payment.id,
+        signature,
+        status: payment.status,
+      },
+      'Mock payment created. Send these details to /payments/verify'
+    )
+  );
+});
+
 // @desc    Get payment status
 // @route   GET /api/v1/payments/:orderId/status
-// @access  Private
+// @access  Public (customer or guest)
 const getPaymentStatus = asyncHandler(async (req, res) => {
   const order = await Order.findById(req.params.orderId);
 
@@ -297,8 +647,8 @@ const getPaymentStatus = asyncHandler(async (req, res) => {
 
   // Check authorization
   if (
-    order.userId.toString() !== req.user._id.toString() &&
-    req.user.role !== 'admin'
+    !order.isOwnedBy(req.user, req.guestId) &&
+    req.user?.role !== 'admin'
   ) {
     throw new ApiError(403, 'Not authorized to access this order');
   }
@@ -313,19 +663,20 @@ const getPaymentStatus = asyncHandler(async (req, res) => {
         paymentMethod: order.payment.method,
         amount: order.pricing.total,
         paidAt: order.payment.paidAt,
-        razorpayOrderId: order.payment.razorpayOrderId,
-        razorpayPaymentId: order.payment.razorpayPaymentId,
+        gateway: order.payment.gateway,
+        gatewayOrderId: order.payment.gatewayOrderId,
+        gatewayPaymentId: order.payment.gatewayPaymentId,
       },
       'Payment status fetched successfully'
     )
   );
 });
 
-// @desc    Initiate refund (Admin only)
+// @desc    Refund an amount or line items of an order (Admin only)
 // @route   POST /api/v1/payments/refund
 // @access  Private/Admin
 const initiateRefund = asyncHandler(async (req, res) => {
-  const { orderId, reason } = req.body;
+  const { orderId, amount, items, reason } = req.body;
 
   const order = await Order.findById(orderId).populate('userId', 'email firstName');
 
@@ -333,49 +684,49 @@ const initiateRefund = asyncHandler(async (req, res) => {
     throw new ApiError(404, 'Order not found');
   }
 
-  if (order.payment.status !== 'completed') {
-    throw new ApiError(400, 'Cannot refund order that is not paid');
-  }
-
-  if (order.payment.status === 'refunded') {
-    throw new ApiError(400, 'Order is already refunded');
-  }
+  const { entry } = await paymentService.refundOrder(order, {
+    amount,
+    items,
+    reason,
+    initiatedBy: req.user._id,
+  });
 
-  if (!order.payment.razorpayPaymentId) {
-    throw new ApiError(400, 'No payment ID found for this order');
+  // A full refund before dispatch cancels the order
+  if (
+    order.payment.status === PAYMENT_STATUS.REFUNDED &&
+    [
+      ORDER_STATUS.PENDING,
+      ORDER_STATUS.CONFIRMED,
+      ORDER_STATUS.PROCESSING,
+    ].includes(order.status)
+  ) {
+    // Restores stock (the coupon use was given back with the refund)
+    order.cancellationReason = reason || 'Refund initiated by admin';
+    await orderStatusService.transition(order, ORDER_STATUS.CANCELLED, {
+      role: ORDER_ACTOR.ADMIN,
+      updatedBy: req.user._id,
+      note: order.cancellationReason,
+    });
   }
 
-  // Initiate refund on Razorpay
-  const refund = await paymentService.initiateRefund(
-    order.payment.razorpayPaymentId,
-    order.pricing.total,
-    reason
+  await notificationService.notifyPayment(
+    order,
+    'Refund initiated',
+    `A refund of ₹${entry.amount} has been initiated for order ${order.orderNumber}.`,
+    { refundId: entry.refundId }
   );
 
-  // Update order
-  order.payment.status = 'refunded';
-  order.status = 'cancelled';
-  order.cancellationReason = reason || 'Refund initiated by admin';
-  await order.save();
-
-  // Restore product stock
-  for (const item of order.items) {
-    await Product.findByIdAndUpdate(item.productId, {
-      $inc: { 'stock.quantity': item.quantity },
-    });
-  }
-
   // Send refund email
   try {
     await sendEmail({
-      email: order.userId.email,
+      email: order.getContact().email,
       subject: `Refund Initiated - ${order.orderNumber}`,
       html: `
         <h1>Refund Initiated</h1>
-        <p>Hi ${order.userId.firstName},</p>
-        <p>A refund of ₹${order.pricing.total} has been initiated for your order.</p>
+        <p>Hi ${order.getContact().firstName},</p>
+        <p>A refund of ₹${entry.amount} has been initiated for your order.</p>
         <p>Order Number: ${order.orderNumber}</p>
-        <p>Refund ID: ${refund.id}</p>
+        <p>Refund ID: ${entry.refundId}</p>
         <p>The amount will be credited to your account within 5-7 business days.</p>
         ${reason ? `<p>Reason: ${reason}</p>` : ''}
       `,
@@ -387,16 +738,101 @@ const initiateRefund = asyncHandler(async (req, res) => {
   res.status(200).json(
     new ApiResponse(
       200,
-      { refund, order },
+      { refund: entry, order },
       'Refund initiated successfully'
     )
   );
 });
 
+// @desc    List received webhook events (Admin only)
+// @route   GET /api/v1/payments/webhooks
+// @access  Private/Admin
+const getWebhookEvents = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status, event } = req.query;
+
+  const query = {};
+  if (status) query.status = status;
+  if (event) query.event = event;
+
+  const skip = (page - 1) * limit;
+
+  const events = await WebhookEvent.find(query)
+    .sort('-createdAt')
+    .skip(skip)
+    .limit(Number(limit));
+
+  const total = await WebhookEvent.countDocuments(query);
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        events,
+        pagination: {
+          page: Number(page),
+          limit: Number(limit),
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+      'Webhook events fetched successfully'
+    )
+  );
+});
+
+// @desc    Replay a failed webhook event (Admin only)
+// @route   POST /api/v1/payments/webhooks/:id/replay
+// @access  Private/Admin
+const replayWebhookEvent = asyncHandler(async (req, res) => {
+  const stuckBefore = new Date(Date.now() - WEBHOOK_STUCK_AFTER_MS);
+
+  // Claim the event so a concurrent retry from the gateway cannot run it too
+  const webhookEvent = await WebhookEvent.findOneAndUpdate(
+    {
+      _id: req.params.id,
+      signatureValid: true,
+      $or: [
+        { status: WEBHOOK_EVENT_STATUS.FAILED },
+        {
+          status: WEBHOOK_EVENT_STATUS.PROCESSING,
+          updatedAt: { $lt: stuckBefore },
+        },
+      ],
+    },
+    { status: WEBHOOK_EVENT_STATUS.PROCESSING, $inc: { attempts: 1 } },
+    { new: true }
+  );
+
+  if (!webhookEvent) {
+    const exists = await WebhookEvent.exists({ _id: req.params.id });
+
+    if (!exists) {
+      throw new ApiError(404, 'Webhook event not found');
+    }
+
+    throw new ApiError(400, 'Only failed webhook events can be replayed');
+  }
+
+  await processWebhookEvent(webhookEvent);
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      { event: webhookEvent },
+      webhookEvent.status === WEBHOOK_EVENT_STATUS.FAILED
+        ? 'Webhook event failed again'
+        : 'Webhook event replayed successfully'
+    )
+  );
+});
+
 module.exports = {
   createPaymentOrder,
   verifyPayment,
   handleWebhook,
   getPaymentStatus,
+  payWithMockGateway,
   initiateRefund,
+  getWebhookEvents,
+  replayWebhookEvent,
 };
\ No newline at end of file
@@ -0,0 +1,118 @@
+const ServiceablePincode = require('../models/ServiceablePincode.model');
+const ApiError = require('../utils/ApiError');
+const ApiResponse = require('../utils/ApiResponse');
+const asyncHandler = require('../utils/asyncHandler');
+const pincodeService = require('../services/pincode.service');
+
+// @desc    Check delivery to a pincode
+// @route   GET /api/v1/pincodes/:pincode/check
+// @access  Public
+const checkPincode = asyncHandler(async (req, res) => {
+  const { pincode } = req.params;
+
+  if (!/^\d{6}$/.test(pincode)) {
+    throw new ApiError(400, 'Pincode must be 6 digits');
+  }
+
+  const result = await pincodeService.check(pincode);
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      result,
+      result.serviceable
+        ? 'Delivery available to this pincode'
+        : 'Delivery is not available to this pincode yet'
+    )
+  );
+});
+
+// @desc    Get serviceable pincodes (Admin)
+// @route   GET /api/v1/pincodes
+// @access  Private/Admin
+const getPincodes = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 50, state, isActive, search } = req.query;
+
+  const query = {};
+  if (state) query.state = { $regex: `^${state}$`, $options: 'i' };
+  if (isActive !== undefined) query.isActive = isActive === 'true';
+  if (search) {
+    query.$or = [
+      { pincode: { $regex: `^${search}` } },
+      { city: { $regex: search, $options: 'i' } },
+    ];
+  }
+
+  const skip = (page - 1) * limit;
+
+  const pincodes = await ServiceablePincode.find(query)
+    .sort('pincode')
+    .skip(skip)
+    .limit(Number(limit));
+
+  const total = await ServiceablePincode.countDocuments(query);
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        pincodes,
+        pagination: {
+          page: Number(page),
+          limit: Number(limit),
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+      'Pincodes fetched successfully'
+    )
+  );
+});
+
+// @desc    Import serviceable pincodes from a CSV file (Admin)
+// @route   POST /api/v1/pincodes/import
+// @access  Private/Admin
+const importPincodes = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw new ApiError(400, 'Please upload a CSV file in the "file" field');
+  }
+
+  const result = await pincodeService.importCsv(
+    req.file.buffer.toString('utf8'),
+    { replace: req.query.replace === 'true' }
+  );
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      result,
+      `Imported ${result.imported} and updated ${result.updated} pincodes`
+    )
+  );
+});
+
+// @desc    Update a serviceable pincode (Admin)
+// @route   PUT /api/v1/pincodes/:pincode
+// @access  Private/Admin
+const updatePincode = asyncHandler(async (req, res) => {
+  const pincode = await ServiceablePincode.findOneAndUpdate(
+    { pincode: req.params.pincode },
+    req.body,
+    { new: true, runValidators: true }
+  );
+
+  if (!pincode) {
+    throw new ApiError(404, 'Pincode not found');
+  }
+
+  res.status(200).json(
+    new ApiResponse(200, { pincode }, 'Pincode updated successfully')
+  );
+});
+
+module.exports = {
+  checkPincode,
+  getPincodes,
+  importPincodes,
+  updatePincode,
+};
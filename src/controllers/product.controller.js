@@ -2,6 +2,8 @@ const Product = require('../models/Product.model');
 const ApiError = require('../utils/ApiError');
 const ApiResponse = require('../utils/ApiResponse');
 const asyncHandler = require('../utils/asyncHandler');
+const pricingService = require('../services/pricing.service');
+const wishlistService = require('../services/wishlist.service');
 
 // @desc    Get all products with filters
 // @route   GET /api/v1/products
@@ -54,7 +56,7 @@ const getProducts = asyncHandler(async (req, res) => {
     new ApiResponse(
       200,
       {
-        products,
+        products: await pricingService.withPricing(products),
         pagination: {
           page: Number(page),
           limit: Number(limit),
@@ -77,7 +79,11 @@ const getFeaturedProducts = asyncHandler(async (req, res) => {
     .select('-__v');
 
   res.status(200).json(
-    new ApiResponse(200, { products }, 'Featured products fetched successfully')
+    new ApiResponse(
+      200,
+      { products: await pricingService.withPricing(products) },
+      'Featured products fetched successfully'
+    )
   );
 });
 
@@ -118,8 +124,14 @@ const getProductById = asyncHandler(async (req, res) => {
   product.views += 1;
   await product.save();
 
+  const pricing = await pricingService.priceProduct(product);
+
   res.status(200).json(
-    new ApiResponse(200, { product }, 'Product fetched successfully')
+    new ApiResponse(
+      200,
+      { product: { ...product.toJSON(), pricing } },
+      'Product fetched successfully'
+    )
   );
 });
 
@@ -137,8 +149,14 @@ const getProductBySlug = asyncHandler(async (req, res) => {
   product.views += 1;
   await product.save();
 
+  const pricing = await pricingService.priceProduct(product);
+
   res.status(200).json(
-    new ApiResponse(200, { product }, 'Product fetched successfully')
+    new ApiResponse(
+      200,
+      { product: { ...product.toJSON(), pricing } },
+      'Product fetched successfully'
+    )
   );
 });
 
@@ -157,16 +175,27 @@ const createProduct = asyncHandler(async (req, res) => {
 // @route   PUT /api/v1/products/:id
 // @access  Private/Admin
 const updateProduct = asyncHandler(async (req, res) => {
-  let product = await Product.findById(req.params.id);
+  const product = await Product.findById(req.params.id);
 
   if (!product) {
     throw new ApiError(404, 'Product not found');
   }
 
-  product = await Product.findByIdAndUpdate(req.params.id, req.body, {
-    new: true,
-    runValidators: true,
-  });
+  const rates = await pricingService.getCurrentRates();
+  const before = {
+    sellingPrice: pricingService.calculatePrice(product, rates).sellingPrice,
+    isInStock: product.stock.isInStock,
+  };
+
+  // save() keeps stock.isInStock in sync with the quantity
+  product.set(req.body);
+  await product.save();
+
+  // Alert wishlist watchers in the background
+  const { sellingPrice } = pricingService.calculatePrice(product, rates);
+  wishlistService
+    .notifyWatchers(before, product, sellingPrice)
+    .catch((error) => console.error('Wishlist alerts failed:', error));
 
   res.status(200).json(
     new ApiResponse(200, { product }, 'Product updated successfully')
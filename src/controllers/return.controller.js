@@ -0,0 +1,769 @@
+const Order = require('../models/Order.model');
+const ReturnRequest = require('../models/ReturnRequest.model');
+const ApiError = require('../utils/ApiError');
+const ApiResponse = require('../utils/ApiResponse');
+const asyncHandler = require('../utils/asyncHandler');
+const sendEmail = require('../utils/sendEmail');
+const paymentService = require('../services/payment.service');
+const inventoryService = require('../services/inventory.service');
+const notificationService = require('../services/notification.service');
+const orderStatusService = require('../services/orderStatus.service');
+const {
+  ORDER_STATUS,
+  ORDER_ACTOR,
+  PAYMENT_METHOD,
+  RETURN_STATUS,
+  REFUND_STATUS,
+  NOTIFICATION_TYPE,
+} = require('../constants');
+
+const RETURN_WINDOW_DAYS = Number(process.env.RETURN_WINDOW_DAYS) || 7;
+
+// Returns that still hold on to order quantities
+const OPEN_RETURN_STATUSES = [
+  RETURN_STATUS.REQUESTED,
+  RETURN_STATUS.APPROVED,
+  RETURN_STATUS.PICKUP_SCHEDULED,
+  RETURN_STATUS.RECEIVED,
+  RETURN_STATUS.REFUNDED,
+];
+
+// When the order was delivered (older orders only have status history)
+const getDeliveredAt = (order) => {
+  if (order.deliveredAt) return order.deliveredAt;
+
+  const entry = [...order.statusHistory]
+    .reverse()
+    .find((history) => history.status === ORDER_STATUS.DELIVERED);
+
+  return entry ? entry.timestamp : order.updatedAt;
+};
+
+// Move a return request to a new status and record it
+const setReturnStatus = (returnRequest, status, note, updatedBy) => {
+  returnRequest.status = status;
+  returnRequest.statusHistory.push({
+    status,
+    note,
+    updatedBy: updatedBy ? updatedBy.toString() : 'system',
+    timestamp: new Date(),
+  });
+};
+
+// Refund the returned items back through the order's payment gateway
+const refundThroughGateway = async (returnRequest, order, adminId) => {
+  const { amount } = returnRequest.refund;
+
+  const { entry } = await paymentService.refundOrder(order, {
+    amount,
+    items: returnRequest.items.map(({ orderItemId, quantity }) => ({
+      orderItemId,
+      quantity,
+    })),
+    reason: `Return ${returnRequest.returnNumber}`,
+    returnId: returnRequest._id,
+    initiatedBy: adminId,
+  });
+
+  returnRequest.refund = {
+    amount,
+    refundId: entry.refundId,
+    status: entry.status,
+    processedAt: new Date(),
+  };
+  setReturnStatus(
+    returnRequest,
+    RETURN_STATUS.REFUNDED,
+    `Refund of ₹${amount} initiated`,
+    adminId
+  );
+};
+
+// Tell the customer about a return update in-app and by email
+const notifyReturnUpdate = async (returnRequest, user, message) => {
+  await notificationService.notify(user._id, {
+    type: NOTIFICATION_TYPE.ORDER,
+    title: `Return ${returnRequest.returnNumber} ${returnRequest.status.replace('_', ' ')}`,
+    message,
+    link: `/returns/${returnRequest._id}`,
+    metadata: {
+      returnId: returnRequest._id,
+      orderId: returnRequest.orderId,
+      status: returnRequest.status,
+    },
+  });
+
+  try {
+    await sendEmail({
+      email: user.email,
+      subject: `Return Update - ${returnRequest.returnNumber}`,
+      html: `
+        <h1>Return Update</h1>
+        <p>Hi ${user.firstName},</p>
+        <p>${message}</p>
+        <p><strong>Return Number:</strong> ${returnRequest.returnNumber}</p>
+        <p><strong>Status:</strong> ${returnRequest.status.toUpperCase()}</p>
+        <p>Thank you for shopping with Lakshmi Silver!</p>
+      `,
+    });
+  } catch (error) {
+    console.error('Email sending failed:', error);
+  }
+};
+
+// Load a return request for an admin action
+const findReturnForAdmin = async (id) => {
+  const returnRequest = await ReturnRequest.findById(id).populate(
+    'userId',
+    'email firstName'
+  );
+
+  if (!returnRequest) {
+    throw new ApiError(404, 'Return request not found');
+  }
+
+  return returnRequest;
+};
+
+// @desc    Request a return for delivered order items
+// @route   POST /api/v1/returns
+// @access  Private
+const requestReturn = asyncHandler(async (req, res) => {
+  const { orderId, items } = req.body;
+
+  const order = await Order.findById(orderId);
+
+  if (!order) {
+    throw new ApiError(404, 'Order not found');
+  }
+
+  // Guest orders can be returned once claimed into an account
+  if (!order.isOwnedBy(req.user)) {
+    throw new ApiError(403, 'Not authorized to access this order');
+  }
+
+  if (order.status !== ORDER_STATUS.DELIVERED) {
+    throw new ApiError(400, 'Only delivered orders can be returned');
+  }
+
+  const windowEnds = new Date(
+    new Date(getDeliveredAt(order)).getTime() +
+      RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000
+  );
+
+  if (windowEnds < new Date()) {
+    throw new ApiError(
+      400,
+      `Return window of ${RETURN_WINDOW_DAYS} days has passed for this order`
+    );
+  }
+
+  // Quantities already covered by other return requests
+  const existingReturns = await ReturnRequest.find({
+    orderId: order._id,
+    status: { $in: OPEN_RETURN_STATUSES },
+  });
+
+  const alreadyReturned = {};
+  existingReturns.forEach((existing) => {
+    existing.items.forEach((item) => {
+      const key = item.orderItemId.toString();
+      alreadyReturned[key] = (alreadyReturned[key] || 0) + item.quantity;
+    });
+  });
+
+  // Photos are uploaded as photos_<orderItemId>
+  const files = req.files || [];
+
+  const returnItems = items.map((requested) => {
+    const orderItem = order.items.id(requested.orderItemId);
+
+    if (!orderItem) {
+      throw new ApiError(400, 'Item not found in this order');
+    }
+
+    const returnable =
+      orderItem.quantity - (alreadyReturned[requested.orderItemId] || 0);
+
+    if (requested.quantity > returnable) {
+      throw new ApiError(
+        400,
+        `Only ${returnable} unit(s) of "${orderItem.name}" can be returned`
+      );
+    }
+
+    return {
+      orderItemId: orderItem._id,
+      productId: orderItem.productId,
+      name: orderItem.name,
+      quantity: requested.quantity,
+      refundAmount: order.getItemRefundAmount(orderItem._id, requested.quantity),
+      reason: requested.reason,
+      photos: files
+        .filter((file) => file.fieldname === `photos_${requested.orderItemId}`)
+        .map((file) => ({ url: file.path, publicId: file.filename })),
+    };
+  });
+
+  const returnRequest = new ReturnRequest({
+    orderId: order._id,
+    userId: req.user._id,
+    items: returnItems,
+    pickup: { address: order.shippingAddress },
+  });
+  setReturnStatus(
+    returnRequest,
+    RETURN_STATUS.REQUESTED,
+    'Return requested by customer',
+    req.user._id
+  );
+  await returnRequest.save();
+
+  await notifyReturnUpdate(
+    returnRequest,
+    req.user,
+    `We have received your return request for order ${order.orderNumber}. We will review it shortly.`
+  );
+
+  res.status(201).json(
+    new ApiResponse(201, { returnRequest }, 'Return requested successfully')
+  );
+});
+
+// @desc    Get user return requests
+// @route   GET /api/v1/returns
+// @access  Private
+const getMyReturns = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10, status } = req.query;
+
+  const query = { userId: req.user._id };
+  if (status) query.status = status;
+
+  const skip = (page - 1) * limit;
+
+  const returns = await ReturnRequest.find(query)
+    .populate('orderId', 'orderNumber')
+    .sort('-createdAt')
+    .skip(skip)
+    .limit(Number(limit));
+
+  const total = await ReturnRequest.countDocuments(query);
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        returns,
+        pagination: {
+          page: Number(page),
+          limit: Number(limit),
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+      'Return requests fetched successfully'
+    )
+  );
+});
+
+// @desc    Get single return request
+// @route   GET /api/v1/returns/:id
+// @access  Private
+const getReturnById = asyncHandler(async (req, res) => {
+  const returnRequest = await ReturnRequest.findById(req.params.id).populate(
+    'orderId',
+    'orderNumber status'
+  );
+
+  if (!returnRequest) {
+    throw new ApiError(404, 'Return request not found');
+  }
+
+  if (
+    returnRequest.userId.toString() !== req.user._id.toString() &&
+    req.user.role !== 'admin'
+  ) {
+    throw new ApiError(403, 'Not authorized to access this return request');
+  }
+
+  res.status(200).json(
+    new ApiResponse(200, { returnRequest }, 'Return request fetched successfully')
+  );
+});
+
+// @desc    Cancel own return request
+// @route   PUT /api/v1/returns/:id/cancel
+// @access  Private
+const cancelReturn = asyncHandler(async (req, res) => {
+  const returnRequest = await ReturnRequest.findById(req.params.id);
+
+  if (!returnRequest) {
+    throw new ApiError(404, 'Return request not found');
+  }
+
+  if (returnRequest.userId.toString() !== req.user._id.toString()) {
+    throw new ApiError(403, 'Not authorized to cancel this return request');
+  }
+
+  if (
+    ![RETURN_STATUS.REQUESTED, RETURN_STATUS.APPROVED].includes(
+      returnRequest.status
+    )
+  ) {
+    throw new ApiError(
+      400,
+      `Cannot cancel return with status: ${returnRequest.status}`
+    );
+  }
+
+  setReturnStatus(
+    returnRequest,
+    RETURN_STATUS.CANCELLED,
+    'Cancelled by customer',
+    req.user._id
+  );
+  await returnRequest.save();
+
+  res.status(200).json(
+    new ApiResponse(200, { returnRequest }, 'Return request cancelled successfully')
+  );
+});
+
+// @desc    Get all return requests (Admin)
+// @route   GET /api/v1/returns/all/returns
+// @access  Private/Admin
+const getAllReturns = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status } = req.query;
+
+  const query = {};
+  if (status) query.status = status;
+
+  const skip = (page - 1) * limit;
+
+  const returns = await ReturnRequest.find(query)
+    .populate('userId', 'firstName lastName email phone')
+    .populate('orderId', 'orderNumber')
+    .sort('-createdAt')
+    .skip(skip)
+    .limit(Number(limit));
+
+  const total = await ReturnRequest.countDocuments(query);
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        returns,
+        pagination: {
+          page: Number(page),
+          limit: Number(limit),
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+      'Return requests fetched successfully'
+    )
+  );
+});
+
+// @desc    Approve return request (Admin)
+// @route   PUT /api/v1/returns/:id/approve
+// @access  Private/Admin
+const approveReturn = asyncHandler(async (req, res) => {
+  const { note } = req.body;
+
+  const returnRequest = await findReturnForAdmin(req.params.id);
+
+  if (returnRequest.status !== RETURN_STATUS.REQUESTED) {
+    throw new ApiError(
+      400,
+      `Cannot approve return with status: ${returnRequest.status}`
+    );
+  }
+
+  returnRequest.adminNote = note;
+  setReturnStatus(
+    returnRequest,
+    RETURN_STATUS.APPROVED,
+    note || 'Return approved',
+    req.user._id
+  );
+  await returnRequest.save();
+
+  await notifyReturnUpdate(
+    returnRequest,
+    returnRequest.userId,
+    'Your return request has been approved. We will schedule a pickup soon.'
+  );
+
+  res.status(200).json(
+    new ApiResponse(200, { returnRequest }, 'Return approved successfully')
+  );
+});
+
+// @desc    Reject return request (Admin)
+// @route   PUT /api/v1/returns/:id/reject
+// @access  Private/Admin
+const rejectReturn = asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+
+  const returnRequest = await findReturnForAdmin(req.params.id);
+
+  if (returnRequest.status !== RETURN_STATUS.REQUESTED) {
+    throw new ApiError(
+      400,
+      `Cannot reject return with status: ${returnRequest.status}`
+    );
+  }
+
+  returnRequest.rejectionReason = reason;
+  setReturnStatus(returnRequest, RETURN_STATUS.REJECTED, reason, req.user._id);
+  await returnRequest.save();
+
+  await notifyReturnUpdate(
+    returnRequest,
+    returnRequest.userId,
+    `Your return request has been rejected. Reason: ${reason}`
+  );
+
+  res.status(200).json(
+    new ApiResponse(200, { returnRequest }, 'Return rejected successfully')
+  );
+});
+
+// @desc    Schedule return pickup (Admin)
+// @route   PUT /api/v1/returns/:id/pickup
+// @access  Private/Admin
+const schedulePickup = asyncHandler(async (req, res) => {
+  const { scheduledDate, timeSlot, courier, trackingNumber } = req.body;
+
+  const returnRequest = await findReturnForAdmin(req.params.id);
+
+  if (
+    ![RETURN_STATUS.APPROVED, RETURN_STATUS.PICKUP_SCHEDULED].includes(
+      returnRequest.status
+    )
+  ) {
+    throw new ApiError(
+      400,
+      `Cannot schedule pickup for return with status: ${returnRequest.status}`
+    );
+  }
+
+  returnRequest.pickup.scheduledDate = scheduledDate;
+  returnRequest.pickup.timeSlot = timeSlot;
+  returnRequest.pickup.courier = courier;
+  returnRequest.pickup.trackingNumber = trackingNumber;
+
+  setReturnStatus(
+    returnRequest,
+    RETURN_STATUS.PICKUP_SCHEDULED,
+    `Pickup scheduled for ${new Date(scheduledDate).toDateString()}`,
+    req.user._id
+  );
+  await returnRequest.save();
+
+  await notifyReturnUpdate(
+    returnRequest,
+    returnRequest.userId,
+    `Pickup for your return is scheduled on ${new Date(
+      scheduledDate
+    ).toDateString()}${timeSlot ? ` (${timeSlot})` : ''}.`
+  );
+
+  res.status(200).json(
+    new ApiResponse(200, { returnRequest }, 'Pickup scheduled successfully')
+  );
+});
+
+// @desc    Mark returned items received, restock and refund (Admin)
+// @route   PUT /api/v1/returns/:id/receive
+// @access  Private/Admin
+const receiveReturn = asyncHandler(async (req, res) => {
+  const { note } = req.body;
+
+  const current = await findReturnForAdmin(req.params.id);
+
+  if (
+    ![RETURN_STATUS.APPROVED, RETURN_STATUS.PICKUP_SCHEDULED].includes(
+      current.status
+    )
+  ) {
+    throw new ApiError(
+      400,
+      `Cannot receive return with status: ${current.status}`
+    );
+  }
+
+  // Claim the status change first so a double submit cannot restock twice
+  const returnRequest = await ReturnRequest.findOneAndUpdate(
+    { _id: current._id, status: current.status },
+    {
+      $set: { status: RETURN_STATUS.RECEIVED, receivedAt: new Date() },
+      $push: {
+        statusHistory: {
+          status: RETURN_STATUS.RECEIVED,
+          note: note || 'Returned items received',
+          updatedBy: req.user._id.toString(),
+          timestamp: new Date(),
+        },
+      },
+    },
+    { new: true }
+  ).populate('userId', 'email firstName');
+
+  if (!returnRequest) {
+    throw new ApiError(409, 'This return has already been received');
+  }
+
+  const order = await Order.findById(returnRequest.orderId);
+
+  // Restock returned items
+  for (const item of returnRequest.items) {
+    await inventoryService.adjustStock(item.productId, item.quantity, 0);
+  }
+
+  const refundAmount =
+    Math.round(
+      returnRequest.items.reduce((total, item) => total + item.refundAmount, 0) *
+        100
+    ) / 100;
+
+  returnRequest.refund = { amount: refundAmount, status: 'pending' };
+
+  // Refund only the returned items through the payment gateway
+  if (
+    order.payment.method === PAYMENT_METHOD.RAZORPAY &&
+    order.payment.gatewayPaymentId &&
+    refundAmount > 0
+  ) {
+    try {
+      await refundThroughGateway(returnRequest, order, req.user._id);
+    } catch (error) {
+      console.error('Return refund failed:', error);
+      returnRequest.refund.status = REFUND_STATUS.FAILED;
+    }
+  }
+
+  await returnRequest.save();
+
+  // Whole order returned -> mark order as returned
+  const returnedQuantities = {};
+  const completedReturns = await ReturnRequest.find({
+    orderId: order._id,
+    status: { $in: [RETURN_STATUS.RECEIVED, RETURN_STATUS.REFUNDED] },
+  });
+  completedReturns.forEach((completed) => {
+    completed.items.forEach((item) => {
+      const key = item.orderItemId.toString();
+      returnedQuantities[key] = (returnedQuantities[key] || 0) + item.quantity;
+    });
+  });
+
+  const fullyReturned = order.items.every(
+    (item) => (returnedQuantities[item._id.toString()] || 0) >= item.quantity
+  );
+
+  if (fullyReturned) {
+    order.returnReason = returnRequest.items.map((item) => item.reason).join('; ');
+    await orderStatusService.transition(order, ORDER_STATUS.RETURNED, {
+      role: ORDER_ACTOR.ADMIN,
+      updatedBy: req.user._id,
+      note: `All items returned (${returnRequest.returnNumber})`,
+    });
+  }
+
+  await notifyReturnUpdate(
+    returnRequest,
+    returnRequest.userId,
+    returnRequest.status === RETURN_STATUS.REFUNDED
+      ? `We have received your returned items. A refund of ₹${refundAmount} has been initiated.`
+      : 'We have received your returned items. Your refund is being processed.'
+  );
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      { returnRequest },
+      returnRequest.refund.status === REFUND_STATUS.FAILED
+        ? 'Return received but refund failed. Please retry the refund.'
+        : order.payment.method === PAYMENT_METHOD.COD
+          ? 'Return received. Complete the refund once it has been paid to the customer.'
+          : 'Return received successfully'
+    )
+  );
+});
+
+// @desc    Record a refund paid outside the gateway for a COD return (Admin)
+// @route   PUT /api/v1/returns/:id/refund
+// @access  Private/Admin
+const completeReturnRefund = asyncHandler(async (req, res) => {
+  const { method, reference, note } = req.body;
+
+  const current = await findReturnForAdmin(req.params.id);
+
+  if (current.status !== RETURN_STATUS.RECEIVED) {
+    throw new ApiError(
+      400,
+      `Cannot complete refund for return with status: ${current.status}`
+    );
+  }
+
+  const order = await Order.findById(current.orderId);
+
+  // Online payments are refunded back through the gateway
+  if (order.payment.method !== PAYMENT_METHOD.COD) {
+    throw new ApiError(
+      400,
+      'Refund online payments through the payment gateway'
+    );
+  }
+
+  const processedAt = new Date();
+  const refundNote =
+    note || `Refund of ₹${current.refund.amount} paid by ${method.replace('_', ' ')}`;
+
+  // Claim the refund first so it is only recorded once
+  const returnRequest = await ReturnRequest.findOneAndUpdate(
+    { _id: current._id, status: RETURN_STATUS.RECEIVED },
+    {
+      $set: {
+        status: RETURN_STATUS.REFUNDED,
+        'refund.status': REFUND_STATUS.PROCESSED,
+        'refund.method': method,
+        'refund.reference': reference,
+        'refund.processedAt': processedAt,
+      },
+      $push: {
+        statusHistory: {
+          status: RETURN_STATUS.REFUNDED,
+          note: refundNote,
+          updatedBy: req.user._id.toString(),
+          timestamp: processedAt,
+        },
+      },
+    },
+    { new: true }
+  ).populate('userId', 'email firstName');
+
+  if (!returnRequest) {
+    throw new ApiError(409, 'This refund has already been completed');
+  }
+
+  try {
+    await paymentService.recordManualRefund(order, {
+      amount: returnRequest.refund.amount,
+      items: returnRequest.items.map(({ orderItemId, quantity }) => ({
+        orderItemId,
+        quantity,
+      })),
+      reason: `Return ${returnRequest.returnNumber}`,
+      returnId: returnRequest._id,
+      initiatedBy: req.user._id,
+      reference,
+    });
+  } catch (error) {
+    // Leave the return open so the refund can be recorded again
+    await ReturnRequest.updateOne(
+      { _id: returnRequest._id },
+      {
+        $set: {
+          status: RETURN_STATUS.RECEIVED,
+          'refund.status': REFUND_STATUS.PENDING,
+        },
+        $unset: {
+          'refund.method': 1,
+          'refund.reference': 1,
+          'refund.processedAt': 1,
+        },
+        $pull: { statusHistory: { status: RETURN_STATUS.REFUNDED } },
+      }
+    );
+    throw error;
+  }
+
+  await notifyReturnUpdate(
+    returnRequest,
+    returnRequest.userId,
+    `Your refund of ₹${returnRequest.refund.amount} for return ${returnRequest.returnNumber} has been paid.`
+  );
+
+  res.status(200).json(
+    new ApiResponse(200, { returnRequest }, 'Refund completed successfully')
+  );
+});
+
+// @desc    Retry a failed gateway refund for a received return (Admin)
+// @route   PUT /api/v1/returns/:id/refund/retry
+// @access  Private/Admin
+const retryReturnRefund = asyncHandler(async (req, res) => {
+  const current = await findReturnForAdmin(req.params.id);
+
+  if (
+    current.status !== RETURN_STATUS.RECEIVED ||
+    current.refund?.status !== REFUND_STATUS.FAILED
+  ) {
+    throw new ApiError(
+      400,
+      'Only failed refunds of received returns can be retried'
+    );
+  }
+
+  const order = await Order.findById(current.orderId);
+
+  if (!order.payment.gatewayPaymentId) {
+    throw new ApiError(400, 'No payment ID found for this order');
+  }
+
+  // Claim the retry first so a double submit cannot refund twice
+  const returnRequest = await ReturnRequest.findOneAndUpdate(
+    {
+      _id: current._id,
+      status: RETURN_STATUS.RECEIVED,
+      'refund.status': REFUND_STATUS.FAILED,
+    },
+    { $set: { 'refund.status': REFUND_STATUS.PENDING } },
+    { new: true }
+  ).populate('userId', 'email firstName');
+
+  if (!returnRequest) {
+    throw new ApiError(409, 'This refund is already being retried');
+  }
+
+  try {
+    await refundThroughGateway(returnRequest, order, req.user._id);
+  } catch (error) {
+    // Leave the refund failed so it can be retried again
+    await ReturnRequest.updateOne(
+      { _id: returnRequest._id },
+      { 'refund.status': REFUND_STATUS.FAILED }
+    );
+    throw error;
+  }
+
+  await returnRequest.save();
+
+  await notifyReturnUpdate(
+    returnRequest,
+    returnRequest.userId,
+    `A refund of ₹${returnRequest.refund.amount} has been initiated for return ${returnRequest.returnNumber}.`
+  );
+
+  res.status(200).json(
+    new ApiResponse(200, { returnRequest }, 'Refund initiated successfully')
+  );
+});
+
+module.exports = {
+  requestReturn,
+  getMyReturns,
+  getReturnById,
+  cancelReturn,
+  getAllReturns,
+  approveReturn,
+  rejectReturn,
+  schedulePickup,
+  receiveReturn,
+  completeReturnRefund,
+  retryReturnRefund,
+};
@@ -0,0 +1,327 @@
+const Review = require('../models/Review.model');
+const Product = require('../models/Product.model');
+const Order = require('../models/Order.model');
+const ApiError = require('../utils/ApiError');
+const ApiResponse = require('../utils/ApiResponse');
+const asyncHandler = require('../utils/asyncHandler');
+const { ORDER_STATUS } = require('../constants');
+
+const MAX_REVIEW_IMAGES = 5;
+
+// Map uploaded Cloudinary files to review image entries
+const mapUploadedImages = (files = []) =>
+  files.map((file) => ({
+    url: file.path, // Cloudinary URL
+    publicId: file.filename,
+  }));
+
+// Find a review on the given product written by the current user
+const findOwnReview = async (req) => {
+  const review = await Review.findOne({
+    _id: req.params.reviewId,
+    productId: req.params.id,
+  });
+
+  if (!review) {
+    throw new ApiError(404, 'Review not found');
+  }
+
+  if (review.userId.toString() !== req.user._id.toString()) {
+    throw new ApiError(403, 'Not authorized to modify this review');
+  }
+
+  return review;
+};
+
+// @desc    Get approved reviews of a product
+// @route   GET /api/v1/products/:id/reviews
+// @access  Public
+const getProductReviews = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10, rating, sort = '-createdAt' } = req.query;
+
+  const product = await Product.findById(req.params.id);
+
+  if (!product || !product.isActive) {
+    throw new ApiError(404, 'Product not found');
+  }
+
+  const query = { productId: product._id, isApproved: true };
+  if (rating) query.rating = Number(rating);
+
+  const skip = (page - 1) * limit;
+
+  const reviews = await Review.find(query)
+    .populate('userId', 'firstName lastName')
+    .sort(sort)
+    .skip(skip)
+    .limit(Number(limit));
+
+  const total = await Review.countDocuments(query);
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        reviews,
+        ratings: product.ratings,
+        pagination: {
+          page: Number(page),
+          limit: Number(limit),
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+      'Reviews fetched successfully'
+    )
+  );
+});
+
+// @desc    Create product review
+// @route   POST /api/v1/products/:id/reviews
+// @access  Private
+const createReview = asyncHandler(async (req, res) => {
+  const { rating, title, comment } = req.body;
+
+  const product = await Product.findById(req.params.id);
+
+  if (!product || !product.isActive) {
+    throw new ApiError(404, 'Product not found');
+  }
+
+  // Only customers who received the product can review it
+  const deliveredOrder = await Order.findOne({
+    userId: req.user._id,
+    status: ORDER_STATUS.DELIVERED,
+    'items.productId': product._id,
+  }).sort('-createdAt');
+
+  if (!deliveredOrder) {
+    throw new ApiError(
+      403,
+      'You can review this product once your order has been delivered'
+    );
+  }
+
+  const existingReview = await Review.findOne({
+    productId: product._id,
+    userId: req.user._id,
+  });
+
+  if (existingReview) {
+    throw new ApiError(400, 'You have already reviewed this product');
+  }
+
+  const images = mapUploadedImages(req.files);
+
+  if (images.length > MAX_REVIEW_IMAGES) {
+    throw new ApiError(400, `A review can have at most ${MAX_REVIEW_IMAGES} photos`);
+  }
+
+  const review = await Review.create({
+    productId: product._id,
+    userId: req.user._id,
+    orderId: deliveredOrder._id,
+    rating,
+    title,
+    comment,
+    images,
+    isVerifiedPurchase: true,
+  });
+
+  res.status(201).json(
+    new ApiResponse(
+      201,
+      { review },
+      'Review submitted successfully. It will be visible after approval.'
+    )
+  );
+});
+
+// @desc    Update own review
+// @route   PUT /api/v1/products/:id/reviews/:reviewId
+// @access  Private
+const updateReview = asyncHandler(async (req, res) => {
+  const { rating, title, comment } = req.body;
+
+  const review = await findOwnReview(req);
+
+  const images = [...review.images, ...mapUploadedImages(req.files)];
+
+  if (images.length > MAX_REVIEW_IMAGES) {
+    throw new ApiError(400, `A review can have at most ${MAX_REVIEW_IMAGES} photos`);
+  }
+
+  if (rating !== undefined) review.rating = rating;
+  if (title !== undefined) review.title = title;
+  if (comment !== undefined) review.comment = comment;
+  review.images = images;
+
+  // Edited reviews go back to the moderation queue
+  review.isApproved = false;
+  review.moderatedBy = undefined;
+  review.moderatedAt = undefined;
+  review.rejectionReason = undefined;
+
+  await review.save();
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      { review },
+      'Review updated successfully. It will be visible after approval.'
+    )
+  );
+});
+
+// @desc    Delete own review
+// @route   DELETE /api/v1/products/:id/reviews/:reviewId
+// @access  Private
+const deleteReview = asyncHandler(async (req, res) => {
+  const review = await findOwnReview(req);
+
+  // findOneAndDelete triggers the product ratings refresh
+  await Review.findOneAndDelete({ _id: review._id });
+
+  res.status(200).json(
+    new ApiResponse(200, null, 'Review deleted successfully')
+  );
+});
+
+// @desc    Mark review as helpful
+// @route   POST /api/v1/products/:id/reviews/:reviewId/helpful
+// @access  Private
+const markReviewHelpful = asyncHandler(async (req, res) => {
+  const review = await Review.findOne({
+    _id: req.params.reviewId,
+    productId: req.params.id,
+    isApproved: true,
+  });
+
+  if (!review) {
+    throw new ApiError(404, 'Review not found');
+  }
+
+  if (review.userId.toString() === req.user._id.toString()) {
+    throw new ApiError(400, 'You cannot vote on your own review');
+  }
+
+  // Conditional update keeps it to one vote per user under concurrency
+  const updatedReview = await Review.findOneAndUpdate(
+    { _id: review._id, helpfulVotes: { $ne: req.user._id } },
+    {
+      $push: { helpfulVotes: req.user._id },
+      $inc: { helpfulCount: 1 },
+    },
+    { new: true }
+  );
+
+  if (!updatedReview) {
+    throw new ApiError(400, 'You have already marked this review as helpful');
+  }
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      { helpfulCount: updatedReview.helpfulCount },
+      'Review marked as helpful'
+    )
+  );
+});
+
+// @desc    Get reviews awaiting moderation (Admin)
+// @route   GET /api/v1/reviews/pending
+// @access  Private/Admin
+const getPendingReviews = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+
+  const query = { isApproved: false, moderatedAt: null };
+
+  const skip = (page - 1) * limit;
+
+  const reviews = await Review.find(query)
+    .populate('userId', 'firstName lastName email')
+    .populate('productId', 'name slug images')
+    .sort('createdAt')
+    .skip(skip)
+    .limit(Number(limit));
+
+  const total = await Review.countDocuments(query);
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        reviews,
+        pagination: {
+          page: Number(page),
+          limit: Number(limit),
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+      'Pending reviews fetched successfully'
+    )
+  );
+});
+
+// @desc    Approve review (Admin)
+// @route   PUT /api/v1/reviews/:reviewId/approve
+// @access  Private/Admin
+const approveReview = asyncHandler(async (req, res) => {
+  // findOneAndUpdate triggers the product ratings refresh
+  const review = await Review.findOneAndUpdate(
+    { _id: req.params.reviewId },
+    {
+      isApproved: true,
+      moderatedBy: req.user._id,
+      moderatedAt: new Date(),
+      $unset: { rejectionReason: 1 },
+    },
+    { new: true }
+  );
+
+  if (!review) {
+    throw new ApiError(404, 'Review not found');
+  }
+
+  res.status(200).json(
+    new ApiResponse(200, { review }, 'Review approved successfully')
+  );
+});
+
+// @desc    Reject review (Admin)
+// @route   PUT /api/v1/reviews/:reviewId/reject
+// @access  Private/Admin
+const rejectReview = asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+
+  const review = await Review.findOneAndUpdate(
+    { _id: req.params.reviewId },
+    {
+      isApproved: false,
+      moderatedBy: req.user._id,
+      moderatedAt: new Date(),
+      rejectionReason: reason,
+    },
+    { new: true }
+  );
+
+  if (!review) {
+    throw new ApiError(404, 'Review not found');
+  }
+
+  res.status(200).json(
+    new ApiResponse(200, { review }, 'Review rejected successfully')
+  );
+});
+
+module.exports = {
+  getProductReviews,
+  createReview,
+  updateReview,
+  deleteReview,
+  markReviewHelpful,
+  getPendingReviews,
+  approveReview,
+  rejectReview,
+};
@@ -0,0 +1,136 @@
+const Order = require('../models/Order.model');
+const ApiError = require('../utils/ApiError');
+const ApiResponse = require('../utils/ApiResponse');
+const asyncHandler = require('../utils/asyncHandler');
+const shipmentService = require('../services/shipment.service');
+const orderStatusService = require('../services/orderStatus.service');
+const { ORDER_STATUS, ORDER_ACTOR } = require('../constants');
+
+// @desc    Book the courier shipment and AWB for an order (Admin)
+// @route   POST /api/v1/orders/:id/dispatch
+// @access  Private/Admin
+const dispatchOrder = asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    throw new ApiError(404, 'Order not found');
+  }
+
+  if (![ORDER_STATUS.CONFIRMED, ORDER_STATUS.PROCESSING].includes(order.status)) {
+    throw new ApiError(400, `Cannot dispatch order with status: ${order.status}`);
+  }
+
+  const shipment = await shipmentService.createShipment(order);
+
+  // The courier's pickup scan moves the order to shipped
+  if (order.status === ORDER_STATUS.CONFIRMED) {
+    await orderStatusService.transition(order, ORDER_STATUS.PROCESSING, {
+      role: ORDER_ACTOR.ADMIN,
+      updatedBy: req.user._id,
+      note: `Shipment ${shipment.awb} booked with ${order.tracking.courier}`,
+    });
+  } else {
+    await order.save();
+  }
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      { order, shipment },
+      'Shipment created successfully'
+    )
+  );
+});
+
+// @desc    Get shipment tracking timeline
+// @route   GET /api/v1/orders/:id/tracking
+// @access  Public (customer, admin or the guest session that placed it)
+const getOrderTracking = asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.params.id).select(
+    'userId guest orderNumber status tracking trackingEvents shipping deliveredAt'
+  );
+
+  if (!order) {
+    throw new ApiError(404, 'Order not found');
+  }
+
+  // Check if order belongs to user or guest, or user is admin
+  if (
+    !order.isOwnedBy(req.user, req.guestId) &&
+    req.user?.role !== 'admin'
+  ) {
+    throw new ApiError(403, 'Not authorized to access this order');
+  }
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        orderNumber: order.orderNumber,
+        status: order.status,
+        courier: order.tracking?.courier,
+        trackingNumber: order.tracking?.trackingNumber,
+        trackingUrl: order.tracking?.trackingUrl,
+        trackingStatus: order.tracking?.status,
+        estimatedDelivery:
+          order.tracking?.estimatedDelivery ||
+          order.shipping?.estimatedDelivery?.to,
+        deliveredAt: order.deliveredAt,
+        events: [...order.trackingEvents].reverse(),
+      },
+      'Tracking fetched successfully'
+    )
+  );
+});
+
+// @desc    Handle courier status webhooks
+// @route   POST /api/v1/couriers/webhook/:courier?
+// @access  Public (courier only)
+const handleCourierWebhook = asyncHandler(async (req, res) => {
+  const courier = shipmentService.getCourier(req.params.courier);
+  const rawBody = req.body;
+
+  if (!Buffer.isBuffer(rawBody)) {
+    throw new ApiError(400, 'Webhook body must be sent as application/json');
+  }
+
+  // Verify webhook signature on the exact bytes received, before parsing
+  if (!courier.verifyWebhook(rawBody, req.headers)) {
+    console.error('Invalid courier webhook signature');
+    throw new ApiError(400, 'Invalid webhook signature');
+  }
+
+  let update;
+
+  try {
+    update = courier.parseWebhook(JSON.parse(rawBody.toString('utf8')));
+  } catch {
+    throw new ApiError(400, 'Invalid webhook payload');
+  }
+
+  const order = await Order.findOne({
+    'tracking.courier': courier.name,
+    'tracking.trackingNumber': update.awb,
+  });
+
+  // Acknowledge unknown shipments so the courier stops retrying
+  if (!order) {
+    console.error('Order not found for shipment:', update.awb);
+    return res.status(200).json({ status: 'ok' });
+  }
+
+  // Status changes are saved, notified and invoiced by the order state machine
+  const { added } = await shipmentService.applyEvents(order, update.events);
+
+  if (added > 0) {
+    await order.save();
+  }
+
+  res.status(200).json({ status: 'ok' });
+});
+
+module.exports = {
+  dispatchOrder,
+  getOrderTracking,
+  handleCourierWebhook,
+};
@@ -0,0 +1,162 @@
+const ShippingRule = require('../models/ShippingRule.model');
+const ServiceablePincode = require('../models/ServiceablePincode.model');
+const Cart = require('../models/Cart.model');
+const ApiError = require('../utils/ApiError');
+const ApiResponse = require('../utils/ApiResponse');
+const asyncHandler = require('../utils/asyncHandler');
+const pricingService = require('../services/pricing.service');
+const shippingService = require('../services/shipping.service');
+
+// @desc    Get shipping options for the cart
+// @route   POST /api/v1/shipping/quote
+// @access  Public (customer or guest)
+const getShippingQuote = asyncHandler(async (req, res) => {
+  const { pincode } = req.body;
+
+  // State zones need the state - take it from a saved address or the
+  // pincode dataset if not given
+  const savedAddress = req.user?.addresses?.find(
+    (address) => address.pincode === pincode
+  );
+  const listed = savedAddress
+    ? null
+    : await ServiceablePincode.findOne({ pincode }).select('state');
+  const state = req.body.state || savedAddress?.state || listed?.state;
+
+  const cart = await Cart.findOne(
+    req.user ? { userId: req.user._id } : { guestId: req.guestId }
+  ).populate('items.productId');
+
+  const items = cart
+    ? cart.items.filter((item) => item.productId && item.productId.isActive)
+    : [];
+
+  if (items.length === 0) {
+    throw new ApiError(400, 'Cart is empty. Please add items to cart first');
+  }
+
+  // Weigh and value the parcel the same way createOrder will
+  const rates = await pricingService.getCurrentRates();
+  let weight = 0;
+  let orderValue = 0;
+
+  items.forEach((item) => {
+    weight += item.productId.weight * item.quantity;
+    orderValue +=
+      pricingService.calculatePrice(item.productId, rates).sellingPrice *
+      item.quantity;
+  });
+
+  const options = await shippingService.getQuote({
+    pincode,
+    state,
+    weight,
+    orderValue,
+  });
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        pincode,
+        state,
+        weight,
+        orderValue: Math.round(orderValue * 100) / 100,
+        serviceable: options.length > 0,
+        options,
+      },
+      options.length
+        ? 'Shipping options fetched successfully'
+        : `We do not deliver to pincode ${pincode} yet`
+    )
+  );
+});
+
+// @desc    Get all shipping rules (Admin)
+// @route   GET /api/v1/shipping/rules
+// @access  Private/Admin
+const getShippingRules = asyncHandler(async (req, res) => {
+  const { method, isActive } = req.query;
+
+  const query = {};
+  if (method) query.method = method;
+  if (isActive !== undefined) query.isActive = isActive === 'true';
+
+  const rules = await ShippingRule.find(query).sort('method -priority name');
+
+  res.status(200).json(
+    new ApiResponse(200, { rules }, 'Shipping rules fetched successfully')
+  );
+});
+
+// @desc    Get shipping rule by ID (Admin)
+// @route   GET /api/v1/shipping/rules/:id
+// @access  Private/Admin
+const getShippingRuleById = asyncHandler(async (req, res) => {
+  const rule = await ShippingRule.findById(req.params.id);
+
+  if (!rule) {
+    throw new ApiError(404, 'Shipping rule not found');
+  }
+
+  res.status(200).json(
+    new ApiResponse(200, { rule }, 'Shipping rule fetched successfully')
+  );
+});
+
+// @desc    Create shipping rule (Admin)
+// @route   POST /api/v1/shipping/rules
+// @access  Private/Admin
+const createShippingRule = asyncHandler(async (req, res) => {
+  const rule = await ShippingRule.create(req.body);
+
+  res.status(201).json(
+    new ApiResponse(201, { rule }, 'Shipping rule created successfully')
+  );
+});
+
+// @desc    Update shipping rule (Admin)
+// @route   PUT /api/v1/shipping/rules/:id
+// @access  Private/Admin
+const updateShippingRule = asyncHandler(async (req, res) => {
+  const rule = await ShippingRule.findByIdAndUpdate(req.params.id, req.body, {
+    new: true,
+    runValidators: true,
+  });
+
+  if (!rule) {
+    throw new ApiError(404, 'Shipping rule not found');
+  }
+
+  res.status(200).json(
+    new ApiResponse(200, { rule }, 'Shipping rule updated successfully')
+  );
+});
+
+// @desc    Delete shipping rule (Admin)
+// @route   DELETE /api/v1/shipping/rules/:id
+// @access  Private/Admin
+const deleteShippingRule = asyncHandler(async (req, res) => {
+  const rule = await ShippingRule.findById(req.params.id);
+
+  if (!rule) {
+    throw new ApiError(404, 'Shipping rule not found');
+  }
+
+  // Soft delete - orders keep referring to the rule
+  rule.isActive = false;
+  await rule.save();
+
+  res.status(200).json(
+    new ApiResponse(200, null, 'Shipping rule deleted successfully')
+  );
+});
+
+module.exports = {
+  getShippingQuote,
+  getShippingRules,
+  getShippingRuleById,
+  createShippingRule,
+  updateShippingRule,
+  deleteShippingRule,
+};
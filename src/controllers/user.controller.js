@@ -0,0 +1,269 @@
+const User = require('../models/User.model');
+const ApiError = require('../utils/ApiError');
+const ApiResponse = require('../utils/ApiResponse');
+const asyncHandler = require('../utils/asyncHandler');
+const sendSms = require('../utils/sendSms');
+const { OTP_EXPIRY_MS, generateOtp, hashOtp } = require('../utils/otp');
+
+const PHONE_MAX_OTP_ATTEMPTS = 5;
+const PHONE_OTP_RESEND_MS = 60 * 1000;
+
+// Keep exactly one default address (first address when none is chosen)
+const enforceSingleDefault = (user, defaultAddressId) => {
+  let defaultId = defaultAddressId;
+
+  if (!defaultId) {
+    const current = user.addresses.find((address) => address.isDefault);
+    defaultId = current ? current._id : user.addresses[0]?._id;
+  }
+
+  user.addresses.forEach((address) => {
+    address.isDefault = address._id.toString() === defaultId?.toString();
+  });
+};
+
+// @desc    Get user profile
+// @route   GET /api/v1/users/me
+// @access  Private
+const getProfile = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).populate(
+    'wishlist',
+    'name slug images price'
+  );
+
+  res.status(200).json(
+    new ApiResponse(200, { user }, 'Profile fetched successfully')
+  );
+});
+
+// @desc    Update user profile
+// @route   PUT /api/v1/users/me
+// @access  Private
+const updateProfile = asyncHandler(async (req, res) => {
+  const { firstName, lastName, phone } = req.body;
+
+  const user = await User.findById(req.user._id);
+
+  if (firstName) user.firstName = firstName;
+  if (lastName) user.lastName = lastName;
+
+  let otpSent = false;
+
+  // A changed phone number only takes effect once it is verified
+  if (phone && phone !== user.phone) {
+    const phoneTaken = await User.exists({
+      _id: { $ne: user._id },
+      $or: [{ phone }, { pendingPhone: phone }],
+    });
+
+    if (phoneTaken) {
+      throw new ApiError(400, 'Phone number already registered');
+    }
+
+    if (
+      user.phoneOtpSentAt &&
+      Date.now() - user.phoneOtpSentAt.getTime() < PHONE_OTP_RESEND_MS
+    ) {
+      throw new ApiError(429, 'Please wait a minute before requesting a new code');
+    }
+
+    // Resending for the same number keeps the failed attempts until the
+    // previous code has expired, so new codes do not mean more guesses
+    if (phone !== user.pendingPhone || user.phoneOtpExpiry < Date.now()) {
+      user.phoneOtpAttempts = 0;
+    }
+
+    const otp = generateOtp();
+    user.pendingPhone = phone;
+    user.phoneOtp = hashOtp(otp);
+    user.phoneOtpExpiry = Date.now() + OTP_EXPIRY_MS;
+    user.phoneOtpSentAt = new Date();
+
+    try {
+      await sendSms({
+        phone,
+        message: `Your Lakshmi Silver verification code is ${otp}. It is valid for 10 minutes.`,
+      });
+      otpSent = true;
+    } catch (error) {
+      console.error('SMS sending failed:', error);
+      throw new ApiError(500, 'Failed to send verification code. Please try again.');
+    }
+  }
+
+  await user.save();
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      { user, phoneVerificationRequired: otpSent },
+      otpSent
+        ? 'Profile updated. Please verify your new phone number.'
+        : 'Profile updated successfully'
+    )
+  );
+});
+
+// @desc    Verify changed phone number
+// @route   POST /api/v1/users/me/verify-phone
+// @access  Private
+const verifyPhone = asyncHandler(async (req, res) => {
+  const { otp } = req.body;
+
+  const user = await User.findById(req.user._id).select('+phoneOtp');
+
+  if (!user.pendingPhone || !user.phoneOtp) {
+    throw new ApiError(400, 'No phone number change pending');
+  }
+
+  if (user.phoneOtpAttempts >= PHONE_MAX_OTP_ATTEMPTS) {
+    throw new ApiError(429, 'Too many attempts. Please request a new code.');
+  }
+
+  if (
+    user.phoneOtpExpiry < Date.now() ||
+    user.phoneOtp !== hashOtp(otp)
+  ) {
+    user.phoneOtpAttempts += 1;
+    await user.save();
+    throw new ApiError(400, 'Invalid or expired verification code');
+  }
+
+  user.phone = user.pendingPhone;
+  user.isPhoneVerified = true;
+  user.pendingPhone = undefined;
+  user.phoneOtp = undefined;
+  user.phoneOtpExpiry = undefined;
+  user.phoneOtpAttempts = 0;
+  user.phoneOtpSentAt = undefined;
+  await user.save();
+
+  res.status(200).json(
+    new ApiResponse(200, { user }, 'Phone number verified successfully')
+  );
+});
+
+// @desc    Get saved addresses
+// @route   GET /api/v1/users/me/addresses
+// @access  Private
+const getAddresses = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      { addresses: user.addresses },
+      'Addresses fetched successfully'
+    )
+  );
+});
+
+// @desc    Add address
+// @route   POST /api/v1/users/me/addresses
+// @access  Private
+const addAddress = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+
+  user.addresses.push(req.body);
+  const address = user.addresses[user.addresses.length - 1];
+
+  enforceSingleDefault(user, req.body.isDefault ? address._id : null);
+  await user.save();
+
+  res.status(201).json(
+    new ApiResponse(
+      201,
+      { addresses: user.addresses },
+      'Address added successfully'
+    )
+  );
+});
+
+// @desc    Update address
+// @route   PUT /api/v1/users/me/addresses/:addressId
+// @access  Private
+const updateAddress = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+
+  const address = user.addresses.id(req.params.addressId);
+
+  if (!address) {
+    throw new ApiError(404, 'Address not found');
+  }
+
+  const { isDefault, ...fields } = req.body;
+  address.set(fields);
+
+  enforceSingleDefault(user, isDefault ? address._id : null);
+  await user.save();
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      { addresses: user.addresses },
+      'Address updated successfully'
+    )
+  );
+});
+
+// @desc    Delete address
+// @route   DELETE /api/v1/users/me/addresses/:addressId
+// @access  Private
+const deleteAddress = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+
+  const address = user.addresses.id(req.params.addressId);
+
+  if (!address) {
+    throw new ApiError(404, 'Address not found');
+  }
+
+  address.deleteOne();
+
+  // Promote another address if the default one was removed
+  enforceSingleDefault(user);
+  await user.save();
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      { addresses: user.addresses },
+      'Address deleted successfully'
+    )
+  );
+});
+
+// @desc    Set default address
+// @route   PUT /api/v1/users/me/addresses/:addressId/default
+// @access  Private
+const setDefaultAddress = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+
+  const address = user.addresses.id(req.params.addressId);
+
+  if (!address) {
+    throw new ApiError(404, 'Address not found');
+  }
+
+  enforceSingleDefault(user, address._id);
+  await user.save();
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      { addresses: user.addresses },
+      'Default address updated successfully'
+    )
+  );
+});
+
+module.exports = {
+  getProfile,
+  updateProfile,
+  verifyPhone,
+  getAddresses,
+  addAddress,
+  updateAddress,
+  deleteAddress,
+  setDefaultAddress,
+};
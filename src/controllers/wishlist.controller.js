@@ -0,0 +1,142 @@
+const User = require('../models/User.model');
+const Product = require('../models/Product.model');
+const Cart = require('../models/Cart.model');
+const ApiError = require('../utils/ApiError');
+const ApiResponse = require('../utils/ApiResponse');
+const asyncHandler = require('../utils/asyncHandler');
+const pricingService = require('../services/pricing.service');
+
+// Load the user's wishlist with live prices attached
+const getWishlistProducts = async (userId) => {
+  const user = await User.findById(userId).populate({
+    path: 'wishlist',
+    select: 'name slug images price stock isActive metal purity weight makingCharges gst',
+  });
+
+  const products = user.wishlist.filter(Boolean);
+  return pricingService.withPricing(products);
+};
+
+// @desc    Get wishlist
+// @route   GET /api/v1/users/me/wishlist
+// @access  Private
+const getWishlist = asyncHandler(async (req, res) => {
+  const wishlist = await getWishlistProducts(req.user._id);
+
+  res.status(200).json(
+    new ApiResponse(200, { wishlist }, 'Wishlist fetched successfully')
+  );
+});
+
+// @desc    Add product to wishlist
+// @route   POST /api/v1/users/me/wishlist/:productId
+// @access  Private
+const addToWishlist = asyncHandler(async (req, res) => {
+  const product = await Product.findById(req.params.productId);
+
+  if (!product || !product.isActive) {
+    throw new ApiError(404, 'Product not found or unavailable');
+  }
+
+  await User.findByIdAndUpdate(req.user._id, {
+    $addToSet: { wishlist: product._id },
+  });
+
+  const wishlist = await getWishlistProducts(req.user._id);
+
+  res.status(200).json(
+    new ApiResponse(200, { wishlist }, 'Product added to wishlist')
+  );
+});
+
+// @desc    Remove product from wishlist
+// @route   DELETE /api/v1/users/me/wishlist/:productId
+// @access  Private
+const removeFromWishlist = asyncHandler(async (req, res) => {
+  const result = await User.updateOne(
+    { _id: req.user._id, wishlist: req.params.productId },
+    { $pull: { wishlist: req.params.productId } }
+  );
+
+  if (result.modifiedCount === 0) {
+    throw new ApiError(404, 'Product not found in wishlist');
+  }
+
+  const wishlist = await getWishlistProducts(req.user._id);
+
+  res.status(200).json(
+    new ApiResponse(200, { wishlist }, 'Product removed from wishlist')
+  );
+});
+
+// @desc    Move wishlist product to cart
+// @route   POST /api/v1/users/me/wishlist/:productId/move-to-cart
+// @access  Private
+const moveToCart = asyncHandler(async (req, res) => {
+  const { quantity = 1 } = req.body;
+
+  const user = await User.findById(req.user._id);
+
+  if (!user.wishlist.some((id) => id.toString() === req.params.productId)) {
+    throw new ApiError(404, 'Product not found in wishlist');
+  }
+
+  const product = await Product.findById(req.params.productId);
+
+  if (!product || !product.isActive) {
+    throw new ApiError(404, 'Product not found or unavailable');
+  }
+
+  let cart = await Cart.findOne({ userId: req.user._id });
+
+  if (!cart) {
+    cart = new Cart({ userId: req.user._id, items: [] });
+  }
+
+  const existingItem = cart.items.find(
+    (item) => item.productId.toString() === req.params.productId
+  );
+  const newQuantity = (existingItem ? existingItem.quantity : 0) + quantity;
+
+  // Check stock availability
+  if (product.stock.quantity < newQuantity) {
+    throw new ApiError(
+      400,
+      `Insufficient stock. Only ${product.stock.quantity} items available`
+    );
+  }
+
+  const { sellingPrice } = await pricingService.priceProduct(product);
+
+  if (existingItem) {
+    existingItem.quantity = newQuantity;
+    existingItem.price = sellingPrice;
+  } else {
+    cart.items.push({ productId: product._id, quantity, price: sellingPrice });
+  }
+
+  await cart.save();
+
+  user.wishlist.pull(product._id);
+  await user.save();
+
+  await cart.populate({
+    path: 'items.productId',
+    select: 'name images price stock',
+  });
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      { cart, wishlist: await getWishlistProducts(req.user._id) },
+      'Product moved to cart'
+    )
+  );
+});
+
+module.exports = {
+  getWishlist,
+  addToWishlist,
+  removeFromWishlist,
+  moveToCart,
+};
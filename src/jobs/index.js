@@ -0,0 +1,46 @@
+const expireStockReservations = require('./reservationExpiry.job');
+const reconcilePayments = require('./paymentReconciliation.job');
+
+const jobs = [
+  {
+    name: 'reservation-expiry',
+    intervalMs: Number(process.env.RESERVATION_SWEEP_INTERVAL_MS) || 60 * 1000,
+    run: expireStockReservations,
+  },
+  {
+    name: 'payment-reconciliation',
+    intervalMs:
+      Number(process.env.PAYMENT_RECONCILIATION_INTERVAL_MS) || 15 * 60 * 1000,
+    run: reconcilePayments,
+  },
+];
+
+/**
+ * Start all background jobs on fixed intervals.
+ * A job never overlaps with its own previous run.
+ */
+const startJobs = () => {
+  jobs.forEach((job) => {
+    let running = false;
+
+    const timer = setInterval(async () => {
+      if (running) return;
+      running = true;
+
+      try {
+        await job.run();
+      } catch (error) {
+        console.error(`Job ${job.name} failed:`, error);
+      } finally {
+        running = false;
+      }
+    }, job.intervalMs);
+
+    // Do not keep the process alive just for jobs
+    timer.unref();
+  });
+
+  console.log(`⏱  Background jobs started: ${jobs.map((job) => job.name).join(', ')}`);
+};
+
+module.exports = { startJobs };
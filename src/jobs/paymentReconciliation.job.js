@@ -0,0 +1,19 @@
+const reconciliationService = require('../services/reconciliation.service');
+
+/**
+ * Settle online orders whose payment webhook never arrived
+ * @returns {Number} - Number of orders checked
+ */
+const reconcilePayments = async () => {
+  const report = await reconciliationService.run();
+
+  if (report.entries.length > 0) {
+    console.log(
+      `Payment reconciliation: ${report.checked} checked, ${report.entries.length} settled or flagged`
+    );
+  }
+
+  return report.checked;
+};
+
+module.exports = reconcilePayments;
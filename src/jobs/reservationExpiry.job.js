@@ -0,0 +1,50 @@
+const Order = require('../models/Order.model');
+const inventoryService = require('../services/inventory.service');
+const orderStatusService = require('../services/orderStatus.service');
+const {
+  ORDER_STATUS,
+  ORDER_ACTOR,
+  PAYMENT_STATUS,
+  PAYMENT_METHOD,
+} = require('../constants');
+
+/**
+ * Release stock held by unpaid or unconfirmed COD orders whose window has passed
+ * and cancel those orders
+ * @returns {Number} - Number of orders expired
+ */
+const expireStockReservations = async () => {
+  const orderIds = await inventoryService.expireReservations();
+
+  for (const orderId of orderIds) {
+    // Stock is already released - one failure must not leave the rest uncancelled
+    try {
+      const order = await Order.findOne({
+        _id: orderId,
+        status: ORDER_STATUS.PENDING,
+        'payment.status': { $ne: PAYMENT_STATUS.COMPLETED },
+      });
+
+      if (!order) continue;
+
+      order.cancellationReason =
+        order.payment.method === PAYMENT_METHOD.COD
+          ? 'Cash on delivery order was not confirmed in time'
+          : 'Payment was not completed in time';
+      await orderStatusService.transition(order, ORDER_STATUS.CANCELLED, {
+        role: ORDER_ACTOR.SYSTEM,
+        note: order.cancellationReason,
+      });
+    } catch (error) {
+      console.error(`Expired order ${orderId} could not be cancelled:`, error);
+    }
+  }
+
+  if (orderIds.length > 0) {
+    console.log(`Expired stock reservations: ${orderIds.length}`);
+  }
+
+  return orderIds.length;
+};
+
+module.exports = expireStockReservations;
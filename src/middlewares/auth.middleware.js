@@ -3,7 +3,7 @@ const User = require('../models/User.model');
 const ApiError = require('../utils/ApiError');
 const asyncHandler = require('../utils/asyncHandler');
 
-const protect = asyncHandler(async (req, res, next) => {
+const getToken = (req) => {
   let token;
 
   // Check for token in Authorization header
@@ -19,6 +19,12 @@ const protect = asyncHandler(async (req, res, next) => {
     token = req.cookies.refreshToken;
   }
 
+  return token;
+};
+
+const protect = asyncHandler(async (req, res, next) => {
+  const token = getToken(req);
+
   // Check if token exists
   if (!token) {
     throw new ApiError(401, 'Not authorized to access this route');
@@ -50,6 +56,13 @@ const protect = asyncHandler(async (req, res, next) => {
   }
 });
 
+// Attach the user when a token is sent, otherwise continue as a guest.
+// A bad or expired token still fails so the client can refresh it.
+const optionalAuth = (req, res, next) => {
+  if (!getToken(req)) return next();
+  return protect(req, res, next);
+};
+
 // Authorize specific roles
 const authorize = (...roles) => {
   return (req, res, next) => {
@@ -63,4 +76,4 @@ const authorize = (...roles) => {
   };
 };
 
-module.exports = { protect, authorize };
+module.exports = { protect, optionalAuth, authorize };
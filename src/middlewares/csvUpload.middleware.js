@@ -0,0 +1,22 @@
+const multer = require('multer');
+const path = require('path');
+const ApiError = require('../utils/ApiError');
+
+// CSV imports are parsed straight from memory, never stored
+const fileFilter = (req, file, cb) => {
+  if (path.extname(file.originalname).toLowerCase() === '.csv') {
+    cb(null, true);
+  } else {
+    cb(new ApiError(400, 'Only CSV files are allowed'), false);
+  }
+};
+
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB max file size
+  },
+  fileFilter,
+});
+
+module.exports = csvUpload;
@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+
+const GUEST_COOKIE = 'guestSessionId';
+
+// The storefront is served from another domain in production, which needs
+// a cross-site cookie; local HTTP development cannot set a secure one
+const isProduction = process.env.NODE_ENV === 'production';
+
+// Signed so a guest cannot pick another session's id
+const guestCookieOptions = {
+  httpOnly: true,
+  secure: isProduction,
+  sameSite: isProduction ? 'none' : 'lax',
+  signed: true,
+  maxAge: 30 * 24 * 60 * 60 * 1000, // 30 days, as long as a cart lives
+};
+
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Signed guest session id, or undefined when missing or tampered with
+const readGuestSession = (req) => {
+  const guestId = req.signedCookies?.[GUEST_COOKIE];
+  return typeof guestId === 'string' && UUID_PATTERN.test(guestId)
+    ? guestId
+    : undefined;
+};
+
+// Identify anonymous visitors (after optionalAuth) by a signed cookie,
+// issuing one on their first request
+const guestSession = (req, res, next) => {
+  if (req.user) return next();
+
+  req.guestId = readGuestSession(req);
+
+  if (!req.guestId) {
+    req.guestId = crypto.randomUUID();
+    res.cookie(GUEST_COOKIE, req.guestId, guestCookieOptions);
+  }
+
+  next();
+};
+
+const clearGuestSession = (res) => {
+  res.clearCookie(GUEST_COOKIE, { ...guestCookieOptions, maxAge: undefined });
+};
+
+module.exports = { guestSession, readGuestSession, clearGuestSession };
@@ -0,0 +1,20 @@
+const ApiError = require('../utils/ApiError');
+
+// Multipart forms send nested fields as JSON strings; parse them back
+const parseJsonFields = (...fields) => {
+  return (req, res, next) => {
+    for (const field of fields) {
+      if (typeof req.body[field] === 'string') {
+        try {
+          req.body[field] = JSON.parse(req.body[field]);
+        } catch {
+          return next(new ApiError(400, `${field} must be valid JSON`));
+        }
+      }
+    }
+
+    next();
+  };
+};
+
+module.exports = parseJsonFields;
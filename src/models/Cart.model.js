@@ -2,12 +2,15 @@ const mongoose = require('mongoose');
 
 const cartSchema = new mongoose.Schema(
   {
+    // A cart belongs to a customer or to an anonymous guest session
     userId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
-      required: true,
-      unique: true,
+      required: function () {
+        return !this.guestId;
+      },
     },
+    guestId: String,
     items: [
       {
         productId: {
@@ -46,7 +49,14 @@ const cartSchema = new mongoose.Schema(
 );
 
 // Indexes
-cartSchema.index({ userId: 1 });
+cartSchema.index(
+  { userId: 1 },
+  { unique: true, partialFilterExpression: { userId: { $exists: true } } }
+);
+cartSchema.index(
+  { guestId: 1 },
+  { unique: true, partialFilterExpression: { guestId: { $exists: true } } }
+);
 cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // TTL index
 
 // Calculate total amount
@@ -58,9 +68,8 @@ cartSchema.methods.calculateTotal = function () {
 };
 
 // Update total before saving
-cartSchema.pre('save', function (next) {
+cartSchema.pre('save', function () {
   this.calculateTotal();
-  next();
 });
 
 module.exports = mongoose.model('Cart', cartSchema);
\ No newline at end of file
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Named sequences, e.g. "invoice:2026-27" -> 123
+const counterSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+      required: true,
+    },
+    seq: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Atomically take the next value of a sequence, starting at 1
+counterSchema.statics.next = async function (name) {
+  const increment = () =>
+    this.findOneAndUpdate(
+      { _id: name },
+      { $inc: { seq: 1 } },
+      { new: true, upsert: true }
+    );
+
+  try {
+    const counter = await increment();
+    return counter.seq;
+  } catch (error) {
+    // Two first uses of a sequence can race to insert it - the loser retries
+    if (error.code !== 11000) throw error;
+    const counter = await increment();
+    return counter.seq;
+  }
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
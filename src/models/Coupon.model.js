@@ -39,6 +39,22 @@ const couponSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    perUserLimit: {
+      type: Number,
+      default: null,
+    },
+    firstOrderOnly: {
+      type: Boolean,
+      default: false,
+    },
+    newCustomersOnly: {
+      type: Boolean,
+      default: false,
+    },
+    newCustomerWindowDays: {
+      type: Number,
+      default: 30,
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const { COUPON_REDEMPTION_STATUS } = require('../constants');
+
+const couponRedemptionSchema = new mongoose.Schema(
+  {
+    couponId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon',
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true,
+      unique: true,
+    },
+    code: {
+      type: String,
+      required: true,
+    },
+    discount: {
+      type: Number,
+      default: 0,
+    },
+    status: {
+      type: String,
+      enum: Object.values(COUPON_REDEMPTION_STATUS),
+      default: COUPON_REDEMPTION_STATUS.ACTIVE,
+    },
+    releasedAt: Date,
+    releaseReason: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+couponRedemptionSchema.index({ couponId: 1, userId: 1, status: 1 });
+
+module.exports = mongoose.model('CouponRedemption', couponRedemptionSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const { METAL_TYPE } = require('../constants');
+
+const metalRateSchema = new mongoose.Schema(
+  {
+    metal: {
+      type: String,
+      enum: Object.values(METAL_TYPE),
+      required: [true, 'Metal is required'],
+    },
+    purity: {
+      type: String,
+      required: [true, 'Purity is required'],
+      trim: true,
+      default: '99.9%',
+    },
+    ratePerGram: {
+      type: Number,
+      required: [true, 'Rate per gram is required'],
+      min: [0, 'Rate cannot be negative'],
+    },
+    effectiveFrom: {
+      type: Date,
+      default: Date.now,
+    },
+    source: {
+      type: String,
+      default: 'manual',
+    },
+    notes: String,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Latest rate lookup per metal/purity; older entries are kept as history
+metalRateSchema.index({ metal: 1, purity: 1, effectiveFrom: -1 });
+
+module.exports = mongoose.model('MetalRate', metalRateSchema);
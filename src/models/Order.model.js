@@ -1,5 +1,15 @@
 const mongoose = require('mongoose');
-const { ORDER_STATUS, PAYMENT_STATUS, PAYMENT_METHOD } = require('../constants');
+const sequenceService = require('../services/sequence.service');
+const {
+  ORDER_STATUS,
+  PAYMENT_STATUS,
+  PAYMENT_METHOD,
+  REFUND_STATUS,
+  COD_COLLECTION_MODE,
+  PAYMENT_GATEWAY,
+  SHIPPING_METHOD,
+  TRACKING_STATUS,
+} = require('../constants');
 
 const orderSchema = new mongoose.Schema(
   {
@@ -8,10 +18,24 @@ const orderSchema = new mongoose.Schema(
       unique: true,
       required: true,
     },
+    // Absent for guest orders until they are claimed
     userId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
-      required: true,
+      required: function () {
+        return !this.guest?.email;
+      },
+    },
+    // Guest checkout contact and the signed cookie session that placed the order
+    guest: {
+      sessionId: String,
+      email: {
+        type: String,
+        lowercase: true,
+        trim: true,
+      },
+      phone: String,
+      claimedAt: Date,
     },
     items: [
       {
@@ -29,11 +53,42 @@ const orderSchema = new mongoose.Schema(
           required: true,
           min: 1,
         },
+        // Selling price of one unit: metal value, making charges and GST
         price: {
           type: Number,
           required: true,
         },
+        // Metal value of one unit, after any product discount
+        metalValue: Number,
+        makingCharges: {
+          type: Number,
+          default: 0,
+        },
+        gst: {
+          type: Number,
+          default: 0,
+        },
+        gstRate: Number,
+        // GST on the whole line, split by place of supply
+        tax: {
+          taxableValue: Number,
+          cgst: Number,
+          sgst: Number,
+          igst: Number,
+        },
         weight: Number,
+        purity: String,
+        // Rate used to price the item at checkout
+        metalRate: {
+          rateId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'MetalRate',
+          },
+          metal: String,
+          purity: String,
+          ratePerGram: Number,
+          effectiveFrom: Date,
+        },
         image: String,
       },
     ],
@@ -50,6 +105,15 @@ const orderSchema = new mongoose.Schema(
         type: Number,
         required: true,
       },
+      // CGST + SGST within the store's state, IGST otherwise
+      tax: {
+        placeOfSupply: String,
+        intraState: Boolean,
+        taxableValue: Number,
+        cgst: Number,
+        sgst: Number,
+        igst: Number,
+      },
       shippingCharges: {
         type: Number,
         default: 0,
@@ -58,11 +122,22 @@ const orderSchema = new mongoose.Schema(
         type: Number,
         default: 0,
       },
+      codFee: {
+        type: Number,
+        default: 0,
+      },
       total: {
         type: Number,
         required: true,
       },
     },
+    coupon: {
+      couponId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Coupon',
+      },
+      code: String,
+    },
     shippingAddress: {
       name: {
         type: String,
@@ -114,12 +189,92 @@ const orderSchema = new mongoose.Schema(
         enum: Object.values(PAYMENT_STATUS),
         default: PAYMENT_STATUS.PENDING,
       },
-      razorpayOrderId: String,
-      razorpayPaymentId: String,
-      razorpaySignature: String,
+      // Gateway the payment went through and its reference ids
+      gateway: {
+        type: String,
+        enum: Object.values(PAYMENT_GATEWAY),
+      },
+      gatewayOrderId: String,
+      gatewayPaymentId: String,
+      gatewaySignature: String,
       transactionId: String,
       paidAt: Date,
+      // Cash on delivery collected by the courier
+      collection: {
+        amount: Number,
+        mode: {
+          type: String,
+          enum: Object.values(COD_COLLECTION_MODE),
+        },
+        reference: String,
+        collectedAt: Date,
+        collectedBy: String,
+      },
+      // Set by payment reconciliation when the gateway disagrees with the order
+      flaggedAt: Date,
+      flagReason: String,
+      reconciledAt: Date,
     },
+    // SMS confirmation of cash on delivery orders
+    codVerification: {
+      otp: {
+        type: String,
+        select: false,
+      },
+      expiresAt: Date,
+      sentAt: Date,
+      attempts: {
+        type: Number,
+        default: 0,
+      },
+      verifiedAt: Date,
+    },
+    refunds: [
+      {
+        refundId: String,
+        amount: {
+          type: Number,
+          required: true,
+          min: 0.01,
+        },
+        items: [
+          {
+            orderItemId: mongoose.Schema.Types.ObjectId,
+            quantity: Number,
+            amount: Number,
+          },
+        ],
+        status: {
+          type: String,
+          enum: Object.values(REFUND_STATUS),
+          default: REFUND_STATUS.PENDING,
+        },
+        reason: String,
+        returnId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'ReturnRequest',
+        },
+        initiatedBy: String,
+        processedAt: Date,
+        failureReason: String,
+        createdAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    // Chargebacks raised against the payment (payment.dispute.* events)
+    disputes: [
+      {
+        disputeId: String,
+        amount: Number,
+        reasonCode: String,
+        status: String,
+        phase: String,
+        respondBy: Date,
+        updatedAt: Date,
+      },
+    ],
     status: {
       type: String,
       required: true,
@@ -140,18 +295,72 @@ const orderSchema = new mongoose.Schema(
         },
       },
     ],
+    // Delivery option chosen at checkout
+    shipping: {
+      ruleId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ShippingRule',
+      },
+      method: {
+        type: String,
+        enum: Object.values(SHIPPING_METHOD),
+      },
+      name: String,
+      charge: Number,
+      freeShipping: Boolean,
+      estimatedDays: {
+        min: Number,
+        max: Number,
+      },
+      estimatedDelivery: {
+        from: Date,
+        to: Date,
+      },
+    },
     tracking: {
       courier: String,
+      // AWB number when the shipment was booked through a courier adapter
       trackingNumber: String,
       estimatedDelivery: Date,
       trackingUrl: String,
+      dispatchedAt: Date,
+      // Latest status reported by the courier
+      status: {
+        type: String,
+        enum: Object.values(TRACKING_STATUS),
+      },
     },
+    // Courier status timeline, oldest first
+    trackingEvents: [
+      {
+        status: {
+          type: String,
+          enum: Object.values(TRACKING_STATUS),
+          required: true,
+        },
+        description: String,
+        location: String,
+        occurredAt: {
+          type: Date,
+          required: true,
+        },
+        receivedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    // GST tax invoice, numbered once payment completes
     invoice: {
       number: String,
       url: String,
       generatedAt: Date,
+      // Set while a request is numbering the invoice, so serials have no gaps
+      pendingAt: Date,
     },
     notes: String,
+    reservationExpiresAt: Date,
+    deliveredAt: Date,
     cancellationReason: String,
     returnReason: String,
   },
@@ -166,25 +375,128 @@ orderSchema.index({ userId: 1, createdAt: -1 });
 orderSchema.index({ status: 1 });
 orderSchema.index({ 'payment.status': 1 });
 orderSchema.index({ createdAt: -1 });
+orderSchema.index({ 'refunds.refundId': 1 });
+orderSchema.index({ 'payment.gatewayPaymentId': 1 });
+orderSchema.index(
+  { 'invoice.number': 1 },
+  { unique: true, partialFilterExpression: { 'invoice.number': { $exists: true } } }
+);
+orderSchema.index({ 'invoice.generatedAt': 1 });
+orderSchema.index({ 'tracking.trackingNumber': 1 });
+orderSchema.index({ 'guest.email': 1 });
 
-// Generate order number
-orderSchema.pre('save', async function (next) {
+// Generate order number before validation, as it is required
+orderSchema.pre('validate', async function () {
   if (!this.orderNumber) {
-    const count = await this.constructor.countDocuments();
-    this.orderNumber = `LS${Date.now()}${(count + 1).toString().padStart(4, '0')}`;
+    this.orderNumber = await sequenceService.orderNumber();
   }
-  next();
 });
 
-// Add status to history on update
-orderSchema.pre('save', function (next) {
-  if (this.isModified('status') && !this.isNew) {
-    this.statusHistory.push({
-      status: this.status,
-      timestamp: new Date(),
-    });
+// Status changes go through the order status service, which checks the move
+// and writes the single history entry for it
+orderSchema.pre('save', function () {
+  if (this.isModified('status') && !this.isNew && !this.$locals.statusTransition) {
+    throw new Error('Order status must be changed through orderStatusService.transition');
   }
-  next();
 });
 
+// Whether a customer or guest session placed (or has claimed) the order
+orderSchema.methods.isOwnedBy = function (user, guestId) {
+  const ownerId = this.userId?._id || this.userId;
+
+  if (user && ownerId) return ownerId.toString() === user._id.toString();
+  return !!guestId && !ownerId && this.guest?.sessionId === guestId;
+};
+
+// Who to email about the order - the account holder or the guest
+// (expects userId populated with email and firstName)
+orderSchema.methods.getContact = function () {
+  return {
+    email: this.userId?.email || this.guest?.email,
+    firstName: this.userId?.firstName || this.shippingAddress?.name,
+  };
+};
+
+// Amount paid for some units of a line: its making charges and GST
+// plus its share of the order discount (shipping is not included)
+orderSchema.methods.getItemRefundAmount = function (itemId, quantity) {
+  const item = this.items.id(itemId);
+  if (!item) return 0;
+
+  const { subtotal, makingCharges, gst, discount } = this.pricing;
+
+  const lineGross = (line) =>
+    line.metalValue !== undefined
+      ? line.price * line.quantity
+      : // Older orders only carry order-level making charges and GST
+        ((line.price * line.quantity) / subtotal) *
+        (subtotal + makingCharges + gst);
+
+  const itemsGross = this.items.reduce((total, line) => total + lineGross(line), 0);
+  const gross = lineGross(item);
+  const net = gross - (itemsGross ? (discount * gross) / itemsGross : 0);
+
+  return Math.round(((net * quantity) / item.quantity) * 100) / 100;
+};
+
+// Total of refunds that have not failed
+orderSchema.methods.getRefundedAmount = function () {
+  const refunded = this.refunds
+    .filter((refund) => refund.status !== REFUND_STATUS.FAILED)
+    .reduce((total, refund) => total + refund.amount, 0);
+
+  return Math.round(refunded * 100) / 100;
+};
+
+// Units of a line already covered by refunds that have not failed
+orderSchema.methods.getRefundedQuantity = function (itemId) {
+  return this.refunds
+    .filter((refund) => refund.status !== REFUND_STATUS.FAILED)
+    .reduce(
+      (total, refund) =>
+        total +
+        refund.items
+          .filter((item) => item.orderItemId?.toString() === itemId.toString())
+          .reduce((sum, item) => sum + item.quantity, 0),
+      0
+    );
+};
+
+// Derive the payment status from the refund ledger
+orderSchema.methods.syncRefundStatus = function () {
+  const refunded = this.getRefundedAmount();
+
+  if (refunded >= this.pricing.total) {
+    this.payment.status = PAYMENT_STATUS.REFUNDED;
+  } else if (refunded > 0) {
+    this.payment.status = PAYMENT_STATUS.PARTIALLY_REFUNDED;
+  } else if (
+    [PAYMENT_STATUS.PARTIALLY_REFUNDED, PAYMENT_STATUS.REFUNDED].includes(
+      this.payment.status
+    )
+  ) {
+    this.payment.status = PAYMENT_STATUS.COMPLETED;
+  }
+};
+
+// Orders paid before gateways were pluggable stored Razorpay-named payment
+// ids - move them to the gateway fields. Safe to run repeatedly.
+orderSchema.statics.migrateRazorpayPaymentFields = async function () {
+  const legacyFields = ['razorpayOrderId', 'razorpayPaymentId', 'razorpaySignature'];
+
+  // Raw collection update, as the schema no longer knows the old paths
+  const result = await this.collection.updateMany(
+    { $or: legacyFields.map((field) => ({ [`payment.${field}`]: { $exists: true } })) },
+    {
+      $rename: {
+        'payment.razorpayOrderId': 'payment.gatewayOrderId',
+        'payment.razorpayPaymentId': 'payment.gatewayPaymentId',
+        'payment.razorpaySignature': 'payment.gatewaySignature',
+      },
+    }
+  );
+
+  return result.modifiedCount;
+};
+
 module.exports = mongoose.model('Order', orderSchema);
\ No newline at end of file
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const { RECONCILIATION_OUTCOME } = require('../constants');
+
+const paymentReconciliationSchema = new mongoose.Schema(
+  {
+    trigger: {
+      type: String,
+      enum: ['scheduled', 'manual'],
+      default: 'scheduled',
+    },
+    triggeredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    startedAt: {
+      type: Date,
+      required: true,
+    },
+    finishedAt: Date,
+    checked: {
+      type: Number,
+      default: 0,
+    },
+    summary: {
+      confirmed: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 },
+      amountMismatch: { type: Number, default: 0 },
+      paidAfterCancel: { type: Number, default: 0 },
+      pending: { type: Number, default: 0 },
+      errors: { type: Number, default: 0 },
+    },
+    // Only orders whose state changed or that need attention
+    entries: [
+      {
+        orderId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Order',
+        },
+        orderNumber: String,
+        gatewayOrderId: String,
+        gatewayPaymentId: String,
+        outcome: {
+          type: String,
+          enum: Object.values(RECONCILIATION_OUTCOME),
+        },
+        expectedAmount: Number,
+        gatewayAmount: Number,
+        message: String,
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+paymentReconciliationSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model(
+  'PaymentReconciliation',
+  paymentReconciliationSchema
+);
@@ -81,6 +81,12 @@ const productSchema = new mongoose.Schema(
         default: 0,
         min: 0,
       },
+      // Units held by unpaid orders; already deducted from quantity
+      reserved: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
       isInStock: {
         type: Boolean,
         default: true,
@@ -159,20 +165,18 @@ productSchema.index({ createdAt: -1 });
 =========================== */
 
 // Generate slug
-productSchema.pre("save", function (next) {
+productSchema.pre("save", function () {
   if (this.isModified("name")) {
     this.slug = this.name
       .toLowerCase()
       .replace(/[^a-z0-9]+/g, "-")
       .replace(/^-|-$/g, "");
   }
-  next();
 });
 
 // Update stock status
-productSchema.pre("save", function (next) {
+productSchema.pre("save", function () {
   this.stock.isInStock = this.stock.quantity > 0;
-  next();
 });
 
 /* ===========================
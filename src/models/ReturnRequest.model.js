@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+const sequenceService = require('../services/sequence.service');
+const { RETURN_STATUS, MANUAL_REFUND_METHOD } = require('../constants');
+
+const returnRequestSchema = new mongoose.Schema(
+  {
+    returnNumber: {
+      type: String,
+      unique: true,
+    },
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    items: [
+      {
+        orderItemId: {
+          type: mongoose.Schema.Types.ObjectId,
+          required: true,
+        },
+        productId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Product',
+          required: true,
+        },
+        name: String,
+        quantity: {
+          type: Number,
+          required: true,
+          min: 1,
+        },
+        // Amount refundable for this line, net of its share of discounts
+        refundAmount: {
+          type: Number,
+          default: 0,
+        },
+        reason: {
+          type: String,
+          required: true,
+          maxlength: 500,
+        },
+        photos: [
+          {
+            url: String,
+            publicId: String,
+          },
+        ],
+      },
+    ],
+    status: {
+      type: String,
+      enum: Object.values(RETURN_STATUS),
+      default: RETURN_STATUS.REQUESTED,
+    },
+    statusHistory: [
+      {
+        status: {
+          type: String,
+          enum: Object.values(RETURN_STATUS),
+        },
+        note: String,
+        updatedBy: String,
+        timestamp: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    pickup: {
+      scheduledDate: Date,
+      timeSlot: String,
+      courier: String,
+      trackingNumber: String,
+      address: {
+        name: String,
+        phone: String,
+        street: String,
+        city: String,
+        state: String,
+        pincode: String,
+        country: String,
+      },
+    },
+    adminNote: String,
+    rejectionReason: String,
+    receivedAt: Date,
+    refund: {
+      amount: Number,
+      refundId: String,
+      status: String,
+      // Set when the refund was paid outside the gateway (COD orders)
+      method: {
+        type: String,
+        enum: Object.values(MANUAL_REFUND_METHOD),
+      },
+      reference: String,
+      processedAt: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+returnRequestSchema.index({ userId: 1, createdAt: -1 });
+returnRequestSchema.index({ orderId: 1 });
+returnRequestSchema.index({ status: 1, createdAt: -1 });
+
+// Generate return number
+returnRequestSchema.pre('validate', async function () {
+  if (!this.returnNumber) {
+    this.returnNumber = await sequenceService.returnNumber();
+  }
+});
+
+module.exports = mongoose.model('ReturnRequest', returnRequestSchema);
@@ -50,6 +50,17 @@ const reviewSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    // Users who marked the review helpful (one vote each)
+    helpfulVotes: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+      select: false,
+    },
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    moderatedAt: Date,
+    rejectionReason: String,
   },
   {
     timestamps: true,
@@ -62,7 +73,7 @@ const reviewSchema = new mongoose.Schema(
 
 // Fast listing
 reviewSchema.index({ productId: 1, createdAt: -1 });
-reviewSchema.index({ isApproved: 1 });
+reviewSchema.index({ isApproved: 1, moderatedAt: 1, createdAt: 1 });
 
 // One review per user per product
 reviewSchema.index(
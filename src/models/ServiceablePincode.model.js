@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+const serviceablePincodeSchema = new mongoose.Schema(
+  {
+    pincode: {
+      type: String,
+      required: [true, 'Pincode is required'],
+      unique: true,
+      match: [/^\d{6}$/, 'Pincode must be 6 digits'],
+    },
+    city: {
+      type: String,
+      trim: true,
+    },
+    district: {
+      type: String,
+      trim: true,
+    },
+    state: {
+      type: String,
+      trim: true,
+    },
+    codAvailable: {
+      type: Boolean,
+      default: true,
+    },
+    // Overrides the shipping rule's delivery estimate, e.g. for remote areas
+    deliveryDays: {
+      min: Number,
+      max: Number,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+serviceablePincodeSchema.index({ state: 1, city: 1 });
+
+module.exports = mongoose.model('ServiceablePincode', serviceablePincodeSchema);
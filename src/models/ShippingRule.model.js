@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const { SHIPPING_METHOD } = require('../constants');
+
+const shippingRuleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Rule name is required'],
+      trim: true,
+    },
+    method: {
+      type: String,
+      enum: Object.values(SHIPPING_METHOD),
+      default: SHIPPING_METHOD.STANDARD,
+    },
+    // Destinations the rule covers - leave both empty for all of India.
+    // A pincode match is more specific than a state match.
+    zone: {
+      states: [
+        {
+          type: String,
+          trim: true,
+        },
+      ],
+      pincodePrefixes: [
+        {
+          type: String,
+          trim: true,
+        },
+      ],
+    },
+    // Charge by total parcel weight in grams; the first slab the weight fits wins.
+    // A slab without maxWeight covers everything heavier.
+    weightSlabs: [
+      {
+        maxWeight: Number,
+        charge: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+      },
+    ],
+    // Items value (with GST, before coupons) from which shipping is free
+    freeShippingThreshold: {
+      type: Number,
+      default: null,
+    },
+    estimatedDays: {
+      min: {
+        type: Number,
+        required: true,
+        min: 0,
+      },
+      max: {
+        type: Number,
+        required: true,
+        min: 0,
+      },
+    },
+    // Breaks ties between equally specific rules for the same method
+    priority: {
+      type: Number,
+      default: 0,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+shippingRuleSchema.index({ isActive: 1, method: 1 });
+
+module.exports = mongoose.model('ShippingRule', shippingRuleSchema);
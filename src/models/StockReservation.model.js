@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const { RESERVATION_STATUS } = require('../constants');
+
+const stockReservationSchema = new mongoose.Schema(
+  {
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true,
+      unique: true,
+    },
+    // Absent for guest checkouts
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    items: [
+      {
+        productId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Product',
+          required: true,
+        },
+        quantity: {
+          type: Number,
+          required: true,
+          min: 1,
+        },
+      },
+    ],
+    status: {
+      type: String,
+      enum: Object.values(RESERVATION_STATUS),
+      default: RESERVATION_STATUS.ACTIVE,
+    },
+    // Unset for reservations without a payment window
+    expiresAt: Date,
+    confirmedAt: Date,
+    releasedAt: Date,
+    releaseReason: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+stockReservationSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('StockReservation', stockReservationSchema);
@@ -20,8 +20,7 @@ const addressSchema = new mongoose.Schema(
     pincode: { type: String, required: true },
     country: { type: String, default: "India" },
     isDefault: { type: Boolean, default: false },
-  },
-  { _id: false }
+  }
 );
 
 /* ===========================
@@ -67,10 +66,20 @@ const userSchema = new mongoose.Schema(
       default: USER_ROLES.CUSTOMER,
     },
     isVerified: { type: Boolean, default: false },
+    isPhoneVerified: { type: Boolean, default: false },
+    pendingPhone: String,
+    phoneOtp: { type: String, select: false },
+    phoneOtpExpiry: Date,
+    phoneOtpAttempts: { type: Number, default: 0 },
+    phoneOtpSentAt: Date,
     verificationToken: String,
     verificationTokenExpiry: Date,
     resetPasswordToken: String,
     resetPasswordExpiry: Date,
+    // Pending claim of guest orders placed with another email address
+    orderClaimEmail: String,
+    orderClaimToken: String,
+    orderClaimTokenExpiry: Date,
     addresses: [addressSchema],
     wishlist: [{ type: mongoose.Schema.Types.ObjectId, ref: "Product" }],
     isActive: { type: Boolean, default: true },
@@ -144,6 +153,35 @@ userSchema.methods.resetLoginAttempts = function () {
   });
 };
 
+/* ===========================
+   Statics
+=========================== */
+
+// Addresses saved before they had ids get a new random _id on every load,
+// so give each one a stored _id. Safe to run repeatedly.
+userSchema.statics.backfillAddressIds = async function () {
+  const cursor = this.collection.find(
+    { addresses: { $elemMatch: { _id: { $exists: false } } } },
+    { projection: { addresses: 1 } }
+  );
+  let updated = 0;
+
+  for await (const user of cursor) {
+    const addresses = user.addresses.map((address) =>
+      address._id ? address : { _id: new mongoose.Types.ObjectId(), ...address }
+    );
+
+    // Skip users whose addresses changed since they were read
+    const result = await this.collection.updateOne(
+      { _id: user._id, addresses: user.addresses },
+      { $set: { addresses } }
+    );
+    updated += result.modifiedCount;
+  }
+
+  return updated;
+};
+
 /* ===========================
    JSON Sanitization
 =========================== */
@@ -154,6 +192,13 @@ userSchema.methods.toJSON = function () {
   delete user.verificationTokenExpiry;
   delete user.resetPasswordToken;
   delete user.resetPasswordExpiry;
+  delete user.orderClaimEmail;
+  delete user.orderClaimToken;
+  delete user.orderClaimTokenExpiry;
+  delete user.phoneOtp;
+  delete user.phoneOtpExpiry;
+  delete user.phoneOtpAttempts;
+  delete user.phoneOtpSentAt;
   delete user.loginAttempts;
   delete user.lockUntil;
   return user;
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const { PAYMENT_GATEWAY, WEBHOOK_EVENT_STATUS } = require('../constants');
+
+const webhookEventSchema = new mongoose.Schema(
+  {
+    gateway: {
+      type: String,
+      enum: Object.values(PAYMENT_GATEWAY),
+      default: PAYMENT_GATEWAY.RAZORPAY,
+    },
+    // Event id assigned by the gateway (e.g. x-razorpay-event-id)
+    eventId: {
+      type: String,
+      required: true,
+    },
+    event: String,
+    payload: mongoose.Schema.Types.Mixed,
+    // Body exactly as received, kept for signature audits
+    rawBody: {
+      type: String,
+      select: false,
+    },
+    signature: String,
+    signatureValid: {
+      type: Boolean,
+      default: false,
+    },
+    status: {
+      type: String,
+      enum: Object.values(WEBHOOK_EVENT_STATUS),
+      default: WEBHOOK_EVENT_STATUS.PROCESSING,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    lastError: String,
+    processedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Rejected deliveries must not block the genuine event with the same id
+webhookEventSchema.index(
+  { gateway: 1, eventId: 1 },
+  { unique: true, partialFilterExpression: { signatureValid: true } }
+);
+webhookEventSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
@@ -0,0 +1,40 @@
+const express = require('express');
+const {
+  getDashboardSummary,
+  getRevenueAnalytics,
+  getOrderAnalytics,
+  getTopProducts,
+  getCustomerAnalytics,
+  getCartAnalytics,
+  getReconciliationReports,
+  getFlaggedPayments,
+  getReconciliationReport,
+  runReconciliation,
+  exportInvoices,
+} = require('../controllers/admin.controller');
+const { protect, authorize } = require('../middlewares/auth.middleware');
+const { USER_ROLES } = require('../constants');
+
+const router = express.Router();
+
+// All admin routes are admin only
+router.use(protect, authorize(USER_ROLES.ADMIN));
+
+// Dashboard analytics
+router.get('/dashboard', getDashboardSummary);
+router.get('/analytics/revenue', getRevenueAnalytics);
+router.get('/analytics/orders', getOrderAnalytics);
+router.get('/analytics/top-products', getTopProducts);
+router.get('/analytics/customers', getCustomerAnalytics);
+router.get('/analytics/carts', getCartAnalytics);
+
+// Payment reconciliation
+router.get('/reconciliation', getReconciliationReports);
+router.post('/reconciliation/run', runReconciliation);
+router.get('/reconciliation/flagged', getFlaggedPayments);
+router.get('/reconciliation/:id', getReconciliationReport);
+
+// Tax invoices
+router.get('/invoices/export', exportInvoices);
+
+module.exports = router;
@@ -5,18 +5,30 @@ const {
   updateCartItem,
   removeFromCart,
   clearCart,
+  applyCoupon,
 } = require('../controllers/cart.controller');
-const { protect } = require('../middlewares/auth.middleware');
+const { protect, optionalAuth } = require('../middlewares/auth.middleware');
+const { guestSession } = require('../middlewares/guestSession.middleware');
 const validate = require('../middlewares/validate.middleware');
 const {
   addToCartValidator,
   updateCartItemValidator,
 } = require('../validators/cart.validator');
+const { applyCouponValidator } = require('../validators/coupon.validator');
 
 const router = express.Router();
 
-// All cart routes require authentication
-router.use(protect);
+// Coupon limits are per customer
+router.post(
+  '/apply-coupon',
+  protect,
+  validate(applyCouponValidator),
+  applyCoupon
+);
+
+// Guests get a cart tied to a signed session cookie, merged into their
+// account cart when they log in or register
+router.use(optionalAuth, guestSession);
 
 router.get('/', getCart);
 router.post('/add', validate(addToCartValidator), addToCart);
@@ -0,0 +1,28 @@
+const express = require('express');
+const {
+  getCoupons,
+  getCouponById,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon,
+} = require('../controllers/coupon.controller');
+const { protect, authorize } = require('../middlewares/auth.middleware');
+const validate = require('../middlewares/validate.middleware');
+const {
+  createCouponValidator,
+  updateCouponValidator,
+} = require('../validators/coupon.validator');
+const { USER_ROLES } = require('../constants');
+
+const router = express.Router();
+
+// All coupon management routes are admin only
+router.use(protect, authorize(USER_ROLES.ADMIN));
+
+router.get('/', getCoupons);
+router.get('/:id', getCouponById);
+router.post('/', validate(createCouponValidator), createCoupon);
+router.put('/:id', validate(updateCouponValidator), updateCoupon);
+router.delete('/:id', deleteCoupon);
+
+module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const { handleCourierWebhook } = require('../controllers/shipment.controller');
+
+const router = express.Router();
+
+// Public courier webhooks - req.body is the raw Buffer from express.raw()
+// POST / is the default courier
+router.post('/', handleCourierWebhook);
+router.post('/:courier', handleCourierWebhook);
+
+module.exports = router;
@@ -0,0 +1,33 @@
+const express = require('express');
+const {
+  getCurrentRates,
+  getRateHistory,
+  createMetalRate,
+} = require('../controllers/metalRate.controller');
+const { protect, authorize } = require('../middlewares/auth.middleware');
+const validate = require('../middlewares/validate.middleware');
+const { createMetalRateValidator } = require('../validators/metalRate.validator');
+const { USER_ROLES } = require('../constants');
+
+const router = express.Router();
+
+// Public routes
+router.get('/', getCurrentRates);
+
+// Admin routes
+router.get(
+  '/history',
+  protect,
+  authorize(USER_ROLES.ADMIN),
+  getRateHistory
+);
+
+router.post(
+  '/',
+  protect,
+  authorize(USER_ROLES.ADMIN),
+  validate(createMetalRateValidator),
+  createMetalRate
+);
+
+module.exports = router;
@@ -0,0 +1,35 @@
+const express = require('express');
+const {
+  getNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead,
+  deleteNotification,
+  broadcastOffer,
+} = require('../controllers/notification.controller');
+const { protect, authorize } = require('../middlewares/auth.middleware');
+const validate = require('../middlewares/validate.middleware');
+const { broadcastOfferValidator } = require('../validators/notification.validator');
+const { USER_ROLES } = require('../constants');
+
+const router = express.Router();
+
+// All notification routes require authentication
+router.use(protect);
+
+// Customer routes
+router.get('/', getNotifications);
+router.get('/unread-count', getUnreadCount);
+router.put('/read-all', markAllAsRead);
+router.put('/:id/read', markAsRead);
+router.delete('/:id', deleteNotification);
+
+// Admin routes
+router.post(
+  '/broadcast',
+  authorize(USER_ROLES.ADMIN),
+  validate(broadcastOfferValidator),
+  broadcastOffer
+);
+
+module.exports = router;
@@ -6,25 +6,72 @@ const {
   cancelOrder,
   getAllOrders,
   updateOrderStatus,
+  getCodEligibility,
+  verifyCodOrder,
+  resendCodOtp,
+  getOrderInvoice,
+  claimGuestOrders,
+  verifyGuestOrderClaim,
 } = require('../controllers/order.controller');
-const { protect, authorize } = require('../middlewares/auth.middleware');
+const {
+  dispatchOrder,
+  getOrderTracking,
+} = require('../controllers/shipment.controller');
+const {
+  protect,
+  optionalAuth,
+  authorize,
+} = require('../middlewares/auth.middleware');
+const { guestSession } = require('../middlewares/guestSession.middleware');
 const validate = require('../middlewares/validate.middleware');
-const { createOrderValidator } = require('../validators/order.validator');
+const {
+  createOrderValidator,
+  verifyCodOrderValidator,
+  claimGuestOrdersValidator,
+  verifyGuestOrderClaimValidator,
+} = require('../validators/order.validator');
 const { USER_ROLES } = require('../constants');
 
 const router = express.Router();
 
-// All order routes require authentication
+// Checkout routes for customers and guests - guests are identified by
+// their signed session cookie
+const customerOrGuest = [optionalAuth, guestSession];
+
+router.get('/cod/eligibility', customerOrGuest, getCodEligibility);
+router.post(
+  '/create',
+  customerOrGuest,
+  validate(createOrderValidator),
+  createOrder
+);
+router.get('/:id', customerOrGuest, getOrderById);
+router.get('/:id/invoice', customerOrGuest, getOrderInvoice);
+router.get('/:id/tracking', customerOrGuest, getOrderTracking);
+router.post(
+  '/:id/cod/verify',
+  customerOrGuest,
+  validate(verifyCodOrderValidator),
+  verifyCodOrder
+);
+router.post('/:id/cod/resend-otp', customerOrGuest, resendCodOtp);
+
+// All other order routes require authentication
 router.use(protect);
 
 // Customer routes
 router.get('/', getOrders);
-router.get('/:id', getOrderById);
-router.post('/create', validate(createOrderValidator), createOrder);
 router.put('/:id/cancel', cancelOrder);
+router.post('/claim', validate(claimGuestOrdersValidator), claimGuestOrders);
+router.post(
+  '/claim/verify',
+  validate(verifyGuestOrderClaimValidator),
+  verifyGuestOrderClaim
+);
 
 // Admin routes
 router.get('/all/orders', authorize(USER_ROLES.ADMIN), getAllOrders);
 router.put('/:id/status', authorize(USER_ROLES.ADMIN), updateOrderStatus);
+router.post('/:id/dispatch', authorize(USER_ROLES.ADMIN), dispatchOrder);
 
 module.exports = router;
\ No newline at end of file
@@ -2,41 +2,61 @@ const express = require('express');
 const {
   createPaymentOrder,
   verifyPayment,
-  handleWebhook,
   getPaymentStatus,
+  payWithMockGateway,
   initiateRefund,
+  getWebhookEvents,
+  replayWebhookEvent,
 } = require('../controllers/payment.controller');
-const { protect, authorize } = require('../middlewares/auth.middleware');
+const {
+  protect,
+  optionalAuth,
+  authorize,
+} = require('../middlewares/auth.middleware');
+const { guestSession } = require('../middlewares/guestSession.middleware');
 const validate = require('../middlewares/validate.middleware');
+const { isMockGatewayEnabled } = require('../services/gateways');
 const {
   createPaymentOrderValidator,
   verifyPaymentValidator,
+  mockPaymentValidator,
   initiateRefundValidator,
 } = require('../validators/payment.validator');
 const { USER_ROLES } = require('../constants');
 
 const router = express.Router();
 
-// Public webhook route (Must be BEFORE express.json() middleware)
-// This route will be handled separately in app.js
-router.post('/webhook', handleWebhook);
+// Gateway webhooks are mounted separately in app.js (webhook.routes.js)
+// so it receives the raw request body
+
+// Checkout routes for customers and guests (signed session cookie)
+const customerOrGuest = [optionalAuth, guestSession];
 
-// Protected routes
 router.post(
   '/create-order',
-  protect,
+  customerOrGuest,
   validate(createPaymentOrderValidator),
   createPaymentOrder
 );
 
 router.post(
   '/verify',
-  protect,
+  customerOrGuest,
   validate(verifyPaymentValidator),
   verifyPayment
 );
 
-router.get('/:orderId/status', protect, getPaymentStatus);
+router.get('/:orderId/status', customerOrGuest, getPaymentStatus);
+
+// Stands in for the hosted checkout while the mock gateway is configured
+if (isMockGatewayEnabled()) {
+  router.post(
+    '/mock/pay',
+    customerOrGuest,
+    validate(mockPaymentValidator),
+    payWithMockGateway
+  );
+}
 
 // Admin routes
 router.post(
@@ -47,4 +67,18 @@ router.post(
   initiateRefund
 );
 
+router.get(
+  '/webhooks',
+  protect,
+  authorize(USER_ROLES.ADMIN),
+  getWebhookEvents
+);
+
+router.post(
+  '/webhooks/:id/replay',
+  protect,
+  authorize(USER_ROLES.ADMIN),
+  replayWebhookEvent
+);
+
 module.exports = router;
\ No newline at end of file
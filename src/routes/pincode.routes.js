@@ -0,0 +1,36 @@
+const express = require('express');
+const {
+  checkPincode,
+  getPincodes,
+  importPincodes,
+  updatePincode,
+} = require('../controllers/pincode.controller');
+const { protect, authorize } = require('../middlewares/auth.middleware');
+const validate = require('../middlewares/validate.middleware');
+const csvUpload = require('../middlewares/csvUpload.middleware');
+const { updatePincodeValidator } = require('../validators/pincode.validator');
+const { USER_ROLES } = require('../constants');
+
+const router = express.Router();
+
+// Public routes
+router.get('/:pincode/check', checkPincode);
+
+// Admin routes
+router.get('/', protect, authorize(USER_ROLES.ADMIN), getPincodes);
+router.post(
+  '/import',
+  protect,
+  authorize(USER_ROLES.ADMIN),
+  csvUpload.single('file'),
+  importPincodes
+);
+router.put(
+  '/:pincode',
+  protect,
+  authorize(USER_ROLES.ADMIN),
+  validate(updatePincodeValidator),
+  updatePincode
+);
+
+module.exports = router;
@@ -28,6 +28,9 @@ router.get('/search', searchProducts);
 router.get('/slug/:slug', getProductBySlug);
 router.get('/:id', getProductById);
 
+// Reviews
+router.use('/:id/reviews', require('./productReview.routes'));
+
 // Admin routes
 router.post(
   '/',
@@ -0,0 +1,43 @@
+const express = require('express');
+const {
+  getProductReviews,
+  createReview,
+  updateReview,
+  deleteReview,
+  markReviewHelpful,
+} = require('../controllers/review.controller');
+const { protect } = require('../middlewares/auth.middleware');
+const validate = require('../middlewares/validate.middleware');
+const {
+  createReviewValidator,
+  updateReviewValidator,
+} = require('../validators/review.validator');
+const upload = require('../middlewares/upload.middleware');
+
+// Mounted under /api/v1/products/:id/reviews
+const router = express.Router({ mergeParams: true });
+
+// Public routes
+router.get('/', getProductReviews);
+
+// Customer routes
+router.post(
+  '/',
+  protect,
+  upload.array('images', 5),
+  validate(createReviewValidator),
+  createReview
+);
+
+router.put(
+  '/:reviewId',
+  protect,
+  upload.array('images', 5),
+  validate(updateReviewValidator),
+  updateReview
+);
+
+router.delete('/:reviewId', protect, deleteReview);
+router.post('/:reviewId/helpful', protect, markReviewHelpful);
+
+module.exports = router;
@@ -0,0 +1,82 @@
+const express = require('express');
+const {
+  requestReturn,
+  getMyReturns,
+  getReturnById,
+  cancelReturn,
+  getAllReturns,
+  approveReturn,
+  rejectReturn,
+  schedulePickup,
+  receiveReturn,
+  completeReturnRefund,
+  retryReturnRefund,
+} = require('../controllers/return.controller');
+const { protect, authorize } = require('../middlewares/auth.middleware');
+const validate = require('../middlewares/validate.middleware');
+const parseJsonFields = require('../middlewares/parseJson.middleware');
+const {
+  requestReturnValidator,
+  approveReturnValidator,
+  rejectReturnValidator,
+  schedulePickupValidator,
+  receiveReturnValidator,
+  completeRefundValidator,
+} = require('../validators/return.validator');
+const upload = require('../middlewares/upload.middleware');
+const { USER_ROLES } = require('../constants');
+
+const router = express.Router();
+
+// All return routes require authentication
+router.use(protect);
+
+// Customer routes
+router.get('/', getMyReturns);
+router.post(
+  '/',
+  upload.any(),
+  parseJsonFields('items'),
+  validate(requestReturnValidator),
+  requestReturn
+);
+
+// Admin routes
+router.get('/all/returns', authorize(USER_ROLES.ADMIN), getAllReturns);
+router.put(
+  '/:id/approve',
+  authorize(USER_ROLES.ADMIN),
+  validate(approveReturnValidator),
+  approveReturn
+);
+router.put(
+  '/:id/reject',
+  authorize(USER_ROLES.ADMIN),
+  validate(rejectReturnValidator),
+  rejectReturn
+);
+router.put(
+  '/:id/pickup',
+  authorize(USER_ROLES.ADMIN),
+  validate(schedulePickupValidator),
+  schedulePickup
+);
+router.put(
+  '/:id/receive',
+  authorize(USER_ROLES.ADMIN),
+  validate(receiveReturnValidator),
+  receiveReturn
+);
+router.put(
+  '/:id/refund',
+  authorize(USER_ROLES.ADMIN),
+  validate(completeRefundValidator),
+  completeReturnRefund
+);
+router.put('/:id/refund/retry', authorize(USER_ROLES.ADMIN), retryReturnRefund);
+
+// Customer routes with :id
+router.get('/:id', getReturnById);
+router.put('/:id/cancel', cancelReturn);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const {
+  getPendingReviews,
+  approveReview,
+  rejectReview,
+} = require('../controllers/review.controller');
+const { protect, authorize } = require('../middlewares/auth.middleware');
+const validate = require('../middlewares/validate.middleware');
+const { rejectReviewValidator } = require('../validators/review.validator');
+const { USER_ROLES } = require('../constants');
+
+const router = express.Router();
+
+// All moderation routes are admin only
+router.use(protect, authorize(USER_ROLES.ADMIN));
+
+router.get('/pending', getPendingReviews);
+router.put('/:reviewId/approve', approveReview);
+router.put('/:reviewId/reject', validate(rejectReviewValidator), rejectReview);
+
+module.exports = router;
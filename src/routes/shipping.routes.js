@@ -0,0 +1,54 @@
+const express = require('express');
+const {
+  getShippingQuote,
+  getShippingRules,
+  getShippingRuleById,
+  createShippingRule,
+  updateShippingRule,
+  deleteShippingRule,
+} = require('../controllers/shipping.controller');
+const {
+  protect,
+  optionalAuth,
+  authorize,
+} = require('../middlewares/auth.middleware');
+const { guestSession } = require('../middlewares/guestSession.middleware');
+const validate = require('../middlewares/validate.middleware');
+const {
+  createShippingRuleValidator,
+  updateShippingRuleValidator,
+  shippingQuoteValidator,
+} = require('../validators/shipping.validator');
+const { USER_ROLES } = require('../constants');
+
+const router = express.Router();
+
+// Customer and guest routes - the cart page quotes before checkout
+router.post(
+  '/quote',
+  optionalAuth,
+  guestSession,
+  validate(shippingQuoteValidator),
+  getShippingQuote
+);
+
+// Admin routes
+router.use(protect);
+
+router.get('/rules', authorize(USER_ROLES.ADMIN), getShippingRules);
+router.get('/rules/:id', authorize(USER_ROLES.ADMIN), getShippingRuleById);
+router.post(
+  '/rules',
+  authorize(USER_ROLES.ADMIN),
+  validate(createShippingRuleValidator),
+  createShippingRule
+);
+router.put(
+  '/rules/:id',
+  authorize(USER_ROLES.ADMIN),
+  validate(updateShippingRuleValidator),
+  updateShippingRule
+);
+router.delete('/rules/:id', authorize(USER_ROLES.ADMIN), deleteShippingRule);
+
+module.exports = router;
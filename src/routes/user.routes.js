@@ -0,0 +1,59 @@
+const express = require('express');
+const {
+  getProfile,
+  updateProfile,
+  verifyPhone,
+  getAddresses,
+  addAddress,
+  updateAddress,
+  deleteAddress,
+  setDefaultAddress,
+} = require('../controllers/user.controller');
+const {
+  getWishlist,
+  addToWishlist,
+  removeFromWishlist,
+  moveToCart,
+} = require('../controllers/wishlist.controller');
+const { protect } = require('../middlewares/auth.middleware');
+const validate = require('../middlewares/validate.middleware');
+const {
+  updateProfileValidator,
+  verifyPhoneValidator,
+  addressValidator,
+  updateAddressValidator,
+  moveToCartValidator,
+} = require('../validators/user.validator');
+
+const router = express.Router();
+
+// All user routes require authentication
+router.use(protect);
+
+// Profile
+router.get('/me', getProfile);
+router.put('/me', validate(updateProfileValidator), updateProfile);
+router.post('/me/verify-phone', validate(verifyPhoneValidator), verifyPhone);
+
+// Address book
+router.get('/me/addresses', getAddresses);
+router.post('/me/addresses', validate(addressValidator), addAddress);
+router.put(
+  '/me/addresses/:addressId',
+  validate(updateAddressValidator),
+  updateAddress
+);
+router.delete('/me/addresses/:addressId', deleteAddress);
+router.put('/me/addresses/:addressId/default', setDefaultAddress);
+
+// Wishlist
+router.get('/me/wishlist', getWishlist);
+router.post('/me/wishlist/:productId', addToWishlist);
+router.delete('/me/wishlist/:productId', removeFromWishlist);
+router.post(
+  '/me/wishlist/:productId/move-to-cart',
+  validate(moveToCartValidator),
+  moveToCart
+);
+
+module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const { handleWebhook } = require('../controllers/payment.controller');
+
+const router = express.Router();
+
+// Public gateway webhooks - req.body is the raw Buffer from express.raw()
+// POST / is the default gateway, kept for the existing Razorpay dashboard URL
+router.post('/', handleWebhook);
+router.post('/:gateway', handleWebhook);
+
+module.exports = router;
@@ -2,6 +2,7 @@ require("dotenv").config();
 
 const app = require("./app");
 const connectDB = require("./config/db");
+const { startJobs } = require("./jobs");
 
 /* =====================================================
    DATABASE CONNECTION
@@ -9,6 +10,14 @@ const connectDB = require("./config/db");
 
 connectDB();
 
+/* =====================================================
+   BACKGROUND JOBS
+===================================================== */
+
+if (process.env.DISABLE_JOBS !== "true") {
+  startJobs();
+}
+
 /* =====================================================
    START SERVER
 ===================================================== */
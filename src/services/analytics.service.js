@@ -0,0 +1,286 @@
+const Order = require('../models/Order.model');
+const Cart = require('../models/Cart.model');
+const User = require('../models/User.model');
+const { PAYMENT_STATUS, USER_ROLES } = require('../constants');
+
+const TIMEZONE = process.env.ANALYTICS_TIMEZONE || 'Asia/Kolkata';
+
+const PERIOD_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m',
+};
+
+// Orders that were only partly refunded still count as paid
+const PAID_STATUSES = [
+  PAYMENT_STATUS.COMPLETED,
+  PAYMENT_STATUS.PARTIALLY_REFUNDED,
+];
+
+const round = (value) => Math.round((value || 0) * 100) / 100;
+
+class AnalyticsService {
+  /**
+   * Match stage for paid orders placed within a date range
+   * @param {Object} range - { from, to }
+   * @returns {Object}
+   */
+  paidOrdersMatch({ from, to }) {
+    return {
+      'payment.status': { $in: PAID_STATUSES },
+      createdAt: { $gte: from, $lte: to },
+    };
+  }
+
+  /**
+   * Revenue, GST and making-charge totals grouped by period
+   * @param {Object} range - { from, to }
+   * @param {String} groupBy - day | week | month
+   * @returns {Object} - { periods, totals }
+   */
+  async getRevenue(range, groupBy = 'day') {
+    const periods = await Order.aggregate([
+      { $match: this.paidOrdersMatch(range) },
+      {
+        $group: {
+          _id: {
+            $dateToString: {
+              format: PERIOD_FORMATS[groupBy],
+              date: '$createdAt',
+              timezone: TIMEZONE,
+            },
+          },
+          revenue: { $sum: '$pricing.total' },
+          gst: { $sum: '$pricing.gst' },
+          makingCharges: { $sum: '$pricing.makingCharges' },
+          shippingCharges: { $sum: '$pricing.shippingCharges' },
+          discount: { $sum: '$pricing.discount' },
+          orders: { $sum: 1 },
+        },
+      },
+      { $sort: { _id: 1 } },
+    ]);
+
+    const totals = periods.reduce(
+      (acc, period) => {
+        acc.revenue += period.revenue;
+        acc.gst += period.gst;
+        acc.makingCharges += period.makingCharges;
+        acc.shippingCharges += period.shippingCharges;
+        acc.discount += period.discount;
+        acc.orders += period.orders;
+        return acc;
+      },
+      {
+        revenue: 0,
+        gst: 0,
+        makingCharges: 0,
+        shippingCharges: 0,
+        discount: 0,
+        orders: 0,
+      }
+    );
+
+    return {
+      periods: periods.map(({ _id, ...period }) => ({
+        period: _id,
+        ...period,
+        revenue: round(period.revenue),
+        gst: round(period.gst),
+        makingCharges: round(period.makingCharges),
+        shippingCharges: round(period.shippingCharges),
+        discount: round(period.discount),
+      })),
+      totals: {
+        ...totals,
+        revenue: round(totals.revenue),
+        gst: round(totals.gst),
+        makingCharges: round(totals.makingCharges),
+        shippingCharges: round(totals.shippingCharges),
+        discount: round(totals.discount),
+        averageOrderValue: totals.orders
+          ? round(totals.revenue / totals.orders)
+          : 0,
+      },
+    };
+  }
+
+  /**
+   * Order counts by status within a date range
+   * @param {Object} range - { from, to }
+   * @returns {Array} - [{ status, count }]
+   */
+  async getOrdersByStatus({ from, to }) {
+    const statuses = await Order.aggregate([
+      { $match: { createdAt: { $gte: from, $lte: to } } },
+      { $group: { _id: '$status', count: { $sum: 1 } } },
+      { $sort: { count: -1 } },
+    ]);
+
+    return statuses.map(({ _id, count }) => ({ status: _id, count }));
+  }
+
+  /**
+   * Best selling products by units sold or by metal weight sold
+   * @param {Object} range - { from, to }
+   * @param {Object} options - { by: quantity | weight, metal, limit }
+   * @returns {Array}
+   */
+  async getTopProducts(range, { by = 'quantity', metal, limit = 10 } = {}) {
+    const pipeline = [
+      { $match: this.paidOrdersMatch(range) },
+      { $unwind: '$items' },
+      {
+        $group: {
+          _id: '$items.productId',
+          name: { $first: '$items.name' },
+          quantity: { $sum: '$items.quantity' },
+          weight: {
+            $sum: {
+              $multiply: [{ $ifNull: ['$items.weight', 0] }, '$items.quantity'],
+            },
+          },
+          revenue: {
+            $sum: { $multiply: ['$items.price', '$items.quantity'] },
+          },
+        },
+      },
+      {
+        $lookup: {
+          from: 'products',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'product',
+          pipeline: [{ $project: { metal: 1, category: 1, slug: 1 } }],
+        },
+      },
+      { $unwind: { path: '$product', preserveNullAndEmptyArrays: true } },
+    ];
+
+    if (metal) {
+      pipeline.push({ $match: { 'product.metal': metal } });
+    }
+
+    pipeline.push(
+      { $sort: by === 'weight' ? { weight: -1 } : { quantity: -1 } },
+      { $limit: Number(limit) }
+    );
+
+    const products = await Order.aggregate(pipeline);
+
+    return products.map(({ _id, product, ...stats }) => ({
+      productId: _id,
+      ...stats,
+      weight: round(stats.weight),
+      revenue: round(stats.revenue),
+      metal: product?.metal,
+      category: product?.category,
+      slug: product?.slug,
+    }));
+  }
+
+  /**
+   * New vs returning customers among buyers in a date range
+   * @param {Object} range - { from, to }
+   * @returns {Object}
+   */
+  async getCustomerStats({ from, to }) {
+    const buyers = await Order.aggregate([
+      { $match: { 'payment.status': { $in: PAID_STATUSES } } },
+      {
+        $group: {
+          _id: '$userId',
+          firstOrderAt: { $min: '$createdAt' },
+          ordersInRange: {
+            $sum: {
+              $cond: [
+                {
+                  $and: [
+                    { $gte: ['$createdAt', from] },
+                    { $lte: ['$createdAt', to] },
+                  ],
+                },
+                1,
+                0,
+              ],
+            },
+          },
+        },
+      },
+      { $match: { ordersInRange: { $gt: 0 } } },
+      {
+        $group: {
+          _id: null,
+          newCustomers: {
+            $sum: { $cond: [{ $gte: ['$firstOrderAt', from] }, 1, 0] },
+          },
+          returningCustomers: {
+            $sum: { $cond: [{ $lt: ['$firstOrderAt', from] }, 1, 0] },
+          },
+        },
+      },
+    ]);
+
+    const registrations = await User.countDocuments({
+      role: USER_ROLES.CUSTOMER,
+      createdAt: { $gte: from, $lte: to },
+    });
+
+    const { newCustomers = 0, returningCustomers = 0 } = buyers[0] || {};
+
+    return {
+      registrations,
+      newCustomers,
+      returningCustomers,
+      totalBuyers: newCustomers + returningCustomers,
+    };
+  }
+
+  /**
+   * Carts with items that have not been touched for a while
+   * @param {Object} range - { from, to }
+   * @param {Number} idleHours - Inactivity before a cart counts as abandoned
+   * @returns {Object}
+   */
+  async getCartAbandonment({ from, to }, idleHours = 24) {
+    const idleSince = new Date(Date.now() - idleHours * 60 * 60 * 1000);
+
+    const [stats] = await Cart.aggregate([
+      {
+        $match: {
+          'items.0': { $exists: true },
+          updatedAt: { $gte: from, $lte: to },
+        },
+      },
+      {
+        $group: {
+          _id: null,
+          activeCarts: { $sum: 1 },
+          abandonedCarts: {
+            $sum: { $cond: [{ $lt: ['$updatedAt', idleSince] }, 1, 0] },
+          },
+          abandonedValue: {
+            $sum: {
+              $cond: [{ $lt: ['$updatedAt', idleSince] }, '$totalAmount', 0],
+            },
+          },
+        },
+      },
+    ]);
+
+    const { activeCarts = 0, abandonedCarts = 0, abandonedValue = 0 } =
+      stats || {};
+
+    return {
+      idleHours,
+      activeCarts,
+      abandonedCarts,
+      abandonedValue: round(abandonedValue),
+      abandonmentRate: activeCarts
+        ? round((abandonedCarts / activeCarts) * 100)
+        : 0,
+    };
+  }
+}
+
+module.exports = new AnalyticsService();
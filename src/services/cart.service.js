@@ -0,0 +1,81 @@
+const pricingService = require('./pricing.service');
+const { CART_CHANGE } = require('../constants');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+class CartService {
+  /**
+   * Bring every cart line up to date with its product: drop lines that can no
+   * longer be bought, cut quantities to the stock left and reprice at today's
+   * rates. Saves the cart when anything changed.
+   * @param {Object} cart - Cart document with items.productId populated
+   * @param {Array} rates - Current metal rates, fetched when not given
+   * @returns {Array} - [{ type, itemId, productId, name, message, ... }]
+   */
+  async revalidate(cart, rates) {
+    const currentRates = rates || (await pricingService.getCurrentRates());
+    const changes = [];
+    const removed = [];
+
+    cart.items.forEach((item) => {
+      const product = item.productId;
+      const change = {
+        itemId: item._id,
+        productId: product?._id,
+        name: product?.name,
+      };
+
+      if (!product || !product.isActive || product.stock.quantity < 1) {
+        const outOfStock = product?.isActive && product.stock.quantity < 1;
+
+        changes.push({
+          ...change,
+          type: CART_CHANGE.ITEM_UNAVAILABLE,
+          reason: outOfStock ? 'out_of_stock' : 'discontinued',
+          previousQuantity: item.quantity,
+          message: `${product ? `"${product.name}"` : 'An item'} is ${
+            outOfStock ? 'out of stock' : 'no longer available'
+          } and was removed from your cart`,
+        });
+        removed.push(item._id);
+        return;
+      }
+
+      if (item.quantity > product.stock.quantity) {
+        changes.push({
+          ...change,
+          type: CART_CHANGE.STOCK_REDUCED,
+          previousQuantity: item.quantity,
+          quantity: product.stock.quantity,
+          message: `Only ${product.stock.quantity} of "${product.name}" left, quantity reduced`,
+        });
+        item.quantity = product.stock.quantity;
+      }
+
+      const { sellingPrice } = pricingService.calculatePrice(
+        product,
+        currentRates
+      );
+
+      if (round(sellingPrice) !== round(item.price)) {
+        changes.push({
+          ...change,
+          type: CART_CHANGE.PRICE_CHANGED,
+          previousPrice: round(item.price),
+          price: round(sellingPrice),
+          message: `Price of "${product.name}" changed from ₹${round(item.price)} to ₹${round(sellingPrice)}`,
+        });
+        item.price = sellingPrice;
+      }
+    });
+
+    if (changes.length > 0) {
+      removed.forEach((itemId) => cart.items.pull(itemId));
+      await cart.save();
+    }
+
+    return changes;
+  }
+}
+
+module.exports = new CartService();
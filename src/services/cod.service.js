@@ -0,0 +1,136 @@
+const ServiceablePincode = require('../models/ServiceablePincode.model');
+const ApiError = require('../utils/ApiError');
+const sendSms = require('../utils/sendSms');
+const { OTP_EXPIRY_MS, generateOtp, hashOtp } = require('../utils/otp');
+
+const COD_MAX_ORDER_VALUE = Number(process.env.COD_MAX_ORDER_VALUE) || 50000;
+const COD_FEE = Number(process.env.COD_FEE) || 0;
+const COD_MAX_OTP_ATTEMPTS = 5;
+const COD_OTP_RESEND_MS = 60 * 1000;
+
+// Comma separated pincodes or pincode prefixes, e.g. "560,110001"
+const parsePincodeList = (value) =>
+  (value || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+class CodService {
+  /**
+   * Check whether cash on delivery is offered for a pincode and order value
+   * @param {String} pincode
+   * @param {Number} orderValue - Order total before the COD fee
+   * @returns {Object} - { eligible, reason, fee, maxOrderValue }
+   */
+  async checkEligibility(pincode, orderValue) {
+    const allowed = parsePincodeList(process.env.COD_ALLOWED_PINCODES);
+    const blocked = parsePincodeList(process.env.COD_BLOCKED_PINCODES);
+    const matches = (prefix) => pincode.startsWith(prefix);
+
+    // Couriers may not collect cash everywhere they deliver
+    const noCodCourier = await ServiceablePincode.exists({
+      pincode,
+      codAvailable: false,
+    });
+
+    let reason = null;
+
+    if (
+      noCodCourier ||
+      blocked.some(matches) ||
+      (allowed.length && !allowed.some(matches))
+    ) {
+      reason = `Cash on delivery is not available for pincode ${pincode}`;
+    } else if (orderValue > COD_MAX_ORDER_VALUE) {
+      reason = `Cash on delivery is only available for orders up to ₹${COD_MAX_ORDER_VALUE}`;
+    }
+
+    return {
+      eligible: !reason,
+      reason,
+      fee: COD_FEE,
+      maxOrderValue: COD_MAX_ORDER_VALUE,
+    };
+  }
+
+  /**
+   * Throw when cash on delivery is not offered
+   * @param {String} pincode
+   * @param {Number} orderValue
+   * @returns {Number} - COD handling fee
+   */
+  async assertEligible(pincode, orderValue) {
+    const { eligible, reason, fee } = await this.checkEligibility(
+      pincode,
+      orderValue
+    );
+
+    if (!eligible) {
+      throw new ApiError(400, reason);
+    }
+
+    return fee;
+  }
+
+  /**
+   * Send a confirmation code to the delivery phone of a COD order
+   * @param {Object} order - Order document (saved by the caller)
+   */
+  async sendOtp(order) {
+    const { sentAt } = order.codVerification || {};
+
+    if (sentAt && Date.now() - sentAt.getTime() < COD_OTP_RESEND_MS) {
+      throw new ApiError(429, 'Please wait a minute before requesting a new code');
+    }
+
+    const otp = generateOtp();
+    order.codVerification = {
+      otp: hashOtp(otp),
+      expiresAt: new Date(Date.now() + OTP_EXPIRY_MS),
+      sentAt: new Date(),
+      attempts: 0,
+    };
+
+    try {
+      await sendSms({
+        phone: order.shippingAddress.phone,
+        message: `Your Lakshmi Silver code to confirm COD order ${order.orderNumber} is ${otp}. It is valid for 10 minutes.`,
+      });
+    } catch (error) {
+      console.error('SMS sending failed:', error);
+      throw new ApiError(500, 'Failed to send verification code. Please try again.');
+    }
+  }
+
+  /**
+   * Check a COD confirmation code and mark the order verified
+   * @param {Object} order - Order document selected with +codVerification.otp
+   * @param {String} otp
+   */
+  verifyOtp(order, otp) {
+    const verification = order.codVerification;
+
+    if (!verification?.otp) {
+      throw new ApiError(400, 'No verification code has been sent for this order');
+    }
+
+    if (verification.attempts >= COD_MAX_OTP_ATTEMPTS) {
+      throw new ApiError(429, 'Too many attempts. Please request a new code.');
+    }
+
+    if (
+      verification.expiresAt < new Date() ||
+      verification.otp !== hashOtp(otp)
+    ) {
+      verification.attempts += 1;
+      return false;
+    }
+
+    verification.otp = undefined;
+    verification.expiresAt = undefined;
+    verification.verifiedAt = new Date();
+    return true;
+  }
+}
+
+module.exports = new CodService();
@@ -0,0 +1,330 @@
+const Coupon = require('../models/Coupon.model');
+const CouponRedemption = require('../models/CouponRedemption.model');
+const Counter = require('../models/Counter.model');
+const Order = require('../models/Order.model');
+const ApiError = require('../utils/ApiError');
+const {
+  ORDER_STATUS,
+  PAYMENT_STATUS,
+  COUPON_REDEMPTION_STATUS,
+} = require('../constants');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Orders that count as a customer's first order - placed and paid or accepted
+const PLACED_ORDER_STATUSES = [
+  ORDER_STATUS.CONFIRMED,
+  ORDER_STATUS.PROCESSING,
+  ORDER_STATUS.SHIPPED,
+  ORDER_STATUS.DELIVERED,
+  ORDER_STATUS.RETURNED,
+];
+
+// Active uses of a coupon by one customer, kept in the counters collection
+const userUsageKey = (couponId, userId) => `coupon:${couponId}:user:${userId}`;
+
+class CouponService {
+  /**
+   * Find an active coupon that is valid right now
+   * @param {String} code - Coupon code
+   * @returns {Object} - Coupon document
+   */
+  async findValidCoupon(code) {
+    const now = new Date();
+
+    const coupon = await Coupon.findOne({
+      code: code.toUpperCase(),
+      isActive: true,
+      validFrom: { $lte: now },
+      validUntil: { $gte: now },
+    });
+
+    if (!coupon) {
+      throw new ApiError(400, 'Invalid or expired coupon code');
+    }
+
+    if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+      throw new ApiError(400, 'Coupon usage limit has been reached');
+    }
+
+    return coupon;
+  }
+
+  /**
+   * Enforce per-user limits and customer eligibility rules
+   * @param {Object} coupon - Coupon document
+   * @param {Object} user - User document
+   */
+  async checkUserEligibility(coupon, user) {
+    if (coupon.perUserLimit) {
+      const redemptions = await CouponRedemption.countDocuments({
+        couponId: coupon._id,
+        userId: user._id,
+        status: COUPON_REDEMPTION_STATUS.ACTIVE,
+      });
+
+      if (redemptions >= coupon.perUserLimit) {
+        throw new ApiError(
+          400,
+          'You have already used this coupon the maximum number of times'
+        );
+      }
+    }
+
+    if (coupon.firstOrderOnly) {
+      const previousOrders = await Order.countDocuments({
+        userId: user._id,
+        $or: [
+          { status: { $in: PLACED_ORDER_STATUSES } },
+          { 'payment.status': PAYMENT_STATUS.COMPLETED },
+        ],
+      });
+
+      if (previousOrders > 0) {
+        throw new ApiError(400, 'This coupon is valid on your first order only');
+      }
+    }
+
+    if (coupon.newCustomersOnly) {
+      const windowMs = coupon.newCustomerWindowDays * 24 * 60 * 60 * 1000;
+
+      if (Date.now() - new Date(user.createdAt).getTime() > windowMs) {
+        throw new ApiError(400, 'This coupon is valid for new customers only');
+      }
+    }
+  }
+
+  /**
+   * Check whether a cart line is covered by the coupon's
+   * applicableCategories and excludedProducts rules
+   * @param {Object} coupon - Coupon document
+   * @param {Object} line - { productId, category, amount }
+   * @returns {Boolean}
+   */
+  isLineEligible(coupon, line) {
+    const categories = (coupon.applicableCategories || []).map((category) =>
+      category.toLowerCase()
+    );
+
+    if (categories.length > 0 && !categories.includes(line.category)) {
+      return false;
+    }
+
+    return !(coupon.excludedProducts || []).some(
+      (productId) => productId.toString() === line.productId.toString()
+    );
+  }
+
+  /**
+   * Calculate the discount a coupon gives on a set of cart lines.
+   * Shipping counts towards the minimum order amount, and towards the
+   * discount base of coupons not limited to categories or products.
+   * @param {Object} coupon - Coupon document
+   * @param {Array} lines - [{ productId, category, amount }], amount incl. making and GST
+   * @param {Number} shippingCharges - Shipping charge of the order, if known
+   * @returns {Object} - { discount, orderAmount, eligibleAmount, ineligibleProductIds }
+   */
+  calculateDiscount(coupon, lines, shippingCharges = 0) {
+    const orderAmount =
+      lines.reduce((total, line) => total + line.amount, 0) + shippingCharges;
+
+    if (orderAmount < coupon.minOrderAmount) {
+      throw new ApiError(
+        400,
+        `Minimum order amount of ₹${coupon.minOrderAmount} required for this coupon`
+      );
+    }
+
+    const eligibleLines = lines.filter((line) =>
+      this.isLineEligible(coupon, line)
+    );
+
+    if (eligibleLines.length === 0) {
+      throw new ApiError(400, 'Coupon is not applicable to items in your cart');
+    }
+
+    const appliesToWholeOrder =
+      !coupon.applicableCategories?.length && !coupon.excludedProducts?.length;
+
+    const eligibleAmount =
+      eligibleLines.reduce((total, line) => total + line.amount, 0) +
+      (appliesToWholeOrder ? shippingCharges : 0);
+
+    let discount;
+    if (coupon.discountType === 'percentage') {
+      discount = (eligibleAmount * coupon.discountValue) / 100;
+      if (coupon.maxDiscountAmount) {
+        discount = Math.min(discount, coupon.maxDiscountAmount);
+      }
+    } else {
+      discount = coupon.discountValue;
+    }
+
+    // Never discount more than the items the coupon covers
+    discount = Math.min(discount, eligibleAmount);
+
+    return {
+      discount: round(discount),
+      orderAmount: round(orderAmount),
+      eligibleAmount: round(eligibleAmount),
+      ineligibleProductIds: lines
+        .filter((line) => !eligibleLines.includes(line))
+        .map((line) => line.productId),
+    };
+  }
+
+  /**
+   * Validate a coupon code for a user and price it against cart lines
+   * @param {String} code - Coupon code
+   * @param {Array} lines - [{ productId, category, amount }]
+   * @param {Object} user - User document
+   * @param {Number} shippingCharges - Shipping charge of the order, if known
+   * @returns {Object} - { coupon, discount, orderAmount, eligibleAmount, ineligibleProductIds }
+   */
+  async applyCoupon(code, lines, user, shippingCharges = 0) {
+    const coupon = await this.findValidCoupon(code);
+    await this.checkUserEligibility(coupon, user);
+    return { coupon, ...this.calculateDiscount(coupon, lines, shippingCharges) };
+  }
+
+  /**
+   * Take one of a customer's uses of a coupon.
+   * The per-user counter is incremented conditionally so perUserLimit holds
+   * under concurrent checkouts.
+   * @param {Object} coupon - Coupon document
+   * @param {Object} user - User document
+   */
+  async takeUserUsage(coupon, user) {
+    const key = userUsageKey(coupon._id, user._id);
+
+    // Start the counter from redemptions made before it existed
+    if (!(await Counter.exists({ _id: key }))) {
+      const redemptions = await CouponRedemption.countDocuments({
+        couponId: coupon._id,
+        userId: user._id,
+        status: COUPON_REDEMPTION_STATUS.ACTIVE,
+      });
+
+      try {
+        await Counter.updateOne(
+          { _id: key },
+          { $setOnInsert: { seq: redemptions } },
+          { upsert: true }
+        );
+      } catch (error) {
+        // A concurrent checkout started it first
+        if (error.code !== 11000) throw error;
+      }
+    }
+
+    const result = await Counter.updateOne(
+      { _id: key, seq: { $lt: coupon.perUserLimit } },
+      { $inc: { seq: 1 } }
+    );
+
+    if (result.modifiedCount === 0) {
+      throw new ApiError(
+        400,
+        'You have already used this coupon the maximum number of times'
+      );
+    }
+  }
+
+  /**
+   * Give a customer's use of a coupon back
+   * @param {ObjectId} couponId
+   * @param {ObjectId} userId
+   */
+  async releaseUserUsage(couponId, userId) {
+    await Counter.updateOne(
+      { _id: userUsageKey(couponId, userId), seq: { $gt: 0 } },
+      { $inc: { seq: -1 } }
+    );
+  }
+
+  /**
+   * Record a coupon redemption for an order.
+   * usedCount is incremented conditionally so the global limit holds
+   * under concurrent checkouts; uses taken are given back if a later step fails.
+   * @param {Object} coupon - Coupon document
+   * @param {Object} user - User document
+   * @param {ObjectId} orderId - Order the coupon is redeemed on
+   * @param {Number} discount - Discount granted
+   * @returns {Object} - CouponRedemption document
+   */
+  async redeemCoupon(coupon, user, orderId, discount) {
+    if (coupon.perUserLimit) {
+      await this.takeUserUsage(coupon, user);
+    }
+
+    let usedCountTaken = false;
+
+    try {
+      const updated = await Coupon.findOneAndUpdate(
+        {
+          _id: coupon._id,
+          $or: [
+            { usageLimit: null },
+            { $expr: { $lt: ['$usedCount', '$usageLimit'] } },
+          ],
+        },
+        { $inc: { usedCount: 1 } },
+        { new: true }
+      );
+
+      if (!updated) {
+        throw new ApiError(400, 'Coupon usage limit has been reached');
+      }
+      usedCountTaken = true;
+
+      return await CouponRedemption.create({
+        couponId: coupon._id,
+        userId: user._id,
+        orderId,
+        code: coupon.code,
+        discount,
+      });
+    } catch (error) {
+      if (usedCountTaken) {
+        await Coupon.updateOne(
+          { _id: coupon._id, usedCount: { $gt: 0 } },
+          { $inc: { usedCount: -1 } }
+        );
+      }
+      if (coupon.perUserLimit) {
+        await this.releaseUserUsage(coupon._id, user._id);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Give a coupon use back when its order is cancelled or refunded
+   * @param {ObjectId} orderId
+   * @param {String} reason
+   * @returns {Object|null} - Released redemption, if any
+   */
+  async releaseRedemption(orderId, reason) {
+    const redemption = await CouponRedemption.findOneAndUpdate(
+      { orderId, status: COUPON_REDEMPTION_STATUS.ACTIVE },
+      {
+        status: COUPON_REDEMPTION_STATUS.RELEASED,
+        releasedAt: new Date(),
+        releaseReason: reason,
+      },
+      { new: true }
+    );
+
+    if (redemption) {
+      await Coupon.updateOne(
+        { _id: redemption.couponId, usedCount: { $gt: 0 } },
+        { $inc: { usedCount: -1 } }
+      );
+      await this.releaseUserUsage(redemption.couponId, redemption.userId);
+    }
+
+    return redemption;
+  }
+}
+
+module.exports = new CouponService();
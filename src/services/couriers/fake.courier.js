@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const safeCompare = require('../../utils/safeCompare');
+const { TRACKING_STATUS } = require('../../constants');
+
+/**
+ * Local courier for development and automated tests.
+ * Shipments live in memory; status updates are pushed with simulateStatus().
+ */
+class FakeCourier {
+  constructor() {
+    this.name = 'fake';
+    this.signatureHeader = 'x-fake-courier-signature';
+    this.secret = process.env.FAKE_COURIER_SECRET;
+
+    if (!this.secret) {
+      throw new Error('FAKE_COURIER_SECRET is not set');
+    }
+    this.shipments = new Map();
+  }
+
+  sign(value) {
+    return crypto.createHmac('sha256', this.secret).update(value).digest('hex');
+  }
+
+  async createShipment({ reference, weight, destination, codAmount = 0 }) {
+    const awb = `FK${Date.now().toString().slice(-8)}${crypto.randomInt(1000, 10000)}`;
+
+    const shipment = {
+      awb,
+      reference,
+      weight,
+      destination,
+      codAmount,
+      status: TRACKING_STATUS.CREATED,
+    };
+    this.shipments.set(awb, shipment);
+
+    return {
+      awb,
+      trackingUrl: `https://track.example.com/fake/${awb}`,
+      estimatedDelivery: new Date(Date.now() + 5 * 24 * 60 * 60 * 1000),
+    };
+  }
+
+  async cancelShipment(awb) {
+    this.shipments.delete(awb);
+  }
+
+  /**
+   * Build the signed webhook the courier would send for a status change
+   * @param {String} awb
+   * @param {String} status - TRACKING_STATUS value
+   * @param {Object} details - { description, location }
+   * @returns {Object} - { body, headers } to POST to the courier webhook
+   */
+  simulateStatus(awb, status, { description, location } = {}) {
+    const body = JSON.stringify({
+      awb,
+      status,
+      description: description || status.replace(/_/g, ' '),
+      location,
+      occurredAt: new Date().toISOString(),
+    });
+
+    return {
+      body,
+      headers: {
+        'content-type': 'application/json',
+        [this.signatureHeader]: this.sign(body),
+      },
+    };
+  }
+
+  verifyWebhook(rawBody, headers) {
+    if (!Buffer.isBuffer(rawBody)) return false;
+    return safeCompare(this.sign(rawBody), headers[this.signatureHeader]);
+  }
+
+  // Fake courier webhooks are already sent in the neutral shape
+  parseWebhook(body) {
+    return {
+      awb: body.awb,
+      events: [
+        {
+          status: body.status,
+          description: body.description,
+          location: body.location,
+          occurredAt: body.occurredAt ? new Date(body.occurredAt) : new Date(),
+        },
+      ],
+    };
+  }
+}
+
+module.exports = FakeCourier;
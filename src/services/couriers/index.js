@@ -0,0 +1,79 @@
+const FakeCourier = require('./fake.courier');
+const ApiError = require('../../utils/ApiError');
+const { COURIER } = require('../../constants');
+
+/**
+ * Every courier implements the same interface.
+ * Each also has a `name` and the `signatureHeader` its webhooks are signed in.
+ *
+ *   createShipment({ reference, weight, destination, codAmount }) -> { awb, trackingUrl, estimatedDelivery }
+ *   cancelShipment(awb)
+ *   verifyWebhook(rawBody, headers) -> Boolean
+ *   parseWebhook(body) -> { awb, events: [{ status, description, location, occurredAt }] }
+ *
+ * Event statuses are TRACKING_STATUS values. codAmount is the cash the courier
+ * collects at the door, 0 for prepaid orders.
+ */
+const factories = {};
+
+// Forged fake courier scans can deliver orders and settle COD payments,
+// so the fake courier only exists outside production
+if (process.env.NODE_ENV !== 'production') {
+  factories[COURIER.FAKE] = () => new FakeCourier();
+}
+
+if (process.env.COURIER === COURIER.FAKE) {
+  if (!factories[COURIER.FAKE]) {
+    throw new Error('The fake courier cannot be used in production');
+  }
+
+  if (!process.env.FAKE_COURIER_SECRET) {
+    throw new Error('FAKE_COURIER_SECRET must be set to use the fake courier');
+  }
+}
+
+const instances = {};
+
+/**
+ * Courier used for new shipments
+ * @returns {String}
+ */
+const getDefaultCourierName = () => {
+  if (!process.env.COURIER) {
+    throw new ApiError(500, 'No courier is configured. Set COURIER to book shipments');
+  }
+
+  return process.env.COURIER;
+};
+
+/**
+ * Get a courier by name (defaults to the configured one)
+ * @param {String} name
+ * @returns {Object} - Courier instance
+ */
+const getCourier = (name = getDefaultCourierName()) => {
+  if (!factories[name]) {
+    throw new ApiError(400, `Unknown courier: ${name}`);
+  }
+
+  if (!instances[name]) {
+    instances[name] = factories[name]();
+  }
+
+  return instances[name];
+};
+
+/**
+ * Replace a courier instance, e.g. with a stub in tests
+ * @param {String} name
+ * @param {Object} courier
+ */
+const setCourier = (name, courier) => {
+  instances[name] = courier;
+};
+
+module.exports = {
+  getCourier,
+  getDefaultCourierName,
+  setCourier,
+};
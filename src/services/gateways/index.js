@@ -0,0 +1,80 @@
+const RazorpayGateway = require('./razorpay.gateway');
+const MockGateway = require('./mock.gateway');
+const ApiError = require('../../utils/ApiError');
+const { PAYMENT_GATEWAY } = require('../../constants');
+
+/**
+ * Every gateway implements the same interface. Amounts are in rupees.
+ * Each also has a `name` and the `signatureHeader` its webhooks are signed in.
+ *
+ *   createOrder({ amount, currency, receipt, notes }) -> { id, amount, currency, status, checkout }
+ *   verifyPayment({ gatewayOrderId, gatewayPaymentId, signature }) -> Boolean
+ *   capturePayment(paymentId, amount) -> payment
+ *   refund(paymentId, amount, notes) -> { id, paymentId, amount, status, notes }
+ *   fetchPayment(paymentId) -> { id, orderId, amount, currency, status, notes }
+ *   fetchOrder(orderId) -> { id, amount, currency, status }
+ *   fetchOrderPayments(orderId) -> [payment]
+ *   verifyWebhook(rawBody, headers) -> Boolean
+ *   getWebhookEventId(rawBody, headers) -> String
+ *   parseWebhook(body) -> { event, payment, refund, dispute }
+ */
+const factories = {
+  [PAYMENT_GATEWAY.RAZORPAY]: () => new RazorpayGateway(),
+};
+
+// The mock gateway marks orders paid on its own signature, so it only exists
+// when it is explicitly configured outside production
+const isMockGatewayEnabled = () =>
+  process.env.NODE_ENV !== 'production' &&
+  process.env.PAYMENT_GATEWAY === PAYMENT_GATEWAY.MOCK;
+
+if (process.env.PAYMENT_GATEWAY === PAYMENT_GATEWAY.MOCK) {
+  if (!isMockGatewayEnabled()) {
+    throw new Error('The mock payment gateway cannot be used in production');
+  }
+
+  if (!process.env.MOCK_GATEWAY_SECRET) {
+    throw new Error('MOCK_GATEWAY_SECRET must be set to use the mock payment gateway');
+  }
+
+  factories[PAYMENT_GATEWAY.MOCK] = () => new MockGateway();
+}
+
+const instances = {};
+
+// Gateway used for new payments
+const getDefaultGatewayName = () =>
+  process.env.PAYMENT_GATEWAY || PAYMENT_GATEWAY.RAZORPAY;
+
+/**
+ * Get a gateway by name (defaults to the configured one)
+ * @param {String} name
+ * @returns {Object} - Gateway instance
+ */
+const getGateway = (name = getDefaultGatewayName()) => {
+  if (!factories[name]) {
+    throw new ApiError(400, `Unknown payment gateway: ${name}`);
+  }
+
+  if (!instances[name]) {
+    instances[name] = factories[name]();
+  }
+
+  return instances[name];
+};
+
+/**
+ * Replace a gateway instance, e.g. a Razorpay gateway with a stub client in tests
+ * @param {String} name
+ * @param {Object} gateway
+ */
+const setGateway = (name, gateway) => {
+  instances[name] = gateway;
+};
+
+module.exports = {
+  getGateway,
+  getDefaultGatewayName,
+  isMockGatewayEnabled,
+  setGateway,
+};
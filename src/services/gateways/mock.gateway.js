@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const safeCompare = require('../../utils/safeCompare');
+
+const randomId = (prefix) => `${prefix}_mock_${crypto.randomBytes(7).toString('hex')}`;
+
+/**
+ * In-memory payment gateway for local development and automated tests.
+ * Nothing leaves the process; state is lost on restart.
+ */
+class MockGateway {
+  constructor() {
+    this.name = 'mock';
+    this.signatureHeader = 'x-mock-signature';
+    this.secret = process.env.MOCK_GATEWAY_SECRET;
+
+    if (!this.secret) {
+      throw new Error('MOCK_GATEWAY_SECRET is not set');
+    }
+    this.orders = new Map();
+    this.payments = new Map();
+    this.refunds = new Map();
+  }
+
+  sign(value) {
+    return crypto.createHmac('sha256', this.secret).update(value).digest('hex');
+  }
+
+  findOrThrow(store, id, label) {
+    const record = store.get(id);
+
+    if (!record) {
+      throw new Error(`Mock ${label} ${id} not found`);
+    }
+
+    return record;
+  }
+
+  async createOrder({ amount, currency = 'INR', receipt, notes = {} }) {
+    const order = {
+      id: randomId('order'),
+      amount,
+      currency,
+      receipt,
+      notes,
+      status: 'created',
+    };
+    this.orders.set(order.id, order);
+
+    return {
+      id: order.id,
+      amount,
+      currency,
+      status: order.status,
+      checkout: { mock: true, amount, currency },
+    };
+  }
+
+  /**
+   * Pay (or fail to pay) a mock order, as the customer would at checkout
+   * @param {String} orderId - Mock gateway order id
+   * @param {Object} options - { outcome: captured | authorized | failed }
+   * @returns {Object} - { payment, signature } to send to /payments/verify
+   */
+  simulatePayment(orderId, { outcome = 'captured' } = {}) {
+    const order = this.findOrThrow(this.orders, orderId, 'order');
+
+    const payment = {
+      id: randomId('pay'),
+      orderId,
+      amount: order.amount,
+      currency: order.currency,
+      status: outcome,
+      notes: order.notes,
+    };
+    this.payments.set(payment.id, payment);
+
+    if (outcome === 'captured') order.status = 'paid';
+    else order.status = 'attempted';
+
+    return { payment, signature: this.sign(`${orderId}|${payment.id}`) };
+  }
+
+  verifyPayment({ gatewayOrderId, gatewayPaymentId, signature }) {
+    return safeCompare(this.sign(`${gatewayOrderId}|${gatewayPaymentId}`), signature);
+  }
+
+  async capturePayment(paymentId) {
+    const payment = this.findOrThrow(this.payments, paymentId, 'payment');
+    payment.status = 'captured';
+    this.orders.get(payment.orderId).status = 'paid';
+    return payment;
+  }
+
+  async refund(paymentId, amount, notes = {}) {
+    this.findOrThrow(this.payments, paymentId, 'payment');
+
+    const refund = {
+      id: randomId('rfnd'),
+      paymentId,
+      amount,
+      status: 'processed',
+      notes,
+    };
+    this.refunds.set(refund.id, refund);
+
+    return refund;
+  }
+
+  async fetchPayment(paymentId) {
+    return this.findOrThrow(this.payments, paymentId, 'payment');
+  }
+
+  async fetchOrder(orderId) {
+    const { id, amount, currency, status } = this.findOrThrow(
+      this.orders,
+      orderId,
+      'order'
+    );
+    return { id, amount, currency, status };
+  }
+
+  async fetchOrderPayments(orderId) {
+    return [...this.payments.values()].filter(
+      (payment) => payment.orderId === orderId
+    );
+  }
+
+  /**
+   * Sign a webhook body the way verifyWebhook expects (for tests)
+   * @param {Buffer|String} rawBody
+   * @returns {String}
+   */
+  signWebhook(rawBody) {
+    return this.sign(rawBody);
+  }
+
+  verifyWebhook(rawBody, headers) {
+    if (!Buffer.isBuffer(rawBody)) return false;
+    return safeCompare(this.sign(rawBody), headers[this.signatureHeader]);
+  }
+
+  getWebhookEventId(rawBody, headers) {
+    return (
+      headers['x-mock-event-id'] ||
+      crypto.createHash('sha256').update(rawBody).digest('hex')
+    );
+  }
+
+  // Mock webhooks are already sent in the neutral shape
+  parseWebhook(body) {
+    const { event, payment, refund, dispute } = body;
+
+    return {
+      event,
+      payment,
+      refund,
+      dispute: dispute && {
+        ...dispute,
+        respondBy: dispute.respondBy ? new Date(dispute.respondBy) : undefined,
+      },
+    };
+  }
+}
+
+module.exports = MockGateway;
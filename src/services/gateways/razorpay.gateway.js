@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const safeCompare = require('../../utils/safeCompare');
+
+// Amounts cross this interface in rupees; Razorpay works in paise
+const toPaise = (amount) => Math.round(amount * 100);
+const toRupees = (paise) => Math.round(paise) / 100;
+
+class RazorpayGateway {
+  /**
+   * @param {Object} client - Razorpay SDK instance, or a stub with the same
+   * orders/payments methods. Defaults to config/razorpay.js on first use.
+   */
+  constructor(client) {
+    this.name = 'razorpay';
+    this.signatureHeader = 'x-razorpay-signature';
+    this._client = client;
+  }
+
+  get client() {
+    if (!this._client) {
+      this._client = require('../../config/razorpay');
+    }
+    return this._client;
+  }
+
+  normalizePayment(payment) {
+    return {
+      id: payment.id,
+      orderId: payment.order_id,
+      amount: toRupees(payment.amount),
+      currency: payment.currency,
+      status: payment.status,
+      notes: payment.notes || {},
+    };
+  }
+
+  normalizeRefund(refund) {
+    return {
+      id: refund.id,
+      paymentId: refund.payment_id,
+      amount: toRupees(refund.amount),
+      status: refund.status,
+      notes: refund.notes || {},
+      failureReason: refund.error_description,
+    };
+  }
+
+  normalizeDispute(dispute) {
+    return {
+      id: dispute.id,
+      paymentId: dispute.payment_id,
+      amount: toRupees(dispute.amount),
+      reasonCode: dispute.reason_code,
+      status: dispute.status,
+      phase: dispute.phase,
+      respondBy: dispute.respond_by
+        ? new Date(dispute.respond_by * 1000)
+        : undefined,
+    };
+  }
+
+  /**
+   * Create a Razorpay order for checkout
+   * @param {Object} details - { amount, currency, receipt, notes }
+   * @returns {Object} - { id, amount, currency, status, checkout }
+   */
+  async createOrder({ amount, currency = 'INR', receipt, notes }) {
+    const order = await this.client.orders.create({
+      amount: toPaise(amount),
+      currency,
+      receipt,
+      notes,
+    });
+
+    return {
+      id: order.id,
+      amount: toRupees(order.amount),
+      currency: order.currency,
+      status: order.status,
+      // What the frontend needs to open Razorpay Checkout
+      checkout: {
+        keyId: process.env.RAZORPAY_KEY_ID,
+        amount: order.amount,
+        currency: order.currency,
+      },
+    };
+  }
+
+  /**
+   * Verify the signature returned by Razorpay Checkout
+   * @param {Object} details - { gatewayOrderId, gatewayPaymentId, signature }
+   * @returns {Boolean}
+   */
+  verifyPayment({ gatewayOrderId, gatewayPaymentId, signature }) {
+    const expectedSignature = crypto
+      .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
+      .update(`${gatewayOrderId}|${gatewayPaymentId}`)
+      .digest('hex');
+
+    return safeCompare(expectedSignature, signature);
+  }
+
+  async capturePayment(paymentId, amount, currency = 'INR') {
+    const payment = await this.client.payments.capture(
+      paymentId,
+      toPaise(amount),
+      currency
+    );
+    return this.normalizePayment(payment);
+  }
+
+  async refund(paymentId, amount, notes) {
+    const refund = await this.client.payments.refund(paymentId, {
+      amount: toPaise(amount),
+      speed: 'normal', // 'normal' or 'optimum'
+      notes,
+    });
+    return this.normalizeRefund(refund);
+  }
+
+  async fetchPayment(paymentId) {
+    return this.normalizePayment(await this.client.payments.fetch(paymentId));
+  }
+
+  async fetchOrder(orderId) {
+    const order = await this.client.orders.fetch(orderId);
+
+    return {
+      id: order.id,
+      amount: toRupees(order.amount),
+      currency: order.currency,
+      status: order.status,
+    };
+  }
+
+  async fetchOrderPayments(orderId) {
+    const { items = [] } = await this.client.orders.fetchPayments(orderId);
+    return items.map((payment) => this.normalizePayment(payment));
+  }
+
+  /**
+   * Verify a webhook on the exact bytes Razorpay sent.
+   * Re-serialised JSON will not match.
+   * @param {Buffer} rawBody - Unparsed request body
+   * @param {Object} headers - Request headers
+   * @returns {Boolean}
+   */
+  verifyWebhook(rawBody, headers) {
+    if (!Buffer.isBuffer(rawBody) || !process.env.RAZORPAY_WEBHOOK_SECRET) {
+      return false;
+    }
+
+    const expectedSignature = crypto
+      .createHmac('sha256', process.env.RAZORPAY_WEBHOOK_SECRET)
+      .update(rawBody)
+      .digest('hex');
+
+    return safeCompare(expectedSignature, headers[this.signatureHeader]);
+  }
+
+  /**
+   * Id that stays the same across retries of one delivery
+   * @param {Buffer} rawBody
+   * @param {Object} headers
+   * @returns {String}
+   */
+  getWebhookEventId(rawBody, headers) {
+    return (
+      headers['x-razorpay-event-id'] ||
+      crypto.createHash('sha256').update(rawBody).digest('hex')
+    );
+  }
+
+  /**
+   * Turn a parsed webhook body into a gateway neutral event
+   * @param {Object} body - Parsed webhook JSON
+   * @returns {Object} - { event, payment, refund, dispute }
+   */
+  parseWebhook(body) {
+    const { payment, refund, dispute } = body.payload || {};
+
+    return {
+      event: body.event,
+      payment: payment && this.normalizePayment(payment.entity),
+      refund: refund && this.normalizeRefund(refund.entity),
+      dispute: dispute && this.normalizeDispute(dispute.entity),
+    };
+  }
+}
+
+module.exports = RazorpayGateway;
@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const Cart = require('../models/Cart.model');
+const Order = require('../models/Order.model');
+const ApiError = require('../utils/ApiError');
+const sendEmail = require('../utils/sendEmail');
+
+const CLAIM_TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+
+const hashToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+class GuestService {
+  /**
+   * Move a guest cart into the customer's cart after login or register.
+   * Quantities of products in both carts are added up to the stock available.
+   * @param {String} guestId - Signed guest session id
+   * @param {ObjectId} userId
+   * @returns {Number} - Number of guest cart lines merged
+   */
+  async mergeCart(guestId, userId) {
+    const guestCart = await Cart.findOne({ guestId }).populate(
+      'items.productId',
+      'stock isActive'
+    );
+
+    if (!guestCart) return 0;
+
+    const cart =
+      (await Cart.findOne({ userId })) || new Cart({ userId, items: [] });
+    let merged = 0;
+
+    guestCart.items.forEach((item) => {
+      const product = item.productId;
+      if (!product || !product.isActive) return;
+
+      const existing = cart.items.find(
+        (line) => line.productId.toString() === product._id.toString()
+      );
+      const quantity = Math.min(
+        (existing?.quantity || 0) + item.quantity,
+        product.stock.quantity
+      );
+
+      if (quantity < 1) return;
+
+      if (existing) {
+        existing.quantity = quantity;
+        existing.price = item.price;
+      } else {
+        cart.items.push({
+          productId: product._id,
+          quantity,
+          price: item.price,
+        });
+      }
+      merged += 1;
+    });
+
+    if (merged > 0) {
+      await cart.save();
+    }
+    await guestCart.deleteOne();
+
+    return merged;
+  }
+
+  /**
+   * Attach unclaimed guest orders placed with an email address to a customer
+   * @param {String} email - Address the customer has proven they own
+   * @param {ObjectId} userId
+   * @returns {Number} - Number of orders claimed
+   */
+  async claimOrders(email, userId) {
+    const result = await Order.updateMany(
+      { 'guest.email': email.toLowerCase(), userId: { $exists: false } },
+      { $set: { userId, 'guest.claimedAt': new Date() } }
+    );
+
+    if (result.modifiedCount > 0) {
+      console.log(`Guest orders claimed for ${email}:`, result.modifiedCount);
+    }
+
+    return result.modifiedCount;
+  }
+
+  /**
+   * Email a link that proves the customer owns the address their guest
+   * orders were placed with
+   * @param {Object} user - User document
+   * @param {String} email - Guest checkout email
+   * @returns {Boolean} - Whether any unclaimed orders use the address
+   */
+  async requestClaim(user, email) {
+    const address = email.toLowerCase();
+
+    const hasOrders = await Order.exists({
+      'guest.email': address,
+      userId: { $exists: false },
+    });
+
+    // Do not reveal whether an address has orders, but only email when it does
+    if (!hasOrders) return false;
+
+    const token = crypto.randomBytes(32).toString('hex');
+
+    user.orderClaimEmail = address;
+    user.orderClaimToken = hashToken(token);
+    user.orderClaimTokenExpiry = Date.now() + CLAIM_TOKEN_TTL_MS;
+    await user.save();
+
+    const claimUrl = `${process.env.FRONTEND_URL}/claim-orders?token=${token}`;
+
+    try {
+      await sendEmail({
+        email: address,
+        subject: 'Add your orders to your account - Lakshmi Silver',
+        html: `
+          <h3>Add your orders to your account</h3>
+          <p>Hi ${user.firstName},</p>
+          <p>Confirm this email address to see the orders you placed as a guest in your Lakshmi Silver account:</p>
+          <a href="${claimUrl}">Add my orders</a>
+          <p>If you did not ask for this, you can ignore this email.</p>
+        `,
+      });
+    } catch (error) {
+      console.error('Email sending failed:', error);
+    }
+
+    return true;
+  }
+
+  /**
+   * Claim guest orders with the token from the claim email
+   * @param {Object} user - User document that requested the claim
+   * @param {String} token - Token from the claim link
+   * @returns {Number} - Number of orders claimed
+   */
+  async verifyClaim(user, token) {
+    if (
+      !user.orderClaimToken ||
+      user.orderClaimToken !== hashToken(token) ||
+      !(user.orderClaimTokenExpiry > Date.now())
+    ) {
+      throw new ApiError(400, 'Invalid or expired claim link');
+    }
+
+    const claimed = await this.claimOrders(user.orderClaimEmail, user._id);
+
+    user.orderClaimEmail = undefined;
+    user.orderClaimToken = undefined;
+    user.orderClaimTokenExpiry = undefined;
+    await user.save();
+
+    return claimed;
+  }
+}
+
+module.exports = new GuestService();
@@ -0,0 +1,243 @@
+const Product = require('../models/Product.model');
+const StockReservation = require('../models/StockReservation.model');
+const ApiError = require('../utils/ApiError');
+const { RESERVATION_STATUS, PAYMENT_STATUS } = require('../constants');
+
+const RESERVATION_TTL_MINUTES =
+  Number(process.env.STOCK_RESERVATION_TTL_MINUTES) || 15;
+
+class InventoryService {
+  /**
+   * Atomically move stock between available and reserved.
+   * The filter is part of the same update, so a conditional decrement
+   * can never take quantity below what the filter allows.
+   * @param {ObjectId} productId
+   * @param {Number} quantityDelta - Change to available quantity
+   * @param {Number} reservedDelta - Change to reserved quantity
+   * @param {Object} filter - Extra conditions for the update
+   * @returns {Object|null} - Updated product, null when the filter did not match
+   */
+  async adjustStock(productId, quantityDelta, reservedDelta, filter = {}) {
+    return Product.findOneAndUpdate(
+      { _id: productId, ...filter },
+      [
+        {
+          $set: {
+            'stock.quantity': { $add: ['$stock.quantity', quantityDelta] },
+            'stock.reserved': {
+              $max: [
+                0,
+                { $add: [{ $ifNull: ['$stock.reserved', 0] }, reservedDelta] },
+              ],
+            },
+          },
+        },
+        { $set: { 'stock.isInStock': { $gt: ['$stock.quantity', 0] } } },
+      ],
+      { new: true, updatePipeline: true }
+    );
+  }
+
+  /**
+   * Take stock for each item, undoing earlier items if one cannot be taken
+   * @param {Array} items - [{ productId, name, quantity }]
+   * @param {Boolean} holdAsReserved - Count taken units as reserved
+   */
+  async takeStock(items, holdAsReserved) {
+    const taken = [];
+
+    for (const item of items) {
+      const product = await this.adjustStock(
+        item.productId,
+        -item.quantity,
+        holdAsReserved ? item.quantity : 0,
+        { isActive: true, 'stock.quantity': { $gte: item.quantity } }
+      );
+
+      if (!product) {
+        for (const takenItem of taken) {
+          await this.adjustStock(
+            takenItem.productId,
+            takenItem.quantity,
+            holdAsReserved ? -takenItem.quantity : 0
+          );
+        }
+
+        throw new ApiError(
+          400,
+          `Insufficient stock for "${item.name || item.productId}"`
+        );
+      }
+
+      taken.push(item);
+    }
+  }
+
+  /**
+   * Reserve stock for an order
+   * @param {ObjectId} orderId
+   * @param {ObjectId} userId
+   * @param {Array} items - [{ productId, name, quantity }]
+   * @param {Object} options - { expires: false keeps the hold until confirmed or released }
+   * @returns {Object} - StockReservation document
+   */
+  async reserveStock(orderId, userId, items, { expires = true } = {}) {
+    await this.takeStock(items, true);
+
+    try {
+      return await StockReservation.create({
+        orderId,
+        userId,
+        items: items.map(({ productId, quantity }) => ({ productId, quantity })),
+        expiresAt: expires
+          ? new Date(Date.now() + RESERVATION_TTL_MINUTES * 60 * 1000)
+          : undefined,
+      });
+    } catch (error) {
+      for (const item of items) {
+        await this.adjustStock(item.productId, item.quantity, -item.quantity);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Convert an order's reservation into a sale.
+   * If the reservation already lapsed, the stock is taken again if available.
+   * @param {Object} order - Order document
+   * @returns {Boolean} - false when stock could not be secured
+   */
+  async confirmReservation(order) {
+    const reservation = await StockReservation.findOneAndUpdate(
+      { orderId: order._id, status: RESERVATION_STATUS.ACTIVE },
+      { status: RESERVATION_STATUS.CONFIRMED, confirmedAt: new Date() },
+      { new: true }
+    );
+
+    if (reservation) {
+      for (const item of reservation.items) {
+        await this.adjustStock(item.productId, 0, -item.quantity);
+      }
+      return true;
+    }
+
+    const existing = await StockReservation.findOne({ orderId: order._id });
+
+    if (existing?.status === RESERVATION_STATUS.CONFIRMED) return true;
+
+    // Reservation expired or never existed - try to sell from current stock
+    try {
+      await this.takeStock(order.items, false);
+    } catch (error) {
+      console.error(
+        `Stock unavailable while confirming order ${order.orderNumber}:`,
+        error.message
+      );
+      return false;
+    }
+
+    await StockReservation.findOneAndUpdate(
+      { orderId: order._id },
+      {
+        userId: order.userId?._id || order.userId,
+        items: order.items.map(({ productId, quantity }) => ({
+          productId,
+          quantity,
+        })),
+        status: RESERVATION_STATUS.CONFIRMED,
+        confirmedAt: new Date(),
+      },
+      { upsert: true }
+    );
+
+    return true;
+  }
+
+  /**
+   * Return an active reservation's stock to the shelf
+   * @param {ObjectId} orderId
+   * @param {String} reason
+   * @param {String} status - RELEASED or EXPIRED
+   * @returns {Object|null} - Released reservation, if any
+   */
+  async releaseReservation(
+    orderId,
+    reason,
+    status = RESERVATION_STATUS.RELEASED
+  ) {
+    const reservation = await StockReservation.findOneAndUpdate(
+      { orderId, status: RESERVATION_STATUS.ACTIVE },
+      { status, releasedAt: new Date(), releaseReason: reason },
+      { new: true }
+    );
+
+    if (reservation) {
+      for (const item of reservation.items) {
+        await this.adjustStock(item.productId, item.quantity, -item.quantity);
+      }
+    }
+
+    return reservation;
+  }
+
+  /**
+   * Put an order's stock back, whether it was still reserved or already sold
+   * @param {Object} order - Order document
+   * @param {String} reason
+   */
+  async restockOrder(order, reason) {
+    if (await this.releaseReservation(order._id, reason)) return;
+
+    const sold = await StockReservation.findOneAndUpdate(
+      { orderId: order._id, status: RESERVATION_STATUS.CONFIRMED },
+      {
+        status: RESERVATION_STATUS.RELEASED,
+        releasedAt: new Date(),
+        releaseReason: reason,
+      },
+      { new: true }
+    );
+
+    if (sold) {
+      for (const item of sold.items) {
+        await this.adjustStock(item.productId, item.quantity, 0);
+      }
+      return;
+    }
+
+    // Orders placed before reservations existed were deducted on payment
+    const hasReservation = await StockReservation.exists({ orderId: order._id });
+
+    if (!hasReservation && order.payment.status === PAYMENT_STATUS.COMPLETED) {
+      for (const item of order.items) {
+        await this.adjustStock(item.productId, item.quantity, 0);
+      }
+    }
+  }
+
+  /**
+   * Release every reservation whose payment window has passed
+   * @returns {Array} - Order ids whose reservations expired
+   */
+  async expireReservations() {
+    const expired = await StockReservation.find({
+      status: RESERVATION_STATUS.ACTIVE,
+      expiresAt: { $lte: new Date() },
+    }).select('orderId');
+
+    const orderIds = [];
+
+    for (const { orderId } of expired) {
+      const released = await this.releaseReservation(
+        orderId,
+        'Payment window expired',
+        RESERVATION_STATUS.EXPIRED
+      );
+      if (released) orderIds.push(orderId);
+    }
+
+    return orderIds;
+  }
+}
+
+module.exports = new InventoryService();
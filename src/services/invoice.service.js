@@ -0,0 +1,396 @@
+const Order = require('../models/Order.model');
+const sequenceService = require('./sequence.service');
+const PdfDocument = require('../utils/PdfDocument');
+const taxService = require('./tax.service');
+
+// Jewellery of precious metal
+const HSN_CODE = '7113';
+
+// How long a claim to number an invoice holds before another request may
+// take over, e.g. after the first one crashed
+const INVOICE_CLAIM_TIMEOUT_MS = 60 * 1000;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const money = (value) =>
+  round(value).toLocaleString('en-IN', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  });
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString('en-IN', {
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric',
+    timeZone: 'Asia/Kolkata',
+  });
+
+const getSeller = () => ({
+  name: process.env.STORE_NAME || 'Lakshmi Silver',
+  address: process.env.STORE_ADDRESS || '',
+  state: taxService.getStoreState(),
+  gstin: process.env.STORE_GSTIN || '',
+});
+
+class InvoiceService {
+  /**
+   * Indian financial year (April - March) a date falls in, e.g. "2026-27"
+   * @param {Date} date
+   * @returns {String}
+   */
+  getFinancialYear(date = new Date()) {
+    // Financial years follow Indian time, not the server's clock
+    const local = new Date(new Date(date).getTime() + 330 * 60 * 1000);
+    const year = local.getUTCFullYear();
+    const startYear = local.getUTCMonth() >= 3 ? year : year - 1;
+
+    return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+  }
+
+  /**
+   * Give a paid order the next invoice number of the current financial year.
+   * Numbers restart every April and fit GST's 16 character limit: LS/26-27/000123.
+   * The order is claimed before a number is taken, as GST serials must not skip.
+   * @param {Object} order - Order document
+   * @returns {Object} - Order invoice subdocument
+   */
+  async assignInvoiceNumber(order) {
+    if (order.invoice?.number) return order.invoice;
+
+    const pendingAt = new Date();
+
+    // Another request may be invoicing, or have invoiced, the order
+    const claimed = await Order.findOneAndUpdate(
+      {
+        _id: order._id,
+        'invoice.number': { $exists: false },
+        $or: [
+          { 'invoice.pendingAt': { $exists: false } },
+          {
+            'invoice.pendingAt': {
+              $lt: new Date(pendingAt.getTime() - INVOICE_CLAIM_TIMEOUT_MS),
+            },
+          },
+        ],
+      },
+      { $set: { 'invoice.pendingAt': pendingAt } }
+    );
+
+    if (!claimed) {
+      const current = await Order.findById(order._id).select('invoice');
+      order.set('invoice', current.invoice);
+      return order.invoice;
+    }
+
+    let number;
+    try {
+      number = await sequenceService.invoiceNumber(this.getFinancialYear());
+    } catch (error) {
+      // Let the order be invoiced again
+      await Order.updateOne(
+        { _id: order._id, 'invoice.pendingAt': pendingAt },
+        { $unset: { 'invoice.pendingAt': 1 } }
+      );
+      throw error;
+    }
+
+    const invoice = {
+      number,
+      url: `/api/v1/orders/${order._id}/invoice`,
+      generatedAt: new Date(),
+    };
+
+    const updated = await Order.findOneAndUpdate(
+      { _id: order._id, 'invoice.pendingAt': pendingAt },
+      { $set: { invoice } },
+      { new: true }
+    );
+
+    if (!updated) {
+      console.error(`Invoice number ${number} unused: claim on the order timed out`);
+      const current = await Order.findById(order._id).select('invoice');
+      order.set('invoice', current.invoice);
+      return order.invoice;
+    }
+
+    order.set('invoice', updated.invoice);
+    console.log('Invoice generated:', invoice.number);
+    return order.invoice;
+  }
+
+  /**
+   * Tax split of an order grouped for printing
+   * @param {Object} order - Order document
+   * @returns {Object} - { intraState, lines, taxableValue, cgst, sgst, igst, rates }
+   */
+  getTaxBreakdown(order) {
+    const { lines, summary } = taxService.forOrder(order);
+
+    const printedLines = lines.map((line, index) => ({
+      ...line,
+      item: order.items[index],
+      tax: round(line.cgst + line.sgst + line.igst),
+    }));
+
+    // Tax totals grouped by rate, as the invoice prints them
+    const rates = {};
+    printedLines.forEach(({ gstRate, cgst, sgst, igst }) => {
+      rates[gstRate] = rates[gstRate] || {
+        rate: gstRate,
+        cgst: 0,
+        sgst: 0,
+        igst: 0,
+      };
+      rates[gstRate].cgst = round(rates[gstRate].cgst + cgst);
+      rates[gstRate].sgst = round(rates[gstRate].sgst + sgst);
+      rates[gstRate].igst = round(rates[gstRate].igst + igst);
+    });
+
+    return {
+      intraState: summary.intraState,
+      lines: printedLines,
+      taxableValue: summary.taxableValue,
+      cgst: summary.cgst,
+      sgst: summary.sgst,
+      igst: summary.igst,
+      rates: Object.values(rates),
+    };
+  }
+
+  /**
+   * Draw one order's tax invoice on the current page
+   * @param {PdfDocument} doc
+   * @param {Object} order - Order document with an invoice number
+   */
+  renderInvoice(doc, order) {
+    const seller = getSeller();
+    const tax = this.getTaxBreakdown(order);
+    const billing = order.billingAddress?.name
+      ? order.billingAddress
+      : order.shippingAddress;
+    const left = 40;
+    const right = doc.width - 40;
+    let y = 50;
+
+    doc.text('TAX INVOICE', left, y, { size: 16, bold: true });
+    y += 24;
+
+    // Seller on the left, invoice details on the right
+    const sellerLines = [
+      seller.address,
+      seller.state && `State: ${seller.state}`,
+      seller.gstin && `GSTIN: ${seller.gstin}`,
+    ].filter(Boolean);
+
+    doc.text(seller.name, left, y, { size: 11, bold: true });
+    sellerLines.forEach((line, index) => {
+      doc.text(line, left, y + 14 * (index + 1), { size: 9 });
+    });
+
+    const details = [
+      ['Invoice No', order.invoice.number],
+      ['Invoice Date', formatDate(order.invoice.generatedAt)],
+      ['Order No', order.orderNumber],
+      ['Payment', order.payment.method.toUpperCase()],
+      ['Place of Supply', order.shippingAddress.state],
+    ];
+    details.forEach(([label, value], index) => {
+      doc.text(`${label}:`, 360, y + 14 * index, { size: 9, bold: true });
+      doc.text(value, 440, y + 14 * index, { size: 9 });
+    });
+
+    y += 14 * Math.max(sellerLines.length + 1, details.length) + 10;
+    doc.line(left, y, right, y);
+    y += 16;
+
+    // Buyer
+    const addressLines = (address) => [
+      address.name,
+      address.street,
+      `${address.city}, ${address.state} - ${address.pincode}`,
+      address.phone && `Phone: ${address.phone}`,
+    ].filter(Boolean);
+
+    doc.text('Bill To', left, y, { size: 9, bold: true });
+    doc.text('Ship To', 300, y, { size: 9, bold: true });
+    const billTo = addressLines(billing);
+    const shipTo = addressLines(order.shippingAddress);
+    billTo.forEach((line, index) => doc.text(line, left, y + 13 * (index + 1), { size: 9 }));
+    shipTo.forEach((line, index) => doc.text(line, 300, y + 13 * (index + 1), { size: 9 }));
+
+    y += 13 * (Math.max(billTo.length, shipTo.length) + 1) + 10;
+
+    // Line items
+    const columns = [
+      ['#', left, 'left'],
+      ['Description', 58, 'left'],
+      ['HSN', 250, 'left'],
+      ['Qty', 300, 'right'],
+      ['Metal Value', 365, 'right'],
+      ['Making', 420, 'right'],
+      ['Taxable', 480, 'right'],
+      ['GST %', 515, 'right'],
+      ['Tax', right, 'right'],
+    ];
+
+    doc.line(left, y - 12, right, y - 12);
+    columns.forEach(([label, x, align]) => {
+      doc.text(label, x, y, { size: 9, bold: true, align });
+    });
+    doc.line(left, y + 6, right, y + 6);
+    y += 20;
+
+    tax.lines.forEach(({ item, taxableValue, tax: lineTax, gstRate }, index) => {
+      if (y > doc.height - 200) {
+        doc.addPage();
+        y = 50;
+      }
+
+      const name = item.name.length > 36 ? `${item.name.slice(0, 35)}...` : item.name;
+      const values = [
+        String(index + 1),
+        name,
+        HSN_CODE,
+        String(item.quantity),
+        money(taxableValue - item.makingCharges * item.quantity),
+        money(item.makingCharges * item.quantity),
+        money(taxableValue),
+        `${gstRate}%`,
+        money(lineTax),
+      ];
+
+      columns.forEach(([, x, align], column) => {
+        doc.text(values[column], x, y, { size: 9, align });
+      });
+
+      const specs = [
+        item.purity && `Purity: ${item.purity}`,
+        item.weight && `Weight: ${item.weight} g per unit`,
+      ].filter(Boolean);
+
+      if (specs.length) {
+        doc.text(specs.join('  |  '), 58, y + 11, { size: 8 });
+        y += 11;
+      }
+
+      y += 18;
+    });
+
+    doc.line(left, y - 8, right, y - 8);
+    y += 8;
+
+    // Totals
+    const totals = [['Taxable Value', tax.taxableValue]];
+
+    tax.rates.forEach(({ rate, cgst, sgst, igst }) => {
+      if (tax.intraState) {
+        totals.push([`CGST @ ${rate / 2}%`, cgst]);
+        totals.push([`SGST @ ${rate / 2}%`, sgst]);
+      } else {
+        totals.push([`IGST @ ${rate}%`, igst]);
+      }
+    });
+
+    if (order.pricing.shippingCharges) {
+      totals.push(['Shipping', order.pricing.shippingCharges]);
+    }
+    if (order.pricing.codFee) {
+      totals.push(['COD Fee', order.pricing.codFee]);
+    }
+    if (order.pricing.discount) {
+      totals.push([
+        `Discount${order.coupon?.code ? ` (${order.coupon.code})` : ''}`,
+        -order.pricing.discount,
+      ]);
+    }
+
+    totals.forEach(([label, value]) => {
+      doc.text(label, 400, y, { size: 9 });
+      doc.text(money(value), right, y, { size: 9, align: 'right' });
+      y += 14;
+    });
+
+    doc.line(400, y - 6, right, y - 6);
+    y += 8;
+    doc.text('Invoice Total (Rs.)', 400, y, { size: 10, bold: true });
+    doc.text(money(order.pricing.total), right, y, { size: 10, bold: true, align: 'right' });
+
+    doc.text(
+      'This is a computer generated invoice and does not require a signature.',
+      left,
+      doc.height - 40,
+      { size: 8 }
+    );
+  }
+
+  /**
+   * Build a PDF with one tax invoice per order
+   * @param {Array} orders - Order documents with invoice numbers
+   * @returns {Buffer} - PDF file
+   */
+  generatePdf(orders) {
+    const doc = new PdfDocument();
+
+    orders.forEach((order, index) => {
+      if (index > 0) doc.addPage();
+      this.renderInvoice(doc, order);
+    });
+
+    return doc.toBuffer();
+  }
+
+  /**
+   * Invoice register rows for GST filing
+   * @param {Array} orders - Order documents with invoice numbers
+   * @returns {String} - CSV
+   */
+  generateRegisterCsv(orders) {
+    const header = [
+      'Invoice No',
+      'Invoice Date',
+      'Order No',
+      'Customer',
+      'Place of Supply',
+      'Taxable Value',
+      'CGST',
+      'SGST',
+      'IGST',
+      'Shipping',
+      'COD Fee',
+      'Discount',
+      'Invoice Total',
+    ];
+
+    const escape = (value) => {
+      const text = value === undefined || value === null ? '' : String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = orders.map((order) => {
+      const tax = this.getTaxBreakdown(order);
+
+      return [
+        order.invoice.number,
+        new Date(order.invoice.generatedAt).toISOString().slice(0, 10),
+        order.orderNumber,
+        order.billingAddress?.name || order.shippingAddress.name,
+        order.shippingAddress.state,
+        tax.taxableValue,
+        tax.cgst,
+        tax.sgst,
+        tax.igst,
+        order.pricing.shippingCharges,
+        order.pricing.codFee,
+        order.pricing.discount,
+        order.pricing.total,
+      ];
+    });
+
+    return [header, ...rows]
+      .map((row) => row.map(escape).join(','))
+      .join('\n');
+  }
+}
+
+module.exports = new InvoiceService();
@@ -0,0 +1,144 @@
+const Notification = require('../models/Notification.model');
+const Order = require('../models/Order.model');
+const User = require('../models/User.model');
+const {
+  NOTIFICATION_TYPE,
+  NOTIFICATION_SEGMENT,
+  USER_ROLES,
+  PAYMENT_STATUS,
+} = require('../constants');
+
+const BROADCAST_BATCH_SIZE = 1000;
+
+class NotificationService {
+  /**
+   * Create an in-app notification.
+   * Failures are logged and swallowed so they never break the caller's flow.
+   * @param {ObjectId} userId - Recipient
+   * @param {Object} data - { type, title, message, link, metadata }
+   * @returns {Object|null} - Notification document
+   */
+  async notify(userId, { type, title, message, link, metadata }) {
+    try {
+      return await Notification.create({
+        userId,
+        type,
+        title,
+        message,
+        link,
+        metadata,
+      });
+    } catch (error) {
+      console.error('Notification creation failed:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Notify a customer that their order changed status
+   * @param {Object} order - Order document
+   * @param {String} note - Optional note shown to the customer
+   */
+  async notifyOrderStatus(order, note) {
+    // Guests have no in-app inbox
+    if (!order.userId) return null;
+    const userId = order.userId._id || order.userId;
+
+    return this.notify(userId, {
+      type: NOTIFICATION_TYPE.ORDER,
+      title: `Order ${order.status}`,
+      message: `Your order ${order.orderNumber} is now ${order.status}.${
+        note ? ` ${note}` : ''
+      }`,
+      link: `/orders/${order._id}`,
+      metadata: { orderId: order._id, status: order.status },
+    });
+  }
+
+  /**
+   * Notify a customer about a payment event on their order
+   * @param {Object} order - Order document
+   * @param {String} title
+   * @param {String} message
+   * @param {Object} metadata - Extra context (payment / refund ids)
+   */
+  async notifyPayment(order, title, message, metadata = {}) {
+    // Guests have no in-app inbox
+    if (!order.userId) return null;
+    const userId = order.userId._id || order.userId;
+
+    return this.notify(userId, {
+      type: NOTIFICATION_TYPE.PAYMENT,
+      title,
+      message,
+      link: `/orders/${order._id}`,
+      metadata: { orderId: order._id, ...metadata },
+    });
+  }
+
+  /**
+   * Resolve the user ids that belong to a broadcast segment
+   * @param {String} segment - One of NOTIFICATION_SEGMENT
+   * @returns {Array} - User ids
+   */
+  async getSegmentUserIds(segment) {
+    const query = { role: USER_ROLES.CUSTOMER, isActive: true };
+
+    switch (segment) {
+      case NOTIFICATION_SEGMENT.VERIFIED:
+        query.isVerified = true;
+        break;
+
+      case NOTIFICATION_SEGMENT.NEW_CUSTOMERS:
+        query.createdAt = {
+          $gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000),
+        };
+        break;
+
+      case NOTIFICATION_SEGMENT.PURCHASERS:
+        query._id = {
+          $in: await Order.distinct('userId', {
+            'payment.status': {
+              $in: [
+                PAYMENT_STATUS.COMPLETED,
+                PAYMENT_STATUS.PARTIALLY_REFUNDED,
+              ],
+            },
+          }),
+        };
+        break;
+
+      default:
+        break;
+    }
+
+    return User.distinct('_id', query);
+  }
+
+  /**
+   * Send an OFFER notification to every user in a segment
+   * @param {String} segment - One of NOTIFICATION_SEGMENT
+   * @param {Object} data - { title, message, link, metadata }
+   * @returns {Number} - Number of notifications created
+   */
+  async broadcastOffer(segment, { title, message, link, metadata }) {
+    const userIds = await this.getSegmentUserIds(segment);
+
+    for (let i = 0; i < userIds.length; i += BROADCAST_BATCH_SIZE) {
+      const batch = userIds.slice(i, i + BROADCAST_BATCH_SIZE).map((userId) => ({
+        userId,
+        type: NOTIFICATION_TYPE.OFFER,
+        title,
+        message,
+        link,
+        metadata: { ...metadata, segment },
+      }));
+
+      await Notification.insertMany(batch, { ordered: false });
+    }
+
+    return userIds.length;
+  }
+}
+
+module.exports = new NotificationService();
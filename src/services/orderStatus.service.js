@@ -0,0 +1,342 @@
+const Cart = require('../models/Cart.model');
+const Order = require('../models/Order.model');
+const User = require('../models/User.model');
+const ApiError = require('../utils/ApiError');
+const sendEmail = require('../utils/sendEmail');
+const inventoryService = require('./inventory.service');
+const couponService = require('./coupon.service');
+const invoiceService = require('./invoice.service');
+const notificationService = require('./notification.service');
+const {
+  ORDER_STATUS,
+  ORDER_ACTOR,
+  PAYMENT_METHOD,
+  PAYMENT_STATUS,
+  COD_COLLECTION_MODE,
+} = require('../constants');
+
+const { CUSTOMER, ADMIN, SYSTEM } = ORDER_ACTOR;
+
+// Legal moves: current status -> next status -> who may make the move.
+// System covers payment confirmations, expiry jobs and courier updates.
+const TRANSITIONS = {
+  [ORDER_STATUS.PENDING]: {
+    [ORDER_STATUS.CONFIRMED]: [CUSTOMER, ADMIN, SYSTEM],
+    [ORDER_STATUS.CANCELLED]: [CUSTOMER, ADMIN, SYSTEM],
+  },
+  [ORDER_STATUS.CONFIRMED]: {
+    [ORDER_STATUS.PROCESSING]: [ADMIN],
+    [ORDER_STATUS.SHIPPED]: [ADMIN, SYSTEM],
+    [ORDER_STATUS.CANCELLED]: [CUSTOMER, ADMIN],
+  },
+  [ORDER_STATUS.PROCESSING]: {
+    [ORDER_STATUS.SHIPPED]: [ADMIN, SYSTEM],
+    [ORDER_STATUS.CANCELLED]: [CUSTOMER, ADMIN],
+  },
+  [ORDER_STATUS.SHIPPED]: {
+    [ORDER_STATUS.DELIVERED]: [ADMIN, SYSTEM],
+  },
+  [ORDER_STATUS.DELIVERED]: {
+    [ORDER_STATUS.RETURNED]: [ADMIN],
+  },
+  [ORDER_STATUS.CANCELLED]: {},
+  [ORDER_STATUS.RETURNED]: {},
+};
+
+const PAID_STATUSES = [
+  PAYMENT_STATUS.COMPLETED,
+  PAYMENT_STATUS.PARTIALLY_REFUNDED,
+];
+
+// Cash on delivery is paid at the door, everything else before fulfilment
+const isPaidOrCod = (order) =>
+  order.payment.method === PAYMENT_METHOD.COD ||
+  PAID_STATUSES.includes(order.payment.status);
+
+// Conditions on the order itself - return a reason to refuse the move
+const GUARDS = {
+  [ORDER_STATUS.CONFIRMED]: (order) =>
+    !isPaidOrCod(order) && 'Cannot confirm an order that has not been paid',
+  [ORDER_STATUS.PROCESSING]: (order) =>
+    !isPaidOrCod(order) && 'Cannot process an order that has not been paid',
+  [ORDER_STATUS.SHIPPED]: (order) =>
+    !isPaidOrCod(order) && 'Cannot ship an order that has not been paid',
+};
+
+const STATUS_EMAILS = [
+  ORDER_STATUS.PROCESSING,
+  ORDER_STATUS.SHIPPED,
+  ORDER_STATUS.DELIVERED,
+  ORDER_STATUS.RETURNED,
+];
+
+const userIdOf = (order) => order.userId?._id || order.userId;
+
+class OrderStatusService {
+  /**
+   * Statuses an actor may move an order to from its current status
+   * @param {String} status - Current order status
+   * @param {String} role - ORDER_ACTOR value
+   * @returns {Array}
+   */
+  allowedTransitions(status, role) {
+    return Object.entries(TRANSITIONS[status] || {})
+      .filter(([, roles]) => roles.includes(role))
+      .map(([next]) => next);
+  }
+
+  /**
+   * Move an order to a new status: checks the move is legal for the actor,
+   * runs its guards and hooks, records one history entry and saves the order.
+   * The move is claimed on the stored status first, so when two callers race
+   * only one of them runs the hooks - the other gets a 409.
+   * @param {Object} order - Order document
+   * @param {String} status - Next ORDER_STATUS
+   * @param {Object} options - { role, updatedBy, note, deliveredAt, collection }
+   * @returns {Object} - Saved order
+   */
+  async transition(order, status, options = {}) {
+    const { role = SYSTEM, note } = options;
+    const from = order.status;
+
+    if (!Object.values(ORDER_STATUS).includes(status)) {
+      throw new ApiError(400, `Invalid order status: ${status}`);
+    }
+
+    const roles = TRANSITIONS[from]?.[status];
+
+    if (!roles) {
+      const allowed = Object.keys(TRANSITIONS[from] || {});
+      throw new ApiError(
+        409,
+        `Cannot move order from ${from} to ${status}. ${
+          allowed.length
+            ? `Allowed next statuses: ${allowed.join(', ')}`
+            : `A ${from} order cannot change status`
+        }`
+      );
+    }
+
+    if (!roles.includes(role)) {
+      throw new ApiError(403, `Not authorized to move order from ${from} to ${status}`);
+    }
+
+    const refusal = GUARDS[status]?.(order);
+
+    if (refusal) {
+      throw new ApiError(409, refusal);
+    }
+
+    const entry = {
+      status,
+      note: note || `Status changed from ${from} to ${status}`,
+      updatedBy: options.updatedBy ? options.updatedBy.toString() : role,
+      timestamp: new Date(),
+    };
+
+    const claimed = await Order.updateOne(
+      { _id: order._id, status: from },
+      { $set: { status } }
+    );
+
+    if (claimed.matchedCount === 0) {
+      throw new ApiError(
+        409,
+        `Order is no longer ${from}, it was updated by another request`
+      );
+    }
+
+    // The model refuses status changes made without an entry
+    order.$locals.statusTransition = true;
+    try {
+      await this.beforeTransition(order, entry, options);
+
+      order.status = status;
+      order.statusHistory.push(entry);
+      await order.save();
+    } catch (error) {
+      // Give the stored status back so the move can be tried again
+      await Order.updateOne(
+        { _id: order._id, status },
+        { $set: { status: from } }
+      );
+      order.status = from;
+      throw error;
+    } finally {
+      order.$locals.statusTransition = false;
+    }
+
+    await this.afterTransition(order, entry);
+
+    return order;
+  }
+
+  /**
+   * Changes that must succeed before the new status is saved
+   * @param {Object} order - Order document
+   * @param {Object} entry - History entry, its note may be extended
+   * @param {Object} options - Transition options
+   */
+  async beforeTransition(order, entry, options) {
+    switch (entry.status) {
+      case ORDER_STATUS.CONFIRMED: {
+        // Convert the checkout reservation into a sale
+        const stockSecured = await inventoryService.confirmReservation(order);
+
+        if (!stockSecured) {
+          // A captured payment stands, someone has to sort out the stock
+          if (!PAID_STATUSES.includes(order.payment.status)) {
+            throw new ApiError(409, 'Some items in this order are no longer in stock');
+          }
+          entry.note += ' - paid after the stock reservation lapsed and stock is no longer available';
+        }
+
+        order.reservationExpiresAt = undefined;
+        break;
+      }
+
+      case ORDER_STATUS.DELIVERED: {
+        const deliveredAt = options.deliveredAt || new Date();
+        order.deliveredAt = deliveredAt;
+
+        // Cash on delivery is paid when the courier hands over the order
+        if (
+          order.payment.method === PAYMENT_METHOD.COD &&
+          order.payment.status === PAYMENT_STATUS.PENDING
+        ) {
+          const { collection } = options;
+
+          order.payment.status = PAYMENT_STATUS.COMPLETED;
+          order.payment.paidAt = deliveredAt;
+          order.payment.collection = {
+            amount: collection?.amount ?? order.pricing.total,
+            mode: collection?.mode || COD_COLLECTION_MODE.CASH,
+            reference: collection?.reference,
+            collectedAt: deliveredAt,
+            collectedBy: collection?.collectedBy || entry.updatedBy,
+          };
+        }
+        break;
+      }
+
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Side effects of a saved status change: stock, coupons, invoices,
+   * notifications and emails
+   * @param {Object} order - Saved order document
+   * @param {Object} entry - History entry of the change
+   */
+  async afterTransition(order, entry) {
+    switch (entry.status) {
+      case ORDER_STATUS.CONFIRMED:
+        await Cart.findOneAndUpdate(
+          order.userId
+            ? { userId: userIdOf(order) }
+            : { guestId: order.guest?.sessionId },
+          { items: [] }
+        );
+
+        // Online payments already told the customer their order is confirmed
+        if (order.payment.method === PAYMENT_METHOD.COD) {
+          await notificationService.notifyOrderStatus(order, entry.note);
+        }
+        return;
+
+      case ORDER_STATUS.CANCELLED:
+        // Release reserved or sold stock and give the coupon use back
+        await inventoryService.restockOrder(order, entry.note);
+        await couponService.releaseRedemption(order._id, 'Order cancelled');
+        break;
+
+      case ORDER_STATUS.DELIVERED:
+        // Cash on delivery orders are invoiced once the cash is collected
+        if (
+          order.payment.status === PAYMENT_STATUS.COMPLETED &&
+          !order.invoice?.number
+        ) {
+          try {
+            await invoiceService.assignInvoiceNumber(order);
+          } catch (error) {
+            console.error('Invoice generation failed:', error);
+          }
+        }
+        break;
+
+      default:
+        break;
+    }
+
+    await notificationService.notifyOrderStatus(order, entry.note);
+    await this.sendStatusEmail(order, entry);
+  }
+
+  /**
+   * Email the customer about a cancellation or fulfilment update
+   * @param {Object} order - Order document
+   * @param {Object} entry - History entry of the change
+   */
+  async sendStatusEmail(order, entry) {
+    if (
+      entry.status !== ORDER_STATUS.CANCELLED &&
+      !STATUS_EMAILS.includes(entry.status)
+    ) {
+      return;
+    }
+
+    try {
+      // Guest orders are emailed at the address given at checkout
+      const user = order.userId
+        ? await User.findById(userIdOf(order)).select('email firstName')
+        : order.getContact();
+      if (!user?.email) return;
+
+      let html;
+
+      if (entry.status === ORDER_STATUS.CANCELLED) {
+        html = `
+          <h1>Order Cancelled</h1>
+          <p>Hi ${user.firstName},</p>
+          <p>Your order <strong>${order.orderNumber}</strong> has been cancelled.</p>
+          <p><strong>Reason:</strong> ${order.cancellationReason || entry.note}</p>
+          <p>If payment was made, refund will be processed within 5-7 business days.</p>
+          <p>Thank you for your understanding.</p>
+        `;
+      } else {
+        html = `
+          <h1>Order Status Updated</h1>
+          <p>Hi ${user.firstName},</p>
+          <p>Your order <strong>${order.orderNumber}</strong> status has been updated.</p>
+          <p><strong>New Status:</strong> ${entry.status.toUpperCase()}</p>
+          <p><strong>Note:</strong> ${entry.note}</p>
+        `;
+
+        if (entry.status === ORDER_STATUS.SHIPPED && order.tracking?.trackingNumber) {
+          html += `<p><strong>Tracking Number:</strong> ${order.tracking.trackingNumber}</p>`;
+        }
+
+        if (entry.status === ORDER_STATUS.SHIPPED && order.tracking?.courier) {
+          html += `<p><strong>Courier:</strong> ${order.tracking.courier}</p>`;
+        }
+
+        html += `<p>Thank you for shopping with Lakshmi Silver!</p>`;
+      }
+
+      await sendEmail({
+        email: user.email,
+        subject:
+          entry.status === ORDER_STATUS.CANCELLED
+            ? `Order Cancelled - ${order.orderNumber}`
+            : `Order Update - ${order.orderNumber}`,
+        html,
+      });
+    } catch (error) {
+      console.error('Email sending failed:', error);
+    }
+  }
+}
+
+module.exports = new OrderStatusService();
@@ -1,133 +1,146 @@
-const crypto = require('crypto');
-const razorpayInstance = require('../config/razorpay');
-const Order = require('../models/Order.model');
-const Cart = require('../models/Cart.model');
-const Product = require('../models/Product.model');
+const couponService = require('./coupon.service');
+const invoiceService = require('./invoice.service');
+const orderStatusService = require('./orderStatus.service');
+const { getGateway } = require('./gateways');
 const ApiError = require('../utils/ApiError');
+const {
+  ORDER_STATUS,
+  ORDER_ACTOR,
+  PAYMENT_GATEWAY,
+  PAYMENT_STATUS,
+  REFUND_STATUS,
+} = require('../constants');
 
 class PaymentService {
   /**
-   * Create Razorpay order
+   * Gateway by name, or the configured default for new payments
+   * @param {String} name
+   * @returns {Object} - Gateway instance
+   */
+  getGateway(name) {
+    return getGateway(name);
+  }
+
+  /**
+   * Gateway an order was paid through (older orders only used Razorpay)
+   * @param {Object} order - Order document
+   * @returns {Object} - Gateway instance
+   */
+  gatewayFor(order) {
+    return getGateway(order.payment.gateway || PAYMENT_GATEWAY.RAZORPAY);
+  }
+
+  /**
+   * Create a payment order on the configured gateway
+   * and remember which gateway the order is paid through
    * @param {Object} order - Order document from MongoDB
-   * @returns {Object} - Razorpay order object
+   * @returns {Object} - Gateway order { id, amount, currency, status, checkout }
    */
-  async createRazorpayOrder(order) {
+  async createGatewayOrder(order) {
+    const gateway = getGateway();
+
     try {
-      const options = {
-        amount: Math.round(order.pricing.total * 100), // Convert to paise
+      const gatewayOrder = await gateway.createOrder({
+        amount: order.pricing.total,
         currency: 'INR',
         receipt: order.orderNumber,
         notes: {
           orderId: order._id.toString(),
-          userId: order.userId.toString(),
+          userId: order.userId ? order.userId.toString() : 'guest',
           orderNumber: order.orderNumber,
         },
-      };
+      });
+
+      order.payment.gateway = gateway.name;
+      order.payment.gatewayOrderId = gatewayOrder.id;
 
-      const razorpayOrder = await razorpayInstance.orders.create(options);
-      console.log('Razorpay order created:', razorpayOrder.id);
-      return razorpayOrder;
+      console.log(`${gateway.name} order created:`, gatewayOrder.id);
+      return gatewayOrder;
     } catch (error) {
-      console.error('Razorpay order creation error:', error);
+      console.error('Payment order creation error:', error);
       throw new ApiError(500, 'Failed to create payment order. Please try again.');
     }
   }
 
   /**
-   * Verify payment signature from Razorpay
-   * @param {String} razorpayOrderId
-   * @param {String} razorpayPaymentId
-   * @param {String} razorpaySignature
+   * Verify the signature returned by the gateway checkout
+   * @param {Object} order - Order document
+   * @param {Object} details - { gatewayOrderId, gatewayPaymentId, signature }
    * @returns {Boolean}
    */
-  verifyPaymentSignature(razorpayOrderId, razorpayPaymentId, razorpaySignature) {
-    const text = `${razorpayOrderId}|${razorpayPaymentId}`;
-    const generatedSignature = crypto
-      .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
-      .update(text)
-      .digest('hex');
-
-    const isValid = generatedSignature === razorpaySignature;
+  verifyPaymentSignature(order, details) {
+    const isValid = this.gatewayFor(order).verifyPayment(details);
     console.log('Signature verification:', isValid);
     return isValid;
   }
 
-  /**
-   * Verify webhook signature from Razorpay
-   * @param {Object} webhookBody
-   * @param {String} webhookSignature
-   * @returns {Boolean}
-   */
-  verifyWebhookSignature(webhookBody, webhookSignature) {
-    const expectedSignature = crypto
-      .createHmac('sha256', process.env.RAZORPAY_WEBHOOK_SECRET)
-      .update(JSON.stringify(webhookBody))
-      .digest('hex');
-
-    return expectedSignature === webhookSignature;
-  }
-
   /**
    * Process successful payment - Update order and stock
    * @param {Object} order - Order document
-   * @param {Object} paymentDetails - Payment details from Razorpay
+   * @param {Object} paymentDetails - { gatewayOrderId, gatewayPaymentId, signature }
    * @returns {Object} - Updated order
    */
   async processSuccessfulPayment(order, paymentDetails) {
     try {
       // Update order payment details
       order.payment.status = 'completed';
-      order.payment.razorpayOrderId = paymentDetails.razorpayOrderId;
-      order.payment.razorpayPaymentId = paymentDetails.razorpayPaymentId;
-      order.payment.razorpaySignature = paymentDetails.razorpaySignature;
+      order.payment.gatewayOrderId = paymentDetails.gatewayOrderId;
+      order.payment.gatewayPaymentId = paymentDetails.gatewayPaymentId;
+      order.payment.gatewaySignature = paymentDetails.signature;
       order.payment.paidAt = new Date();
-      order.status = 'confirmed';
-
-      await order.save();
-
-      // Update product stock
-      for (const item of order.items) {
-        const product = await Product.findById(item.productId);
-        if (product) {
-          product.stock.quantity -= item.quantity;
-          await product.save();
-          console.log(
-            `Stock updated for product ${product.name}: ${product.stock.quantity}`
-          );
+
+      // Confirming converts the stock reservation into a sale and clears the cart
+      if (order.status === ORDER_STATUS.PENDING) {
+        await orderStatusService.transition(order, ORDER_STATUS.CONFIRMED, {
+          role: ORDER_ACTOR.SYSTEM,
+          note: 'Payment received',
+        });
+      } else {
+        // A cancelled order stays cancelled - an admin has to refund it
+        if (order.status === ORDER_STATUS.CANCELLED) {
+          order.payment.flaggedAt = new Date();
+          order.payment.flagReason =
+            'Payment captured for a cancelled order - refund it';
         }
+        await order.save();
       }
 
-      // Clear user cart
-      await Cart.findOneAndUpdate(
-        { userId: order.userId },
-        { items: [] }
-      );
-      console.log('Cart cleared for user:', order.userId);
+      // A missing invoice can be generated later, the payment stands
+      try {
+        await invoiceService.assignInvoiceNumber(order);
+      } catch (error) {
+        console.error('Invoice generation failed:', error);
+      }
 
       return order;
     } catch (error) {
+      // e.g. the webhook and checkout verification confirming at the same time
+      if (error instanceof ApiError) throw error;
+
       console.error('Payment processing error:', error);
       throw new ApiError(500, 'Failed to process payment. Please contact support.');
     }
   }
 
   /**
-   * Initiate refund on Razorpay
-   * @param {String} paymentId - Razorpay payment ID
+   * Initiate refund on the order's gateway
+   * @param {Object} order - Order document
    * @param {Number} amount - Amount to refund
    * @param {String} reason - Reason for refund
-   * @returns {Object} - Refund object
+   * @param {Object} notes - Extra notes stored with the refund
+   * @returns {Object} - Refund { id, paymentId, amount, status }
    */
-  async initiateRefund(paymentId, amount, reason) {
+  async initiateRefund(order, amount, reason, notes = {}) {
     try {
-      const refund = await razorpayInstance.payments.refund(paymentId, {
-        amount: Math.round(amount * 100), // Convert to paise
-        speed: 'normal', // 'normal' or 'optimum'
-        notes: {
+      const refund = await this.gatewayFor(order).refund(
+        order.payment.gatewayPaymentId,
+        amount,
+        {
+          ...notes,
           reason: reason || 'Customer requested refund',
           refundedAt: new Date().toISOString(),
-        },
-      });
+        }
+      );
 
       console.log('Refund initiated:', refund.id);
       return refund;
@@ -138,14 +151,193 @@ class PaymentService {
   }
 
   /**
-   * Fetch payment details from Razorpay
-   * @param {String} paymentId - Razorpay payment ID
-   * @returns {Object} - Payment object
+   * Capture an authorized payment
+   * @param {Object} order - Order document
+   * @param {String} paymentId - Gateway payment ID
+   * @param {Number} amount - Amount to capture
+   * @returns {Object} - Payment
    */
-  async fetchPaymentDetails(paymentId) {
+  async capturePayment(order, paymentId, amount) {
     try {
-      const payment = await razorpayInstance.payments.fetch(paymentId);
+      const payment = await this.gatewayFor(order).capturePayment(
+        paymentId,
+        amount
+      );
+
+      console.log('Payment captured:', payment.id);
       return payment;
+    } catch (error) {
+      console.error('Payment capture error:', error);
+      throw new ApiError(500, 'Failed to capture payment');
+    }
+  }
+
+  /**
+   * Check a refund against what is still refundable on a paid order
+   * @param {Object} order - Order document
+   * @param {Object} options - { amount, items: [{ orderItemId, quantity }] }
+   * @returns {Object} - { refundAmount, refundItems }
+   */
+  prepareRefund(order, { amount, items = [] }) {
+    if (order.payment.status === PAYMENT_STATUS.REFUNDED) {
+      throw new ApiError(400, 'Order is already fully refunded');
+    }
+
+    if (
+      ![PAYMENT_STATUS.COMPLETED, PAYMENT_STATUS.PARTIALLY_REFUNDED].includes(
+        order.payment.status
+      )
+    ) {
+      throw new ApiError(400, 'Cannot refund order that is not paid');
+    }
+
+    const refundItems = items.map(({ orderItemId, quantity }) => {
+      const orderItem = order.items.id(orderItemId);
+
+      if (!orderItem) {
+        throw new ApiError(400, 'Item not found in this order');
+      }
+
+      const refundable =
+        orderItem.quantity - order.getRefundedQuantity(orderItem._id);
+
+      if (quantity > refundable) {
+        throw new ApiError(
+          400,
+          `Only ${refundable} unit(s) of "${orderItem.name}" can be refunded`
+        );
+      }
+
+      return {
+        orderItemId: orderItem._id,
+        quantity,
+        amount: order.getItemRefundAmount(orderItem._id, quantity),
+      };
+    });
+
+    const balance =
+      Math.round((order.pricing.total - order.getRefundedAmount()) * 100) / 100;
+
+    // Without an amount, refund the selected items or else the whole balance
+    const refundAmount =
+      Math.round(
+        (amount ??
+          (refundItems.length
+            ? refundItems.reduce((total, item) => total + item.amount, 0)
+            : balance)) * 100
+      ) / 100;
+
+    if (refundAmount <= 0) {
+      throw new ApiError(400, 'Refund amount must be greater than zero');
+    }
+
+    if (refundAmount > balance) {
+      throw new ApiError(
+        400,
+        `Refund amount exceeds the refundable balance of ₹${balance}`
+      );
+    }
+
+    return { refundAmount, refundItems };
+  }
+
+  /**
+   * Refund an amount or specific line items of a paid order
+   * and record the refund in the order's refund ledger
+   * @param {Object} order - Order document
+   * @param {Object} options - { amount, items: [{ orderItemId, quantity }], reason, returnId, initiatedBy }
+   * @returns {Object} - { refund, entry } Gateway refund and ledger entry
+   */
+  async refundOrder(order, { amount, items = [], reason, returnId, initiatedBy }) {
+    const { refundAmount, refundItems } = this.prepareRefund(order, {
+      amount,
+      items,
+    });
+
+    if (!order.payment.gatewayPaymentId) {
+      throw new ApiError(400, 'No payment ID found for this order');
+    }
+
+    const refund = await this.initiateRefund(
+      order,
+      refundAmount,
+      reason,
+      { orderId: order._id.toString(), orderNumber: order.orderNumber }
+    );
+
+    order.refunds.push({
+      refundId: refund.id,
+      amount: refundAmount,
+      items: refundItems,
+      status:
+        refund.status === REFUND_STATUS.PROCESSED
+          ? REFUND_STATUS.PROCESSED
+          : REFUND_STATUS.PENDING,
+      reason,
+      returnId,
+      initiatedBy: initiatedBy ? initiatedBy.toString() : 'system',
+      processedAt:
+        refund.status === REFUND_STATUS.PROCESSED ? new Date() : undefined,
+    });
+    await this.saveRefundLedger(order);
+
+    return { refund, entry: order.refunds[order.refunds.length - 1] };
+  }
+
+  /**
+   * Record a refund paid outside the gateway, e.g. a bank transfer for a
+   * cash on delivery order, in the order's refund ledger
+   * @param {Object} order - Order document
+   * @param {Object} options - { amount, items, reason, returnId, initiatedBy, reference }
+   * @returns {Object} - Ledger entry
+   */
+  async recordManualRefund(
+    order,
+    { amount, items = [], reason, returnId, initiatedBy, reference }
+  ) {
+    const { refundAmount, refundItems } = this.prepareRefund(order, {
+      amount,
+      items,
+    });
+
+    order.refunds.push({
+      refundId: reference,
+      amount: refundAmount,
+      items: refundItems,
+      status: REFUND_STATUS.PROCESSED,
+      reason,
+      returnId,
+      initiatedBy: initiatedBy ? initiatedBy.toString() : 'system',
+      processedAt: new Date(),
+    });
+    await this.saveRefundLedger(order);
+
+    return order.refunds[order.refunds.length - 1];
+  }
+
+  /**
+   * Save a change to the refund ledger. A fully refunded order gives its
+   * coupon use back, whichever flow (refund, return) refunded it.
+   * @param {Object} order - Order document
+   */
+  async saveRefundLedger(order) {
+    order.syncRefundStatus();
+    await order.save();
+
+    if (order.payment.status === PAYMENT_STATUS.REFUNDED) {
+      await couponService.releaseRedemption(order._id, 'Order refunded');
+    }
+  }
+
+  /**
+   * Fetch payment details from the order's gateway
+   * @param {Object} order - Order document
+   * @param {String} paymentId - Gateway payment ID
+   * @returns {Object} - Payment
+   */
+  async fetchPaymentDetails(order, paymentId) {
+    try {
+      return await this.gatewayFor(order).fetchPayment(paymentId);
     } catch (error) {
       console.error('Fetch payment error:', error);
       throw new ApiError(500, 'Failed to fetch payment details');
@@ -153,14 +345,29 @@ class PaymentService {
   }
 
   /**
-   * Fetch order details from Razorpay
-   * @param {String} orderId - Razorpay order ID
-   * @returns {Object} - Order object
+   * Fetch all payment attempts made against the order's gateway order
+   * @param {Object} order - Order document
+   * @returns {Array} - Payments
    */
-  async fetchOrderDetails(orderId) {
+  async fetchOrderPayments(order) {
     try {
-      const order = await razorpayInstance.orders.fetch(orderId);
-      return order;
+      return await this.gatewayFor(order).fetchOrderPayments(
+        order.payment.gatewayOrderId
+      );
+    } catch (error) {
+      console.error('Fetch order payments error:', error);
+      throw new ApiError(500, 'Failed to fetch order payments');
+    }
+  }
+
+  /**
+   * Fetch the order's gateway order
+   * @param {Object} order - Order document
+   * @returns {Object} - Gateway order { id, amount, currency, status }
+   */
+  async fetchOrderDetails(order) {
+    try {
+      return await this.gatewayFor(order).fetchOrder(order.payment.gatewayOrderId);
     } catch (error) {
       console.error('Fetch order error:', error);
       throw new ApiError(500, 'Failed to fetch order details');
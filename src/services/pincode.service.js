@@ -0,0 +1,194 @@
+const ServiceablePincode = require('../models/ServiceablePincode.model');
+const ApiError = require('../utils/ApiError');
+const parseCsv = require('../utils/parseCsv');
+const codService = require('./cod.service');
+const shippingService = require('./shipping.service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parseBoolean = (value, fallback) => {
+  if (value === undefined || value === '') return fallback;
+  return ['true', 'yes', 'y', '1'].includes(String(value).toLowerCase());
+};
+
+const parseDays = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const days = Number(value);
+  return Number.isInteger(days) && days >= 0 ? days : NaN;
+};
+
+class PincodeService {
+  /**
+   * Serviceable pincodes are only enforced once a dataset has been imported
+   * @returns {Boolean}
+   */
+  async hasDataset() {
+    return !!(await ServiceablePincode.exists({}));
+  }
+
+  /**
+   * Serviceability, COD availability and delivery estimate for a pincode
+   * @param {String} pincode
+   * @returns {Object} - { pincode, serviceable, city, state, codAvailable, estimatedDays, estimatedDelivery }
+   */
+  async check(pincode) {
+    const record = await ServiceablePincode.findOne({ pincode, isActive: true });
+    const listed = record || !(await this.hasDataset());
+
+    // Delivery estimate of the standard option for a light parcel
+    const options = listed
+      ? await shippingService.getQuote({
+          pincode,
+          state: record?.state,
+          weight: 0,
+          orderValue: 0,
+        })
+      : [];
+    const option = options[0];
+    const serviceable = !!option;
+
+    const ownEstimate =
+      record?.deliveryDays?.min != null && record?.deliveryDays?.max != null;
+    const estimatedDays = ownEstimate
+      ? { min: record.deliveryDays.min, max: record.deliveryDays.max }
+      : option?.estimatedDays;
+
+    const cod = serviceable
+      ? await codService.checkEligibility(pincode, 0)
+      : { eligible: false };
+
+    return {
+      pincode,
+      serviceable,
+      city: record?.city,
+      state: record?.state,
+      codAvailable: cod.eligible,
+      estimatedDays: serviceable ? estimatedDays : undefined,
+      estimatedDelivery: serviceable
+        ? {
+            from: new Date(Date.now() + estimatedDays.min * DAY_MS),
+            to: new Date(Date.now() + estimatedDays.max * DAY_MS),
+          }
+        : undefined,
+    };
+  }
+
+  /**
+   * Reject orders to pincodes outside the serviceable dataset
+   * @param {String} pincode
+   */
+  async assertServiceable(pincode) {
+    if (!(await this.hasDataset())) return;
+
+    const record = await ServiceablePincode.exists({ pincode, isActive: true });
+
+    if (!record) {
+      throw new ApiError(400, `Sorry, we do not deliver to pincode ${pincode} yet`);
+    }
+  }
+
+  /**
+   * Import pincodes from CSV with the columns
+   * pincode, city, district, state, codAvailable, deliveryDaysMin, deliveryDaysMax, isActive
+   * @param {String} csv - CSV text with a header row
+   * @param {Object} options - { replace: deactivate pincodes missing from the file }
+   * @returns {Object} - { total, imported, updated, deactivated, errors }
+   */
+  async importCsv(csv, { replace = false } = {}) {
+    const records = parseCsv(csv);
+
+    if (records.length === 0) {
+      throw new ApiError(400, 'The CSV file has no rows');
+    }
+
+    if (!('pincode' in records[0])) {
+      throw new ApiError(400, 'The CSV file must have a "pincode" column');
+    }
+
+    const errors = [];
+    const seen = new Set();
+    const operations = [];
+
+    records.forEach((row, index) => {
+      // Header is line 1
+      const line = index + 2;
+      const min = parseDays(row.deliveryDaysMin);
+      const max = parseDays(row.deliveryDaysMax);
+      const reject = (reason) => {
+        errors.push({ line, pincode: row.pincode, reason });
+      };
+
+      if (!/^\d{6}$/.test(row.pincode)) {
+        return reject('Pincode must be 6 digits');
+      }
+
+      // Both or neither of the delivery days, as whole numbers with min <= max
+      const daysValid =
+        !Number.isNaN(min) &&
+        !Number.isNaN(max) &&
+        (min === undefined) === (max === undefined) &&
+        !(min > max);
+
+      if (!daysValid) {
+        return reject('Invalid delivery days');
+      }
+
+      if (seen.has(row.pincode)) {
+        return reject('Duplicate pincode in file');
+      }
+      seen.add(row.pincode);
+
+      const update = {
+        codAvailable: parseBoolean(row.codAvailable, true),
+        isActive: parseBoolean(row.isActive, true),
+      };
+
+      ['city', 'district', 'state'].forEach((key) => {
+        if (row[key]) update[key] = row[key];
+      });
+
+      if (min !== undefined) {
+        update.deliveryDays = { min, max };
+      }
+
+      operations.push({
+        updateOne: {
+          filter: { pincode: row.pincode },
+          update: { $set: update },
+          upsert: true,
+        },
+      });
+    });
+
+    let imported = 0;
+    let updated = 0;
+
+    if (operations.length > 0) {
+      const result = await ServiceablePincode.bulkWrite(operations, {
+        ordered: false,
+      });
+      imported = result.upsertedCount;
+      updated = result.modifiedCount;
+    }
+
+    let deactivated = 0;
+
+    if (replace && seen.size > 0) {
+      const result = await ServiceablePincode.updateMany(
+        { pincode: { $nin: [...seen] }, isActive: true },
+        { isActive: false }
+      );
+      deactivated = result.modifiedCount;
+    }
+
+    return {
+      total: records.length,
+      imported,
+      updated,
+      deactivated,
+      errors,
+    };
+  }
+}
+
+module.exports = new PincodeService();
@@ -0,0 +1,182 @@
+const MetalRate = require('../models/MetalRate.model');
+const Product = require('../models/Product.model');
+const taxService = require('./tax.service');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+class PricingService {
+  /**
+   * Convert a purity label ("92.5%", "925", "99.9") to a percentage
+   * @param {String|Number} purity
+   * @returns {Number}
+   */
+  parsePurity(purity) {
+    const value = parseFloat(String(purity).replace('%', ''));
+
+    if (Number.isNaN(value)) return 100;
+
+    // Millesimal fineness (925, 999) -> percentage
+    return value > 100 ? value / 10 : value;
+  }
+
+  /**
+   * Get the latest effective rate for every metal/purity pair
+   * @returns {Array} - MetalRate objects
+   */
+  async getCurrentRates() {
+    return MetalRate.aggregate([
+      { $match: { effectiveFrom: { $lte: new Date() } } },
+      { $sort: { effectiveFrom: -1 } },
+      {
+        $group: {
+          _id: { metal: '$metal', purity: '$purity' },
+          rate: { $first: '$$ROOT' },
+        },
+      },
+      { $replaceRoot: { newRoot: '$rate' } },
+      { $sort: { metal: 1, purity: -1 } },
+    ]);
+  }
+
+  /**
+   * Pick the rate applicable to a metal/purity.
+   * An exact purity match wins, otherwise the purest posted rate
+   * for that metal is taken as the fine rate and scaled by purity.
+   * @param {Array} rates - Result of getCurrentRates()
+   * @param {String} metal
+   * @param {String} purity
+   * @returns {Object|null} - { rate, ratePerGram }
+   */
+  resolveRate(rates, metal, purity) {
+    const metalRates = rates.filter((rate) => rate.metal === metal);
+
+    if (metalRates.length === 0) return null;
+
+    const targetPurity = this.parsePurity(purity);
+
+    const exact = metalRates.find(
+      (rate) => this.parsePurity(rate.purity) === targetPurity
+    );
+
+    if (exact) {
+      return { rate: exact, ratePerGram: exact.ratePerGram };
+    }
+
+    const purest = metalRates.reduce((best, rate) =>
+      this.parsePurity(rate.purity) > this.parsePurity(best.purity)
+        ? rate
+        : best
+    );
+
+    return {
+      rate: purest,
+      ratePerGram: (purest.ratePerGram * targetPurity) / 100,
+    };
+  }
+
+  /**
+   * Calculate the price breakdown of one unit of a product.
+   * Products without a posted rate fall back to their stored price.
+   * @param {Object} product - Product document
+   * @param {Array} rates - Result of getCurrentRates()
+   * @returns {Object} - Price breakdown
+   */
+  calculatePrice(product, rates) {
+    const resolved = this.resolveRate(rates, product.metal, product.purity);
+    const discountPercent = product.price?.discount || 0;
+
+    let basePrice;
+    let metalValue;
+
+    if (resolved) {
+      basePrice = product.weight * resolved.ratePerGram;
+      metalValue = basePrice * (1 - discountPercent / 100);
+    } else {
+      basePrice = product.price.basePrice;
+      metalValue = product.price.sellingPrice;
+    }
+
+    const makingCharges = product.makingCharges || 0;
+    const gstRate = taxService.getRate(product);
+    const gst = taxService.calculateUnitTax(metalValue + makingCharges, gstRate);
+
+    return {
+      isLive: !!resolved,
+      metalRate: resolved
+        ? {
+            rateId: resolved.rate._id,
+            metal: product.metal,
+            purity: product.purity,
+            ratePerGram: round(resolved.ratePerGram),
+            effectiveFrom: resolved.rate.effectiveFrom,
+          }
+        : null,
+      basePrice: round(basePrice),
+      metalValue: round(metalValue),
+      makingCharges: round(makingCharges),
+      gstRate,
+      gst: round(gst),
+      sellingPrice: round(metalValue + makingCharges + gst),
+    };
+  }
+
+  /**
+   * Price a single product against today's rates
+   * @param {Object} product - Product document
+   * @returns {Object} - Price breakdown
+   */
+  async priceProduct(product) {
+    const rates = await this.getCurrentRates();
+    return this.calculatePrice(product, rates);
+  }
+
+  /**
+   * Serialize products with their live price breakdown attached
+   * @param {Array} products - Product documents
+   * @returns {Array} - Plain product objects with a `pricing` field
+   */
+  async withPricing(products) {
+    const rates = await this.getCurrentRates();
+
+    return products.map((product) => ({
+      ...product.toJSON(),
+      pricing: this.calculatePrice(product, rates),
+    }));
+  }
+
+  /**
+   * Store the rate-derived metal value on every active product of a metal
+   * so that price filters and sorting follow the latest rate
+   * @param {String} metal
+   * @returns {Number} - Number of products repriced
+   */
+  async repriceProducts(metal) {
+    const rates = await this.getCurrentRates();
+    const products = await Product.find({ metal, isActive: true });
+
+    const operations = products
+      .map((product) => {
+        const pricing = this.calculatePrice(product, rates);
+        if (!pricing.isLive) return null;
+
+        return {
+          updateOne: {
+            filter: { _id: product._id },
+            update: {
+              'price.basePrice': pricing.basePrice,
+              'price.sellingPrice': pricing.metalValue,
+            },
+          },
+        };
+      })
+      .filter(Boolean);
+
+    if (operations.length > 0) {
+      await Product.bulkWrite(operations);
+    }
+
+    return operations.length;
+  }
+}
+
+module.exports = new PricingService();
@@ -0,0 +1,195 @@
+const Order = require('../models/Order.model');
+const PaymentReconciliation = require('../models/PaymentReconciliation.model');
+const paymentService = require('./payment.service');
+const notificationService = require('./notification.service');
+const {
+  ORDER_STATUS,
+  PAYMENT_METHOD,
+  PAYMENT_STATUS,
+  RECONCILIATION_OUTCOME,
+} = require('../constants');
+
+// Give webhooks a chance to arrive before settling an order ourselves
+const MIN_AGE_MINUTES =
+  Number(process.env.PAYMENT_RECONCILIATION_MIN_AGE_MINUTES) || 10;
+const LOOKBACK_HOURS =
+  Number(process.env.PAYMENT_RECONCILIATION_LOOKBACK_HOURS) || 72;
+
+const SUMMARY_KEYS = {
+  [RECONCILIATION_OUTCOME.CONFIRMED]: 'confirmed',
+  [RECONCILIATION_OUTCOME.FAILED]: 'failed',
+  [RECONCILIATION_OUTCOME.AMOUNT_MISMATCH]: 'amountMismatch',
+  [RECONCILIATION_OUTCOME.PAID_AFTER_CANCEL]: 'paidAfterCancel',
+  [RECONCILIATION_OUTCOME.PENDING]: 'pending',
+  [RECONCILIATION_OUTCOME.ERROR]: 'errors',
+};
+
+class ReconciliationService {
+  /**
+   * @param {Object} payments - PaymentService (gateways can be stubbed via setGateway)
+   */
+  constructor(payments = paymentService) {
+    this.payments = payments;
+  }
+
+  /**
+   * Online orders whose payment never reached us
+   * @returns {Array} - Order documents
+   */
+  async findUnsettledOrders() {
+    const now = Date.now();
+
+    return Order.find({
+      'payment.method': PAYMENT_METHOD.RAZORPAY,
+      'payment.gatewayOrderId': { $exists: true, $ne: null },
+      'payment.status': { $in: [PAYMENT_STATUS.PENDING, PAYMENT_STATUS.FAILED] },
+      'payment.flaggedAt': { $exists: false },
+      createdAt: {
+        $gte: new Date(now - LOOKBACK_HOURS * 60 * 60 * 1000),
+        $lte: new Date(now - MIN_AGE_MINUTES * 60 * 1000),
+      },
+    }).populate('userId', 'email firstName');
+  }
+
+  /**
+   * Compare one order with the gateway and settle it
+   * @param {Object} order - Order document
+   * @returns {Object} - Report entry
+   */
+  async reconcileOrder(order) {
+    const gatewayOrderId = order.payment.gatewayOrderId;
+    const expectedAmount = Math.round(order.pricing.total * 100);
+
+    const entry = {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      gatewayOrderId,
+      expectedAmount: order.pricing.total,
+    };
+
+    const gatewayOrder = await this.payments.fetchOrderDetails(order);
+    const attempts = await this.payments.fetchOrderPayments(order);
+
+    const captured = attempts.find((payment) => payment.status === 'captured');
+
+    if (!captured) {
+      const allFailed =
+        attempts.length > 0 &&
+        attempts.every((payment) => payment.status === 'failed');
+
+      if (allFailed && order.payment.status !== PAYMENT_STATUS.FAILED) {
+        order.payment.status = PAYMENT_STATUS.FAILED;
+        order.payment.reconciledAt = new Date();
+        await order.save();
+
+        return {
+          ...entry,
+          gatewayPaymentId: attempts[attempts.length - 1].id,
+          outcome: RECONCILIATION_OUTCOME.FAILED,
+          message: 'All payment attempts failed',
+        };
+      }
+
+      return {
+        ...entry,
+        outcome: RECONCILIATION_OUTCOME.PENDING,
+        message: `Gateway order is ${gatewayOrder.status} with ${attempts.length} attempt(s)`,
+      };
+    }
+
+    entry.gatewayPaymentId = captured.id;
+    entry.gatewayAmount = captured.amount;
+
+    // Money was taken but the order cannot simply be confirmed - needs a person
+    const flag = async (outcome, reason) => {
+      order.payment.flaggedAt = new Date();
+      order.payment.flagReason = reason;
+      order.payment.gatewayPaymentId = captured.id;
+      await order.save();
+      return { ...entry, outcome, message: reason };
+    };
+
+    if (Math.round(captured.amount * 100) !== expectedAmount) {
+      return flag(
+        RECONCILIATION_OUTCOME.AMOUNT_MISMATCH,
+        `Captured ₹${captured.amount} but order total is ₹${order.pricing.total}`
+      );
+    }
+
+    if (order.status === ORDER_STATUS.CANCELLED) {
+      return flag(
+        RECONCILIATION_OUTCOME.PAID_AFTER_CANCEL,
+        'Payment captured for a cancelled order - refund it'
+      );
+    }
+
+    await this.payments.processSuccessfulPayment(order, {
+      gatewayOrderId,
+      gatewayPaymentId: captured.id,
+      signature: '',
+    });
+    order.payment.reconciledAt = new Date();
+    await order.save();
+
+    await notificationService.notifyPayment(
+      order,
+      'Payment received',
+      `We received ₹${order.pricing.total} for order ${order.orderNumber}. Your order is confirmed.`,
+      { paymentId: captured.id }
+    );
+
+    return {
+      ...entry,
+      outcome: RECONCILIATION_OUTCOME.CONFIRMED,
+      message: 'Captured payment found, order confirmed',
+    };
+  }
+
+  /**
+   * Reconcile all unsettled orders and store a report of the run
+   * @param {Object} options - { trigger: scheduled | manual, triggeredBy }
+   * @returns {Object} - PaymentReconciliation document
+   */
+  async run({ trigger = 'scheduled', triggeredBy } = {}) {
+    const report = new PaymentReconciliation({
+      trigger,
+      triggeredBy,
+      startedAt: new Date(),
+    });
+
+    const orders = await this.findUnsettledOrders();
+
+    for (const order of orders) {
+      let entry;
+
+      try {
+        entry = await this.reconcileOrder(order);
+      } catch (error) {
+        console.error(`Reconciliation failed for ${order.orderNumber}:`, error);
+        entry = {
+          orderId: order._id,
+          orderNumber: order.orderNumber,
+          gatewayOrderId: order.payment.gatewayOrderId,
+          expectedAmount: order.pricing.total,
+          outcome: RECONCILIATION_OUTCOME.ERROR,
+          message: error.message,
+        };
+      }
+
+      report.summary[SUMMARY_KEYS[entry.outcome]] += 1;
+
+      // Orders still waiting on the customer are only counted
+      if (entry.outcome !== RECONCILIATION_OUTCOME.PENDING) {
+        report.entries.push(entry);
+      }
+    }
+
+    report.checked = orders.length;
+    report.finishedAt = new Date();
+    await report.save();
+
+    return report;
+  }
+}
+
+module.exports = new ReconciliationService();
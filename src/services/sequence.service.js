@@ -0,0 +1,75 @@
+const Counter = require('../models/Counter.model');
+
+// Numbers are dated in Indian time
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+class SequenceService {
+  /**
+   * Next human-friendly number of a named sequence, e.g. LS-2026-000123.
+   * Values come from an atomic counter, so concurrent callers never share a
+   * number. A number taken by a request that then fails is simply skipped.
+   * @param {String} name - Sequence name
+   * @param {Object} options - { prefix, period, label, separator, padding }
+   *   period restarts the count (e.g. a year), label is how it is printed
+   * @returns {String}
+   */
+  async next(name, { prefix, period, label = period, separator = '-', padding = 6 } = {}) {
+    const seq = await Counter.next(period ? `${name}:${period}` : name);
+
+    return [prefix, label, String(seq).padStart(padding, '0')]
+      .filter(Boolean)
+      .join(separator);
+  }
+
+  /**
+   * Calendar year in India
+   * @param {Date} date
+   * @returns {Number}
+   */
+  getYear(date = new Date()) {
+    return new Date(new Date(date).getTime() + IST_OFFSET_MS).getUTCFullYear();
+  }
+
+  /**
+   * Order number, counted per year: LS-2026-000123
+   * @returns {String}
+   */
+  async orderNumber() {
+    const year = String(this.getYear());
+
+    return this.next('order', {
+      prefix: process.env.ORDER_NUMBER_PREFIX || 'LS',
+      period: year,
+    });
+  }
+
+  /**
+   * Return number, counted per year: RT-2026-000045
+   * @returns {String}
+   */
+  async returnNumber() {
+    const year = String(this.getYear());
+
+    return this.next('return', {
+      prefix: process.env.RETURN_NUMBER_PREFIX || 'RT',
+      period: year,
+    });
+  }
+
+  /**
+   * Invoice number, counted per financial year within GST's 16 character
+   * limit: LS/26-27/000123
+   * @param {String} financialYear - e.g. "2026-27"
+   * @returns {String}
+   */
+  async invoiceNumber(financialYear) {
+    return this.next('invoice', {
+      prefix: process.env.INVOICE_NUMBER_PREFIX || 'LS',
+      period: financialYear,
+      label: financialYear.slice(2),
+      separator: '/',
+    });
+  }
+}
+
+module.exports = new SequenceService();
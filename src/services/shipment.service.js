@@ -0,0 +1,150 @@
+const { getCourier } = require('./couriers');
+const orderStatusService = require('./orderStatus.service');
+const ApiError = require('../utils/ApiError');
+const {
+  ORDER_STATUS,
+  ORDER_ACTOR,
+  PAYMENT_METHOD,
+  PAYMENT_STATUS,
+  TRACKING_STATUS,
+} = require('../constants');
+
+// Courier statuses that mean the parcel has left the warehouse
+const IN_TRANSIT_STATUSES = [
+  TRACKING_STATUS.PICKED_UP,
+  TRACKING_STATUS.IN_TRANSIT,
+  TRACKING_STATUS.OUT_FOR_DELIVERY,
+  TRACKING_STATUS.DELIVERY_FAILED,
+];
+
+class ShipmentService {
+  /**
+   * Courier by name, or the configured default for new shipments
+   * @param {String} name
+   * @returns {Object} - Courier instance
+   */
+  getCourier(name) {
+    return getCourier(name);
+  }
+
+  /**
+   * Book a shipment with the configured courier and record its AWB number
+   * @param {Object} order - Order document (saved by the caller)
+   * @returns {Object} - Courier shipment { awb, trackingUrl, estimatedDelivery }
+   */
+  async createShipment(order) {
+    if (order.tracking?.trackingNumber) {
+      throw new ApiError(400, 'A shipment has already been created for this order');
+    }
+
+    const courier = getCourier();
+    const { name, phone, street, city, state, pincode } = order.shippingAddress;
+
+    let shipment;
+    try {
+      shipment = await courier.createShipment({
+        reference: order.orderNumber,
+        weight: order.items.reduce(
+          (total, item) => total + (item.weight || 0) * item.quantity,
+          0
+        ),
+        destination: { name, phone, street, city, state, pincode },
+        codAmount:
+          order.payment.method === PAYMENT_METHOD.COD &&
+          order.payment.status === PAYMENT_STATUS.PENDING
+            ? order.pricing.total
+            : 0,
+      });
+    } catch (error) {
+      console.error('Shipment creation error:', error);
+      throw new ApiError(502, 'Failed to create shipment with the courier');
+    }
+
+    const dispatchedAt = new Date();
+
+    order.tracking = {
+      courier: courier.name,
+      trackingNumber: shipment.awb,
+      trackingUrl: shipment.trackingUrl,
+      estimatedDelivery:
+        shipment.estimatedDelivery || order.shipping?.estimatedDelivery?.to,
+      dispatchedAt,
+      status: TRACKING_STATUS.CREATED,
+    };
+    order.trackingEvents.push({
+      status: TRACKING_STATUS.CREATED,
+      description: `Shipment booked with ${courier.name}`,
+      occurredAt: dispatchedAt,
+    });
+
+    console.log('Shipment created:', shipment.awb);
+    return shipment;
+  }
+
+  /**
+   * Add courier events to the order's timeline and move the order along.
+   * Events already on the timeline are skipped, so webhook retries are safe.
+   * @param {Object} order - Order document (status changes are saved here,
+   *   new events alone are saved by the caller)
+   * @param {Array} events - [{ status, description, location, occurredAt }]
+   * @returns {Object} - { added, previousStatus } number of new events and order status before
+   */
+  async applyEvents(order, events) {
+    const previousStatus = order.status;
+    const seen = new Set(
+      order.trackingEvents.map(
+        (event) => `${event.status}|${event.occurredAt.getTime()}`
+      )
+    );
+
+    const fresh = events.filter((event) => {
+      const key = `${event.status}|${new Date(event.occurredAt).getTime()}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+
+    if (fresh.length === 0) return { added: 0, previousStatus };
+
+    fresh.forEach((event) => order.trackingEvents.push(event));
+    order.trackingEvents.sort((a, b) => a.occurredAt - b.occurredAt);
+
+    const latest = order.trackingEvents[order.trackingEvents.length - 1];
+    order.tracking.status = latest.status;
+
+    const move = (status, event, extra = {}) =>
+      orderStatusService.transition(order, status, {
+        role: ORDER_ACTOR.SYSTEM,
+        updatedBy: order.tracking.courier,
+        note: event.description || `Courier reported ${event.status}`,
+        ...extra,
+      });
+
+    // Cancelled or returned orders are not moved by late courier updates
+    const awaitingPickup = [
+      ORDER_STATUS.CONFIRMED,
+      ORDER_STATUS.PROCESSING,
+    ].includes(order.status);
+    const moving = fresh.find((event) =>
+      IN_TRANSIT_STATUSES.includes(event.status)
+    );
+    const delivered = fresh.find(
+      (event) => event.status === TRACKING_STATUS.DELIVERED
+    );
+
+    // A delivery scan without a pickup scan still passes through shipped
+    if (awaitingPickup && (moving || delivered)) {
+      await move(ORDER_STATUS.SHIPPED, moving || delivered);
+    }
+
+    if (delivered && order.status === ORDER_STATUS.SHIPPED) {
+      await move(ORDER_STATUS.DELIVERED, delivered, {
+        deliveredAt: new Date(delivered.occurredAt),
+      });
+    }
+
+    return { added: fresh.length, previousStatus };
+  }
+}
+
+module.exports = new ShipmentService();
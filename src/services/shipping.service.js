@@ -0,0 +1,150 @@
+const ShippingRule = require('../models/ShippingRule.model');
+const ApiError = require('../utils/ApiError');
+const { SHIPPING_METHOD } = require('../constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Used while no rules are configured: the original weight ladder, all of India
+const DEFAULT_RULES = [
+  {
+    name: 'Standard Delivery',
+    method: SHIPPING_METHOD.STANDARD,
+    zone: { states: [], pincodePrefixes: [] },
+    weightSlabs: [
+      { maxWeight: 50, charge: 100 },
+      { maxWeight: 100, charge: 150 },
+      { charge: 200 },
+    ],
+    freeShippingThreshold: null,
+    estimatedDays: { min: 5, max: 7 },
+    priority: 0,
+  },
+];
+
+const normalize = (value) => (value || '').trim().toLowerCase();
+
+class ShippingService {
+  /**
+   * How specifically a rule covers a destination
+   * @param {Object} rule - ShippingRule
+   * @param {String} pincode
+   * @param {String} state
+   * @returns {Number} - -1 when not covered, higher is more specific
+   */
+  matchScore(rule, pincode, state) {
+    const prefixes = rule.zone?.pincodePrefixes || [];
+    const states = rule.zone?.states || [];
+
+    const longestPrefix = prefixes
+      .filter((prefix) => pincode && pincode.startsWith(prefix))
+      .reduce((longest, prefix) => Math.max(longest, prefix.length), 0);
+
+    if (longestPrefix > 0) return 100 + longestPrefix;
+    if (states.some((zoneState) => normalize(zoneState) === normalize(state))) {
+      return 50;
+    }
+    if (prefixes.length === 0 && states.length === 0) return 0;
+
+    return -1;
+  }
+
+  /**
+   * Charge of the first weight slab the parcel fits in
+   * @param {Object} rule - ShippingRule
+   * @param {Number} weight - Grams
+   * @returns {Number|null} - null when the parcel is too heavy for the rule
+   */
+  slabCharge(rule, weight) {
+    const slabs = [...rule.weightSlabs].sort(
+      (a, b) => (a.maxWeight ?? Infinity) - (b.maxWeight ?? Infinity)
+    );
+
+    const slab = slabs.find(
+      (candidate) => candidate.maxWeight == null || weight <= candidate.maxWeight
+    );
+
+    return slab ? slab.charge : null;
+  }
+
+  /**
+   * Shipping options for a parcel - the most specific rule per method
+   * @param {Object} shipment - { pincode, state, weight, orderValue }
+   * @returns {Array} - [{ ruleId, method, name, charge, freeShipping, estimatedDays, estimatedDelivery }]
+   */
+  async getQuote({ pincode, state, weight, orderValue }) {
+    const configured = await ShippingRule.find({ isActive: true }).lean();
+    const rules = configured.length > 0 ? configured : DEFAULT_RULES;
+
+    const best = {};
+
+    rules.forEach((rule) => {
+      const score = this.matchScore(rule, pincode, state);
+      if (score < 0) return;
+
+      const charge = this.slabCharge(rule, weight);
+      if (charge === null) return;
+
+      const current = best[rule.method];
+      const outranks =
+        !current ||
+        score > current.score ||
+        (score === current.score &&
+          (rule.priority || 0) > (current.rule.priority || 0));
+
+      if (outranks) {
+        best[rule.method] = { rule, score, charge };
+      }
+    });
+
+    const now = Date.now();
+
+    return Object.values(best)
+      .map(({ rule, charge }) => {
+        const freeShipping =
+          rule.freeShippingThreshold != null &&
+          orderValue >= rule.freeShippingThreshold;
+
+        return {
+          ruleId: rule._id,
+          method: rule.method,
+          name: rule.name,
+          charge: freeShipping ? 0 : Math.round(charge * 100) / 100,
+          freeShipping,
+          freeShippingThreshold: rule.freeShippingThreshold,
+          estimatedDays: {
+            min: rule.estimatedDays.min,
+            max: rule.estimatedDays.max,
+          },
+          estimatedDelivery: {
+            from: new Date(now + rule.estimatedDays.min * DAY_MS),
+            to: new Date(now + rule.estimatedDays.max * DAY_MS),
+          },
+        };
+      })
+      .sort((a, b) => a.charge - b.charge);
+  }
+
+  /**
+   * Pick the option for a shipping method, failing when it is not offered
+   * @param {Object} shipment - { pincode, state, weight, orderValue }
+   * @param {String} method - SHIPPING_METHOD value
+   * @returns {Object} - Quote option
+   */
+  async selectOption(shipment, method = SHIPPING_METHOD.STANDARD) {
+    const options = await this.getQuote(shipment);
+    const option = options.find((candidate) => candidate.method === method);
+
+    if (!option) {
+      throw new ApiError(
+        400,
+        options.length
+          ? `${method} delivery is not available for pincode ${shipment.pincode}`
+          : `We do not deliver to pincode ${shipment.pincode} yet`
+      );
+    }
+
+    return option;
+  }
+}
+
+module.exports = new ShippingService();
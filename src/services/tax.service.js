@@ -0,0 +1,148 @@
+// Rate applied to products without their own GST rate
+const DEFAULT_GST_RATE = 3;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const normalizeState = (state) => (state || '').trim().toLowerCase();
+
+class TaxService {
+  /**
+   * State the store is GST registered in
+   * @returns {String}
+   */
+  getStoreState() {
+    return process.env.STORE_STATE || '';
+  }
+
+  /**
+   * GST rate of a product in percent
+   * @param {Object} product - Product document
+   * @returns {Number}
+   */
+  getRate(product) {
+    return product.gst ?? DEFAULT_GST_RATE;
+  }
+
+  /**
+   * Supplies within the store's own state pay CGST + SGST, others IGST.
+   * Without a registered state every supply is treated as inter-state.
+   * @param {String} state - Place of supply (shipping state)
+   * @returns {Boolean}
+   */
+  isIntraState(state) {
+    const storeState = normalizeState(this.getStoreState());
+    return !!storeState && storeState === normalizeState(state);
+  }
+
+  /**
+   * GST on one unit of a product
+   * @param {Number} taxableValue - Metal value plus making charges
+   * @param {Number} rate - GST rate in percent
+   * @returns {Number}
+   */
+  calculateUnitTax(taxableValue, rate) {
+    return round((taxableValue * rate) / 100);
+  }
+
+  /**
+   * Split an amount of GST by place of supply
+   * @param {Number} amount - Total GST
+   * @param {Boolean} intraState
+   * @returns {Object} - { cgst, sgst, igst }
+   */
+  split(amount, intraState) {
+    if (!intraState) {
+      return { cgst: 0, sgst: 0, igst: round(amount) };
+    }
+
+    const cgst = round(amount / 2);
+    return { cgst, sgst: round(amount - cgst), igst: 0 };
+  }
+
+  /**
+   * Tax breakdown of priced lines for a place of supply
+   * @param {Array} lines - [{ quantity, metalValue, makingCharges, gst, gstRate }] per-unit amounts
+   * @param {String} state - Place of supply (shipping state)
+   * @returns {Object} - { lines: [{ gstRate, taxableValue, cgst, sgst, igst }], summary }
+   */
+  calculate(lines, state) {
+    const intraState = this.isIntraState(state);
+
+    const breakdown = lines.map((line) => {
+      const unitValue = line.metalValue + line.makingCharges;
+      const gstRate =
+        line.gstRate ?? (unitValue ? round((line.gst / unitValue) * 100) : 0);
+
+      return {
+        gstRate,
+        taxableValue: round(unitValue * line.quantity),
+        ...this.split(line.gst * line.quantity, intraState),
+      };
+    });
+
+    const sum = (key) =>
+      round(breakdown.reduce((total, line) => total + line[key], 0));
+
+    return {
+      lines: breakdown,
+      summary: {
+        placeOfSupply: state,
+        intraState,
+        taxableValue: sum('taxableValue'),
+        cgst: sum('cgst'),
+        sgst: sum('sgst'),
+        igst: sum('igst'),
+        total: round(sum('cgst') + sum('sgst') + sum('igst')),
+      },
+    };
+  }
+
+  /**
+   * Tax breakdown of an order, from the stored split or derived for
+   * orders placed before it was stored
+   * @param {Object} order - Order document
+   * @returns {Object} - Same shape as calculate()
+   */
+  forOrder(order) {
+    const stored = order.pricing.tax;
+
+    const hasStoredSplit =
+      stored?.placeOfSupply &&
+      order.items.every((item) => item.tax?.taxableValue !== undefined);
+
+    if (hasStoredSplit) {
+      return {
+        lines: order.items.map((item) => ({
+          gstRate: item.gstRate,
+          taxableValue: item.tax.taxableValue,
+          cgst: item.tax.cgst,
+          sgst: item.tax.sgst,
+          igst: item.tax.igst,
+        })),
+        summary: {
+          placeOfSupply: stored.placeOfSupply,
+          intraState: stored.intraState,
+          taxableValue: stored.taxableValue,
+          cgst: stored.cgst,
+          sgst: stored.sgst,
+          igst: stored.igst,
+          total: round(stored.cgst + stored.sgst + stored.igst),
+        },
+      };
+    }
+
+    // Orders placed before items carried metalValue priced lines without
+    // making charges or GST
+    const lines = order.items.map((item) => ({
+      quantity: item.quantity,
+      metalValue: item.metalValue ?? item.price,
+      makingCharges: item.makingCharges,
+      gst: item.gst,
+      gstRate: item.gstRate,
+    }));
+
+    return this.calculate(lines, order.shippingAddress.state);
+  }
+}
+
+module.exports = new TaxService();
@@ -0,0 +1,83 @@
+const User = require('../models/User.model');
+const sendEmail = require('../utils/sendEmail');
+const notificationService = require('./notification.service');
+const { NOTIFICATION_TYPE } = require('../constants');
+
+class WishlistService {
+  /**
+   * Compare a product before and after an update and alert everyone
+   * who wishlisted it about a price drop or a restock
+   * @param {Object} before - { sellingPrice, isInStock } prior to the update
+   * @param {Object} product - Updated product document
+   * @param {Number} sellingPrice - Updated customer price
+   * @returns {Number} - Number of users alerted
+   */
+  async notifyWatchers(before, product, sellingPrice) {
+    const priceDropped = sellingPrice < before.sellingPrice;
+    const backInStock = !before.isInStock && product.stock.isInStock;
+
+    if (!product.isActive || (!priceDropped && !backInStock)) return 0;
+
+    const users = await User.find({
+      wishlist: product._id,
+      isActive: true,
+    }).select('email firstName');
+
+    const link = `/products/${product.slug}`;
+
+    for (const user of users) {
+      if (priceDropped) {
+        await this.sendAlert(user, {
+          type: NOTIFICATION_TYPE.OFFER,
+          title: 'Price drop on your wishlist',
+          message: `${product.name} is now ₹${sellingPrice} (was ₹${before.sellingPrice}).`,
+          link,
+          metadata: {
+            productId: product._id,
+            oldPrice: before.sellingPrice,
+            newPrice: sellingPrice,
+          },
+        });
+      }
+
+      if (backInStock) {
+        await this.sendAlert(user, {
+          type: NOTIFICATION_TYPE.SYSTEM,
+          title: 'Back in stock',
+          message: `${product.name} from your wishlist is back in stock.`,
+          link,
+          metadata: { productId: product._id },
+        });
+      }
+    }
+
+    return users.length;
+  }
+
+  /**
+   * Deliver one alert as an in-app notification and an email
+   * @param {Object} user - User document (email, firstName)
+   * @param {Object} alert - { type, title, message, link, metadata }
+   */
+  async sendAlert(user, alert) {
+    await notificationService.notify(user._id, alert);
+
+    try {
+      await sendEmail({
+        email: user.email,
+        subject: `${alert.title} - Lakshmi Silver`,
+        html: `
+          <h1>${alert.title}</h1>
+          <p>Hi ${user.firstName},</p>
+          <p>${alert.message}</p>
+          <p><a href="${process.env.FRONTEND_URL}${alert.link}">View product</a></p>
+          <p>Thank you for shopping with Lakshmi Silver!</p>
+        `,
+      });
+    } catch (error) {
+      console.error('Email sending failed:', error);
+    }
+  }
+}
+
+module.exports = new WishlistService();
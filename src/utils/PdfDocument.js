@@ -0,0 +1,148 @@
+// Minimal PDF writer for text-and-rule documents such as invoices.
+// Uses the built-in Helvetica fonts, so only Latin-1 text is printable.
+
+const PAGE_WIDTH = 595; // A4 in points
+const PAGE_HEIGHT = 842;
+
+const FONTS = {
+  regular: 'F1',
+  bold: 'F2',
+};
+
+// Helvetica glyph widths (per 1000 units) for the characters used in amounts
+const GLYPH_WIDTHS = {
+  ' ': 278,
+  ',': 278,
+  '.': 278,
+  '-': 333,
+  '%': 889,
+  '/': 278,
+  '(': 333,
+  ')': 333,
+};
+const DEFAULT_GLYPH_WIDTH = 556;
+
+const escapeText = (text) =>
+  String(text)
+    .replace(/₹/g, 'Rs.')
+    .replace(/[^\x20-\xff]/g, '?')
+    .replace(/([\\()])/g, '\\$1');
+
+class PdfDocument {
+  constructor() {
+    this.pages = [];
+    this.addPage();
+  }
+
+  get width() {
+    return PAGE_WIDTH;
+  }
+
+  get height() {
+    return PAGE_HEIGHT;
+  }
+
+  addPage() {
+    this.page = [];
+    this.pages.push(this.page);
+    return this;
+  }
+
+  /**
+   * Approximate width of a string in points
+   * @param {String} text
+   * @param {Number} size - Font size
+   * @returns {Number}
+   */
+  textWidth(text, size = 10) {
+    return [...String(text)].reduce(
+      (total, char) => total + (GLYPH_WIDTHS[char] || DEFAULT_GLYPH_WIDTH),
+      0
+    ) * (size / 1000);
+  }
+
+  /**
+   * Write text with its baseline at (x, y), measured from the top-left corner
+   * @param {String} text
+   * @param {Number} x
+   * @param {Number} y
+   * @param {Object} options - { size, bold, align: left | right }
+   */
+  text(text, x, y, { size = 10, bold = false, align = 'left' } = {}) {
+    const left = align === 'right' ? x - this.textWidth(text, size) : x;
+    const font = bold ? FONTS.bold : FONTS.regular;
+
+    this.page.push(
+      `BT /${font} ${size} Tf ${left.toFixed(2)} ${(PAGE_HEIGHT - y).toFixed(2)} Td (${escapeText(text)}) Tj ET`
+    );
+    return this;
+  }
+
+  /**
+   * Draw a straight line, measured from the top-left corner
+   */
+  line(x1, y1, x2, y2, { width = 0.5 } = {}) {
+    this.page.push(
+      `${width} w ${x1} ${PAGE_HEIGHT - y1} m ${x2} ${PAGE_HEIGHT - y2} l S`
+    );
+    return this;
+  }
+
+  /**
+   * Serialize the document
+   * @returns {Buffer}
+   */
+  toBuffer() {
+    const objects = [];
+    const addObject = (body) => {
+      objects.push(body);
+      return objects.length;
+    };
+
+    const catalogId = addObject(null);
+    const pagesId = addObject(null);
+    const regularId = addObject(
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>'
+    );
+    const boldId = addObject(
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'
+    );
+
+    const pageIds = this.pages.map((commands) => {
+      const content = commands.join('\n');
+      const contentId = addObject(
+        `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`
+      );
+
+      return addObject(
+        `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+          `/Resources << /Font << /${FONTS.regular} ${regularId} 0 R /${FONTS.bold} ${boldId} 0 R >> >> ` +
+          `/Contents ${contentId} 0 R >>`
+      );
+    });
+
+    objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+    objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds
+      .map((id) => `${id} 0 R`)
+      .join(' ')}] /Count ${pageIds.length} >>`;
+
+    let output = '%PDF-1.4\n';
+    const offsets = objects.map((body, index) => {
+      const offset = Buffer.byteLength(output, 'latin1');
+      output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+      return offset;
+    });
+
+    const xrefOffset = Buffer.byteLength(output, 'latin1');
+    output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    output += offsets
+      .map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`)
+      .join('');
+    output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\n`;
+    output += `startxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(output, 'latin1');
+  }
+}
+
+module.exports = PdfDocument;
@@ -0,0 +1,14 @@
+const crypto = require('crypto');
+
+const OTP_EXPIRY_MS = 10 * 60 * 1000; // 10 minutes
+
+const generateOtp = () => crypto.randomInt(100000, 1000000).toString();
+
+const hashOtp = (otp) =>
+  crypto.createHash('sha256').update(String(otp)).digest('hex');
+
+module.exports = {
+  OTP_EXPIRY_MS,
+  generateOtp,
+  hashOtp,
+};
@@ -0,0 +1,58 @@
+// Parse CSV text into rows of fields. Handles quoted fields with commas,
+// escaped quotes ("") and line breaks, and both \n and \r\n line endings.
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((fields) => fields.some((value) => value.trim() !== ''));
+};
+
+// Parse CSV with a header row into objects keyed by the trimmed header names
+const parseCsv = (text) => {
+  const [header = [], ...rows] = parseCsvRows(text.replace(/^\uFEFF/, ''));
+  const keys = header.map((name) => name.trim());
+
+  return rows.map((fields) =>
+    keys.reduce((record, key, index) => {
+      record[key] = (fields[index] || '').trim();
+      return record;
+    }, {})
+  );
+};
+
+module.exports = parseCsv;
@@ -0,0 +1,16 @@
+const crypto = require('crypto');
+
+// Compare two signatures in constant time
+const safeCompare = (expected, received) => {
+  if (typeof received !== 'string') return false;
+
+  const expectedBuffer = Buffer.from(expected, 'utf8');
+  const receivedBuffer = Buffer.from(received, 'utf8');
+
+  return (
+    expectedBuffer.length === receivedBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, receivedBuffer)
+  );
+};
+
+module.exports = safeCompare;
@@ -0,0 +1,21 @@
+const twilio = require('twilio');
+
+const sendSms = async (options) => {
+  // Create client
+  const client = twilio(
+    process.env.TWILIO_ACCOUNT_SID,
+    process.env.TWILIO_AUTH_TOKEN
+  );
+
+  // Indian numbers are stored without the country code
+  const to = options.phone.startsWith('+') ? options.phone : `+91${options.phone}`;
+
+  // Send SMS
+  await client.messages.create({
+    from: process.env.TWILIO_PHONE_NUMBER,
+    to,
+    body: options.message,
+  });
+};
+
+module.exports = sendSms;
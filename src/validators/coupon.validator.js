@@ -0,0 +1,85 @@
+const Joi = require('joi');
+const { PRODUCT_CATEGORY } = require('../constants');
+
+const discountValueRule = Joi.number()
+  .min(0)
+  .when('discountType', {
+    is: 'percentage',
+    then: Joi.number().max(100),
+  })
+  .messages({
+    'number.min': 'Discount cannot be negative',
+    'number.max': 'Percentage discount cannot exceed 100',
+  });
+
+const createCouponValidator = Joi.object({
+  code: Joi.string()
+    .trim()
+    .uppercase()
+    .alphanum()
+    .min(3)
+    .max(20)
+    .required()
+    .messages({
+      'string.alphanum': 'Coupon code can only contain letters and numbers',
+      'string.min': 'Coupon code must be at least 3 characters',
+      'any.required': 'Coupon code is required',
+    }),
+  description: Joi.string().trim().max(500).required().messages({
+    'string.empty': 'Description is required',
+  }),
+  discountType: Joi.string().valid('percentage', 'fixed').required().messages({
+    'any.only': 'Discount type must be percentage or fixed',
+    'any.required': 'Discount type is required',
+  }),
+  discountValue: discountValueRule.required(),
+  minOrderAmount: Joi.number().min(0).default(0),
+  maxDiscountAmount: Joi.number().min(0).allow(null),
+  usageLimit: Joi.number().integer().min(1).allow(null),
+  perUserLimit: Joi.number().integer().min(1).allow(null),
+  firstOrderOnly: Joi.boolean().default(false),
+  newCustomersOnly: Joi.boolean().default(false),
+  newCustomerWindowDays: Joi.number().integer().min(1).default(30),
+  isActive: Joi.boolean().default(true),
+  validFrom: Joi.date().required(),
+  validUntil: Joi.date().greater(Joi.ref('validFrom')).required().messages({
+    'date.greater': 'Valid until date must be after valid from date',
+  }),
+  applicableCategories: Joi.array().items(
+    Joi.string().valid(...Object.values(PRODUCT_CATEGORY))
+  ),
+  excludedProducts: Joi.array().items(Joi.string().hex().length(24)),
+});
+
+const updateCouponValidator = Joi.object({
+  description: Joi.string().trim().max(500),
+  discountType: Joi.string().valid('percentage', 'fixed'),
+  discountValue: discountValueRule,
+  minOrderAmount: Joi.number().min(0),
+  maxDiscountAmount: Joi.number().min(0).allow(null),
+  usageLimit: Joi.number().integer().min(1).allow(null),
+  perUserLimit: Joi.number().integer().min(1).allow(null),
+  firstOrderOnly: Joi.boolean(),
+  newCustomersOnly: Joi.boolean(),
+  newCustomerWindowDays: Joi.number().integer().min(1),
+  isActive: Joi.boolean(),
+  validFrom: Joi.date(),
+  validUntil: Joi.date(),
+  applicableCategories: Joi.array().items(
+    Joi.string().valid(...Object.values(PRODUCT_CATEGORY))
+  ),
+  excludedProducts: Joi.array().items(Joi.string().hex().length(24)),
+}).min(1);
+
+const applyCouponValidator = Joi.object({
+  couponCode: Joi.string().trim().uppercase().required().messages({
+    'string.empty': 'Coupon code is required',
+    'any.required': 'Coupon code is required',
+  }),
+});
+
+module.exports = {
+  createCouponValidator,
+  updateCouponValidator,
+  applyCouponValidator,
+};
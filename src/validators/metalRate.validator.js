@@ -0,0 +1,25 @@
+const Joi = require('joi');
+const { METAL_TYPE } = require('../constants');
+
+const createMetalRateValidator = Joi.object({
+  metal: Joi.string()
+    .valid(...Object.values(METAL_TYPE))
+    .required()
+    .messages({
+      'any.only': 'Invalid metal type',
+      'any.required': 'Metal type is required',
+    }),
+  purity: Joi.string().trim().default('99.9%'),
+  ratePerGram: Joi.number().positive().required().messages({
+    'number.base': 'Rate per gram must be a number',
+    'number.positive': 'Rate per gram must be greater than 0',
+    'any.required': 'Rate per gram is required',
+  }),
+  effectiveFrom: Joi.date().optional(),
+  source: Joi.string().trim().max(100).optional(),
+  notes: Joi.string().max(500).optional(),
+});
+
+module.exports = {
+  createMetalRateValidator,
+};
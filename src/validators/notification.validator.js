@@ -0,0 +1,24 @@
+const Joi = require('joi');
+const { NOTIFICATION_SEGMENT } = require('../constants');
+
+const broadcastOfferValidator = Joi.object({
+  segment: Joi.string()
+    .valid(...Object.values(NOTIFICATION_SEGMENT))
+    .required()
+    .messages({
+      'any.only': 'Invalid user segment',
+      'any.required': 'User segment is required',
+    }),
+  title: Joi.string().trim().max(100).required().messages({
+    'string.empty': 'Title is required',
+  }),
+  message: Joi.string().trim().max(500).required().messages({
+    'string.empty': 'Message is required',
+  }),
+  link: Joi.string().trim().optional(),
+  metadata: Joi.object().optional(),
+});
+
+module.exports = {
+  broadcastOfferValidator,
+};
@@ -1,5 +1,5 @@
 const Joi = require('joi');
-const { PAYMENT_METHOD } = require('../constants');
+const { PAYMENT_METHOD, SHIPPING_METHOD } = require('../constants');
 
 const createOrderValidator = Joi.object({
   shippingAddress: Joi.object({
@@ -30,7 +30,11 @@ const createOrderValidator = Joi.object({
         'any.required': 'Pincode is required',
       }),
     country: Joi.string().default('India'),
-  }).required(),
+  }),
+  addressId: Joi.string().hex().length(24).messages({
+    'string.hex': 'Invalid address ID format',
+    'string.length': 'Invalid address ID',
+  }),
   billingAddress: Joi.object({
     name: Joi.string(),
     phone: Joi.string().pattern(/^[6-9]\d{9}$/),
@@ -47,10 +51,60 @@ const createOrderValidator = Joi.object({
       'any.only': 'Invalid payment method',
       'any.required': 'Payment method is required',
     }),
+  shippingMethod: Joi.string()
+    .valid(...Object.values(SHIPPING_METHOD))
+    .optional()
+    .messages({
+      'any.only': 'Invalid shipping method',
+    }),
   couponCode: Joi.string().uppercase().trim().optional(),
   notes: Joi.string().max(500).optional(),
+  // Contact details for guest checkout
+  guest: Joi.object({
+    email: Joi.string().email().required().messages({
+      'string.email': 'Please provide a valid email',
+      'any.required': 'Email is required',
+    }),
+    phone: Joi.string()
+      .pattern(/^[6-9]\d{9}$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Please provide a valid 10-digit Indian phone number',
+        'any.required': 'Phone number is required',
+      }),
+  }).optional(),
+})
+  .xor('shippingAddress', 'addressId')
+  .messages({
+    'object.missing': 'Either shippingAddress or addressId is required',
+    'object.xor': 'Provide either shippingAddress or addressId, not both',
+  });
+
+const verifyCodOrderValidator = Joi.object({
+  otp: Joi.string()
+    .pattern(/^\d{6}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Verification code must be 6 digits',
+      'any.required': 'Verification code is required',
+    }),
+});
+
+const claimGuestOrdersValidator = Joi.object({
+  email: Joi.string().email().optional().messages({
+    'string.email': 'Please provide a valid email',
+  }),
+});
+
+const verifyGuestOrderClaimValidator = Joi.object({
+  token: Joi.string().hex().required().messages({
+    'any.required': 'Claim token is required',
+  }),
 });
 
 module.exports = {
   createOrderValidator,
+  verifyCodOrderValidator,
+  claimGuestOrdersValidator,
+  verifyGuestOrderClaimValidator,
 };
\ No newline at end of file
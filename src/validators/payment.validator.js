@@ -13,24 +13,55 @@ const verifyPaymentValidator = Joi.object({
     'string.hex': 'Invalid order ID',
     'any.required': 'Order ID is required',
   }),
-  razorpayOrderId: Joi.string().required().messages({
-    'any.required': 'Razorpay order ID is required',
+  gatewayOrderId: Joi.string().required().messages({
+    'any.required': 'Gateway order ID is required',
   }),
-  razorpayPaymentId: Joi.string().required().messages({
-    'any.required': 'Razorpay payment ID is required',
+  gatewayPaymentId: Joi.string().required().messages({
+    'any.required': 'Gateway payment ID is required',
   }),
-  razorpaySignature: Joi.string().required().messages({
-    'any.required': 'Razorpay signature is required',
+  signature: Joi.string().required().messages({
+    'any.required': 'Payment signature is required',
   }),
+})
+  // Keys sent by checkout clients written for Razorpay only
+  .rename('razorpayOrderId', 'gatewayOrderId', { ignoreUndefined: true })
+  .rename('razorpayPaymentId', 'gatewayPaymentId', { ignoreUndefined: true })
+  .rename('razorpaySignature', 'signature', { ignoreUndefined: true });
+
+const mockPaymentValidator = Joi.object({
+  orderId: Joi.string().hex().length(24).required().messages({
+    'string.hex': 'Invalid order ID',
+    'any.required': 'Order ID is required',
+  }),
+  outcome: Joi.string().valid('captured', 'authorized', 'failed').optional(),
 });
 
 const initiateRefundValidator = Joi.object({
   orderId: Joi.string().hex().length(24).required(),
+  amount: Joi.number().positive().precision(2).optional().messages({
+    'number.positive': 'Refund amount must be greater than zero',
+  }),
+  items: Joi.array()
+    .items(
+      Joi.object({
+        orderItemId: Joi.string().hex().length(24).required().messages({
+          'any.required': 'Order item ID is required',
+        }),
+        quantity: Joi.number().integer().min(1).required().messages({
+          'number.min': 'Quantity must be at least 1',
+          'any.required': 'Quantity is required',
+        }),
+      })
+    )
+    .min(1)
+    .unique('orderItemId')
+    .optional(),
   reason: Joi.string().max(500).optional(),
 });
 
 module.exports = {
   createPaymentOrderValidator,
   verifyPaymentValidator,
+  mockPaymentValidator,
   initiateRefundValidator,
 };
\ No newline at end of file
@@ -0,0 +1,19 @@
+const Joi = require('joi');
+
+const updatePincodeValidator = Joi.object({
+  city: Joi.string().trim(),
+  district: Joi.string().trim(),
+  state: Joi.string().trim(),
+  codAvailable: Joi.boolean(),
+  deliveryDays: Joi.object({
+    min: Joi.number().integer().min(0).required(),
+    max: Joi.number().integer().min(Joi.ref('min')).required().messages({
+      'number.min': 'Maximum days cannot be less than minimum days',
+    }),
+  }),
+  isActive: Joi.boolean(),
+});
+
+module.exports = {
+  updatePincodeValidator,
+};
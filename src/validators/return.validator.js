@@ -0,0 +1,80 @@
+const Joi = require('joi');
+const { MANUAL_REFUND_METHOD } = require('../constants');
+
+const requestReturnValidator = Joi.object({
+  orderId: Joi.string().hex().length(24).required().messages({
+    'string.hex': 'Invalid order ID format',
+    'string.length': 'Invalid order ID',
+    'any.required': 'Order ID is required',
+  }),
+  items: Joi.array()
+    .items(
+      Joi.object({
+        orderItemId: Joi.string().hex().length(24).required().messages({
+          'any.required': 'Order item ID is required',
+        }),
+        quantity: Joi.number().integer().min(1).required().messages({
+          'number.min': 'Quantity must be at least 1',
+          'any.required': 'Quantity is required',
+        }),
+        reason: Joi.string().trim().max(500).required().messages({
+          'string.empty': 'Return reason is required',
+          'any.required': 'Return reason is required',
+        }),
+      })
+    )
+    .min(1)
+    .unique('orderItemId')
+    .required()
+    .messages({
+      'array.min': 'Select at least one item to return',
+      'array.unique': 'Each item can only be listed once',
+      'any.required': 'Items are required',
+    }),
+});
+
+const approveReturnValidator = Joi.object({
+  note: Joi.string().trim().max(500).optional(),
+});
+
+const rejectReturnValidator = Joi.object({
+  reason: Joi.string().trim().max(500).required().messages({
+    'string.empty': 'Rejection reason is required',
+    'any.required': 'Rejection reason is required',
+  }),
+});
+
+const schedulePickupValidator = Joi.object({
+  scheduledDate: Joi.date().min('now').required().messages({
+    'date.min': 'Pickup date cannot be in the past',
+    'any.required': 'Pickup date is required',
+  }),
+  timeSlot: Joi.string().trim().max(50).optional(),
+  courier: Joi.string().trim().max(100).optional(),
+  trackingNumber: Joi.string().trim().max(100).optional(),
+});
+
+const receiveReturnValidator = Joi.object({
+  note: Joi.string().trim().max(500).optional(),
+});
+
+const completeRefundValidator = Joi.object({
+  method: Joi.string()
+    .valid(...Object.values(MANUAL_REFUND_METHOD))
+    .required()
+    .messages({
+      'any.only': 'Invalid refund method',
+      'any.required': 'Refund method is required',
+    }),
+  reference: Joi.string().trim().max(100).optional(),
+  note: Joi.string().trim().max(500).optional(),
+});
+
+module.exports = {
+  requestReturnValidator,
+  approveReturnValidator,
+  rejectReturnValidator,
+  schedulePickupValidator,
+  receiveReturnValidator,
+  completeRefundValidator,
+};
@@ -0,0 +1,37 @@
+const Joi = require('joi');
+
+const createReviewValidator = Joi.object({
+  rating: Joi.number().integer().min(1).max(5).required().messages({
+    'number.base': 'Rating must be a number',
+    'number.min': 'Rating must be between 1 and 5',
+    'number.max': 'Rating must be between 1 and 5',
+    'any.required': 'Rating is required',
+  }),
+  title: Joi.string().trim().max(100).optional(),
+  comment: Joi.string().trim().max(1000).required().messages({
+    'string.empty': 'Review comment is required',
+    'string.max': 'Comment cannot exceed 1000 characters',
+  }),
+});
+
+const updateReviewValidator = Joi.object({
+  rating: Joi.number().integer().min(1).max(5).messages({
+    'number.min': 'Rating must be between 1 and 5',
+    'number.max': 'Rating must be between 1 and 5',
+  }),
+  title: Joi.string().trim().max(100),
+  comment: Joi.string().trim().max(1000),
+});
+
+const rejectReviewValidator = Joi.object({
+  reason: Joi.string().trim().max(500).required().messages({
+    'string.empty': 'Rejection reason is required',
+    'any.required': 'Rejection reason is required',
+  }),
+});
+
+module.exports = {
+  createReviewValidator,
+  updateReviewValidator,
+  rejectReviewValidator,
+};
@@ -0,0 +1,79 @@
+const Joi = require('joi');
+const { SHIPPING_METHOD } = require('../constants');
+
+const zoneRule = Joi.object({
+  states: Joi.array().items(Joi.string().trim()).default([]),
+  pincodePrefixes: Joi.array()
+    .items(
+      Joi.string()
+        .pattern(/^\d{1,6}$/)
+        .messages({
+          'string.pattern.base': 'Pincode prefixes must be 1 to 6 digits',
+        })
+    )
+    .default([]),
+});
+
+const weightSlabsRule = Joi.array()
+  .items(
+    Joi.object({
+      maxWeight: Joi.number().positive().allow(null),
+      charge: Joi.number().min(0).required().messages({
+        'any.required': 'Slab charge is required',
+      }),
+    })
+  )
+  .min(1)
+  .messages({
+    'array.min': 'At least one weight slab is required',
+  });
+
+const estimatedDaysRule = Joi.object({
+  min: Joi.number().integer().min(0).required(),
+  max: Joi.number().integer().min(Joi.ref('min')).required().messages({
+    'number.min': 'Maximum days cannot be less than minimum days',
+  }),
+});
+
+const createShippingRuleValidator = Joi.object({
+  name: Joi.string().trim().max(100).required().messages({
+    'any.required': 'Rule name is required',
+  }),
+  method: Joi.string()
+    .valid(...Object.values(SHIPPING_METHOD))
+    .default(SHIPPING_METHOD.STANDARD),
+  zone: zoneRule.default({ states: [], pincodePrefixes: [] }),
+  weightSlabs: weightSlabsRule.required(),
+  freeShippingThreshold: Joi.number().min(0).allow(null),
+  estimatedDays: estimatedDaysRule.required(),
+  priority: Joi.number().integer().default(0),
+  isActive: Joi.boolean().default(true),
+});
+
+const updateShippingRuleValidator = Joi.object({
+  name: Joi.string().trim().max(100),
+  method: Joi.string().valid(...Object.values(SHIPPING_METHOD)),
+  zone: zoneRule,
+  weightSlabs: weightSlabsRule,
+  freeShippingThreshold: Joi.number().min(0).allow(null),
+  estimatedDays: estimatedDaysRule,
+  priority: Joi.number().integer(),
+  isActive: Joi.boolean(),
+});
+
+const shippingQuoteValidator = Joi.object({
+  pincode: Joi.string()
+    .pattern(/^\d{6}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Pincode must be 6 digits',
+      'any.required': 'Pincode is required',
+    }),
+  state: Joi.string().trim().optional(),
+});
+
+module.exports = {
+  createShippingRuleValidator,
+  updateShippingRuleValidator,
+  shippingQuoteValidator,
+};
@@ -0,0 +1,95 @@
+const Joi = require('joi');
+const { ADDRESS_TYPE } = require('../constants');
+
+const updateProfileValidator = Joi.object({
+  firstName: Joi.string().trim().min(2).max(50).messages({
+    'string.min': 'First name must be at least 2 characters',
+    'string.max': 'First name cannot exceed 50 characters',
+  }),
+  lastName: Joi.string().trim().min(2).max(50).messages({
+    'string.min': 'Last name must be at least 2 characters',
+  }),
+  phone: Joi.string()
+    .pattern(/^[6-9]\d{9}$/)
+    .messages({
+      'string.pattern.base': 'Please provide a valid 10-digit Indian phone number',
+    }),
+}).min(1);
+
+const verifyPhoneValidator = Joi.object({
+  otp: Joi.string()
+    .pattern(/^\d{6}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Verification code must be 6 digits',
+      'any.required': 'Verification code is required',
+    }),
+});
+
+const addressValidator = Joi.object({
+  type: Joi.string().valid(...Object.values(ADDRESS_TYPE)),
+  name: Joi.string().trim().required().messages({
+    'any.required': 'Recipient name is required',
+  }),
+  phone: Joi.string()
+    .pattern(/^[6-9]\d{9}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Please provide a valid 10-digit Indian phone number',
+      'any.required': 'Phone number is required',
+    }),
+  street: Joi.string().trim().required().messages({
+    'any.required': 'Street address is required',
+  }),
+  city: Joi.string().trim().required().messages({
+    'any.required': 'City is required',
+  }),
+  state: Joi.string().trim().required().messages({
+    'any.required': 'State is required',
+  }),
+  pincode: Joi.string()
+    .pattern(/^\d{6}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Pincode must be 6 digits',
+      'any.required': 'Pincode is required',
+    }),
+  country: Joi.string().default('India'),
+  isDefault: Joi.boolean().default(false),
+});
+
+const updateAddressValidator = Joi.object({
+  type: Joi.string().valid(...Object.values(ADDRESS_TYPE)),
+  name: Joi.string().trim(),
+  phone: Joi.string()
+    .pattern(/^[6-9]\d{9}$/)
+    .messages({
+      'string.pattern.base': 'Please provide a valid 10-digit Indian phone number',
+    }),
+  street: Joi.string().trim(),
+  city: Joi.string().trim(),
+  state: Joi.string().trim(),
+  pincode: Joi.string()
+    .pattern(/^\d{6}$/)
+    .messages({
+      'string.pattern.base': 'Pincode must be 6 digits',
+    }),
+  country: Joi.string(),
+  isDefault: Joi.boolean(),
+}).min(1);
+
+const moveToCartValidator = Joi.object({
+  quantity: Joi.number().integer().min(1).default(1).messages({
+    'number.base': 'Quantity must be a number',
+    'number.integer': 'Quantity must be a whole number',
+    'number.min': 'Quantity must be at least 1',
+  }),
+});
+
+module.exports = {
+  updateProfileValidator,
+  verifyPhoneValidator,
+  addressValidator,
+  updateAddressValidator,
+  moveToCartValidator,
+};